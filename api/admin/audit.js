@@ -0,0 +1,77 @@
+/**
+ * Vercel Serverless Function: Audit Trail Export
+ * GET /api/admin/audit         - Export entries (?from=&to=&type=&callId=&format=jsonl|csv)
+ * GET /api/admin/audit/verify  - Check the whole chain for tampering
+ *
+ * Requires the admin role (lib/auth.js). from / to are dates (YYYY-MM-DD,
+ * UTC) or ISO 8601 date-times; type is an entry type or a prefix ending in
+ * "." (e.g. "sms."). JSONL exports can be checked offline with
+ * `npm run audit:verify -- <file>`.
+ */
+
+const { handleCors, requireRole } = require('../../lib/http');
+const { listAuditEntries, toCsv, toJsonl, verifyAuditLog } = require('../../lib/audit');
+const { logger } = require('../../lib/log');
+
+const FORMATS = {
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', render: toJsonl },
+  csv: { contentType: 'text/csv; charset=utf-8', render: toCsv },
+};
+
+// Dates stay as given (prefix comparison); date-times become UTC ISO strings
+function parseDateFilter(name, value) {
+  if (!value) return { value: undefined };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) return { value };
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return { error: `${name} must be a date (YYYY-MM-DD) or an ISO 8601 date-time` };
+  return { value: new Date(time).toISOString() };
+}
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET'])) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    const { action, format = 'jsonl', type, callId } = req.query || {};
+
+    if (action && action !== 'verify') {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    if (action === 'verify') {
+      const result = await verifyAuditLog();
+      if (!result.valid) {
+        logger.error('AUDIT TRAIL VERIFICATION FAILED:', result.problems);
+      }
+      return res.status(200).json({ success: true, data: result });
+    }
+
+    const from = parseDateFilter('from', req.query.from);
+    const to = parseDateFilter('to', req.query.to);
+    const errors = [from.error, to.error].filter(Boolean);
+    if (!FORMATS[format]) errors.push(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const list = await listAuditEntries({ from: from.value, to: to.value, type, callId });
+    const range = [req.query.from || 'start', req.query.to || 'now'].join('_').replace(/[^\w.-]/g, '-');
+
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="audit_${range}.${format}"`);
+    res.setHeader('X-Audit-Entry-Count', String(list.length));
+    return res.status(200).send(FORMATS[format].render(list));
+  } catch (error) {
+    logger.error('Audit export error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to export audit trail',
+      message: error.message,
+    });
+  }
+};
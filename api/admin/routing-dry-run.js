@@ -0,0 +1,57 @@
+/**
+ * Vercel Serverless Function: Agent Routing Dry Run
+ * POST /api/admin/routing/dry-run
+ *
+ * Takes the same body as POST /api/outbound-call and shows where the call
+ * would be routed - matching rule, agent, caller number and the
+ * conversation_config_override sent to ElevenLabs - without placing it.
+ *
+ * Requires the admin role (lib/auth.js).
+ */
+
+const { handleCors, requireRole } = require('../../lib/http');
+const { validateRequest, normalizeRequest, buildCallRequestBody } = require('../../lib/outbound');
+const { listRoutes, ruleMatches, routeCall } = require('../../lib/routing');
+const { logger } = require('../../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['POST'])) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    const errors = validateRequest(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const request = normalizeRequest(req.body);
+    const routes = await listRoutes();
+    const routing = await routeCall(request, routes);
+    const requestBody = buildCallRequestBody(request, routing);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        rule: routing.rule,
+        // Every rule that applies, best first - the first one wins
+        candidates: routes.filter(rule => ruleMatches(rule, request)).map(rule => rule.id),
+        agentId: requestBody.agent_id,
+        agentPhoneNumberId: requestBody.agent_phone_number_id,
+        agentNumber: routing.caller ? routing.caller.number : null,
+        conversationConfigOverride: requestBody.conversation_initiation_client_data.conversation_config_override,
+      },
+    });
+  } catch (error) {
+    logger.error('Routing dry run error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Routing dry run failed',
+      message: error.message,
+    });
+  }
+};
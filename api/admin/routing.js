@@ -0,0 +1,79 @@
+/**
+ * Vercel Serverless Function: Agent Routing Admin
+ * GET    /api/admin/routing      - Routing rules in evaluation order
+ * GET    /api/admin/routing/:id  - One rule
+ * POST   /api/admin/routing      - Add a rule
+ *        { "name": "Collections (Arabic)", "callReason": "Payment Reminder", "language": "ar",
+ *          "agentId": "agent_...", "agentPhoneNumberId": "phnum_...",
+ *          "overrides": { "voiceId": "...", "llm": "gpt-4o" }, "priority": 0 }
+ * PATCH  /api/admin/routing/:id  - Change a rule (e.g. { "enabled": false })
+ * DELETE /api/admin/routing/:id  - Delete a rule
+ *
+ * Requires the admin role (lib/auth.js). See POST /api/admin/routing/dry-run
+ * to check where a request would go.
+ */
+
+const { handleCors, requireRole } = require('../../lib/http');
+const { listRoutes, getRoute, createRoute, updateRoute, removeRoute } = require('../../lib/routing');
+const { logger } = require('../../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'POST', 'PATCH', 'DELETE'])) return;
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    const { id } = req.query || {};
+
+    if (req.method === 'GET' && id) {
+      const route = await getRoute(id);
+      if (!route) {
+        return res.status(404).json({ success: false, error: 'Routing rule not found' });
+      }
+      return res.status(200).json({ success: true, data: route });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, data: await listRoutes() });
+    }
+
+    if (req.method === 'POST') {
+      const { route, errors } = await createRoute(req.body || {});
+      if (errors) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+      }
+      return res.status(201).json({ success: true, data: route });
+    }
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Routing rule id is required' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!(await removeRoute(id))) {
+        return res.status(404).json({ success: false, error: 'Routing rule not found' });
+      }
+      return res.status(200).json({ success: true, message: `Routing rule ${id} deleted` });
+    }
+
+    const outcome = await updateRoute(id, req.body || {});
+    if (!outcome) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+    if (outcome.errors) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: outcome.errors });
+    }
+    return res.status(200).json({ success: true, data: outcome.route });
+  } catch (error) {
+    logger.error('Routing admin error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process routing request',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Vercel Serverless Function: SMS Delivery Admin
+ * GET  /api/admin/sms-deliveries?conversationId=...  - Recorded SMS for a call, each with
+ *      the delivery status of its messages (lib/sms/messages.js)
+ * POST /api/admin/sms-deliveries                     - Force a resend
+ *      { "conversationId": "...", "smsType": "REWARDS_TNC_SMS" }
+ *
+ * Requires the admin role (lib/auth.js). A forced resend bypasses the
+ * webhook's duplicate protection and always contacts the SMS provider.
+ */
+
+const { handleCors, requireRole } = require('../../lib/http');
+const { appendCallEvent, getCall } = require('../../lib/calls');
+const { listDeliveries, resendDelivery } = require('../../lib/sms/deliveries');
+const { listMessages } = require('../../lib/sms/messages');
+const { describeActor } = require('../../lib/audit');
+const { logger } = require('../../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'POST'])) return;
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const { conversationId } = req.query || {};
+      if (!conversationId) {
+        return res.status(400).json({ success: false, error: 'conversationId is required' });
+      }
+      const [deliveries, messages] = await Promise.all([listDeliveries(conversationId), listMessages(conversationId)]);
+      return res.status(200).json({
+        success: true,
+        data: deliveries.map(delivery => ({
+          ...delivery,
+          messages: messages.filter(message => message.smsType === delivery.smsType),
+        })),
+      });
+    }
+
+    const { conversationId, smsType } = req.body || {};
+    if (!conversationId || !smsType) {
+      return res.status(400).json({ success: false, error: 'conversationId and smsType are required' });
+    }
+
+    const outcome = await resendDelivery(conversationId, smsType, describeActor(req.auth));
+    if (!outcome) {
+      return res.status(404).json({ success: false, error: 'No recorded SMS for this conversation and type' });
+    }
+
+    logger.info(`Forced resend of ${smsType} for ${conversationId}:`, outcome.result);
+    if (await getCall(conversationId)) {
+      const { smsResult } = outcome;
+      await appendCallEvent(conversationId, smsResult.success ? 'sms_sent' : 'sms_failed', {
+        smsType,
+        forced: true,
+        messageId: smsResult.messageId || null,
+        error: smsResult.error || null,
+      });
+    }
+
+    return res.status(200).json({ success: outcome.result.sms_sent, data: outcome.result });
+  } catch (error) {
+    logger.error('SMS delivery admin error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process SMS delivery request',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Vercel Serverless Function: SMS Outbox
+ * GET    /api/admin/sms-outbox?to=+971501234567  - Messages the outbox provider recorded
+ * DELETE /api/admin/sms-outbox                   - Empty the outbox
+ *
+ * Only fills up with SMS_PROVIDER=outbox (lib/sms/providers/outbox.js).
+ * Requires the admin role (lib/auth.js).
+ */
+
+const { handleCors, requireRole } = require('../../lib/http');
+const { listOutbox, clearOutbox } = require('../../lib/sms/outbox');
+const { getSmsProviderName } = require('../../lib/sms/providers');
+const { normalizePhoneNumber } = require('../../lib/phone');
+const { logger } = require('../../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'DELETE'])) return;
+
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'DELETE') {
+      const removed = await clearOutbox();
+      return res.status(200).json({ success: true, message: `Removed ${removed} message(s)` });
+    }
+
+    const { to } = req.query || {};
+    const messages = await listOutbox({ to: to ? normalizePhoneNumber(to) || to : null });
+    return res.status(200).json({
+      success: true,
+      data: messages,
+      provider: getSmsProviderName(),
+    });
+  } catch (error) {
+    logger.error('SMS outbox error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process outbox request',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Vercel Serverless Function: Do-Not-Contact List Admin
+ * GET    /api/admin/suppression                     - Active entries (?includeExpired=true for all)
+ * GET    /api/admin/suppression?phoneNumber=+971... - Is this number blocked?
+ * POST   /api/admin/suppression                     - Add or update entries
+ *        { "phoneNumber": "+971...", "reason": "...", "channel": "all", "expiresAt": "..." }
+ *        { "csv": "phoneNumber,reason,channel,expiresAt\n..." }
+ * DELETE /api/admin/suppression?phoneNumber=+971... - Remove a number
+ *
+ * Requires the admin role (lib/auth.js). channel is "all" (default),
+ * "call" or "sms"; entries without expiresAt never expire.
+ */
+
+const { handleCors, requireRole } = require('../../lib/http');
+const {
+  addSuppression,
+  importSuppressionCsv,
+  removeSuppression,
+  listSuppressions,
+  findSuppression,
+} = require('../../lib/suppression');
+const { logger } = require('../../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    const { phoneNumber, includeExpired } = req.query || {};
+
+    if (req.method === 'GET') {
+      if (phoneNumber) {
+        const [call, sms] = await Promise.all([
+          findSuppression(phoneNumber, 'call'),
+          findSuppression(phoneNumber, 'sms'),
+        ]);
+        return res.status(200).json({
+          success: true,
+          data: { phoneNumber, callAllowed: !call, smsAllowed: !sms, entry: call || sms },
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        data: await listSuppressions({ includeExpired: includeExpired === 'true' }),
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!phoneNumber) {
+        return res.status(400).json({ success: false, error: 'phoneNumber is required' });
+      }
+      if (!(await removeSuppression(phoneNumber))) {
+        return res.status(404).json({ success: false, error: 'Number is not on the list' });
+      }
+      return res.status(200).json({ success: true, message: `${phoneNumber} removed from the list` });
+    }
+
+    const body = req.body || {};
+
+    if (typeof body.csv === 'string') {
+      const result = await importSuppressionCsv(body.csv);
+      if (result.errors) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: result.errors });
+      }
+      return res.status(200).json({ success: true, data: result });
+    }
+
+    const { entry, errors } = await addSuppression(body);
+    if (errors) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+    return res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    logger.error('Suppression admin error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process suppression request',
+      message: error.message,
+    });
+  }
+};
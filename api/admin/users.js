@@ -0,0 +1,67 @@
+/**
+ * Vercel Serverless Function: Dashboard Users Admin
+ * GET    /api/admin/users      - Local users (store and AUTH_USERS), without password hashes
+ * POST   /api/admin/users      - Add a user { "username", "password", "role" }
+ * PATCH  /api/admin/users/:id  - Change { password?, role?, disabled? }
+ * DELETE /api/admin/users/:id  - Delete a user
+ *
+ * Requires the admin role (lib/auth.js). Users from AUTH_USERS are listed
+ * but can only be changed in the environment.
+ */
+
+const { handleCors, requireRole } = require('../../lib/http');
+const { listUsers, createUser, updateUser, removeUser } = require('../../lib/auth');
+const { logger } = require('../../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'POST', 'PATCH', 'DELETE'])) return;
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    const { id } = req.query || {};
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, data: await listUsers() });
+    }
+
+    if (req.method === 'POST') {
+      const { user, errors } = await createUser(req.body || {});
+      if (errors) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+      }
+      return res.status(201).json({ success: true, data: user });
+    }
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'User id is required' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!(await removeUser(id))) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+      return res.status(200).json({ success: true, message: `User ${id} deleted` });
+    }
+
+    const outcome = await updateUser(id, req.body || {});
+    if (!outcome) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (outcome.errors) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: outcome.errors });
+    }
+    return res.status(200).json({ success: true, data: outcome.user });
+  } catch (error) {
+    logger.error('Users admin error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process user request',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Vercel Serverless Function: Agent Phone Numbers
+ * GET /api/agent-numbers - Numbers the agent can call from (AGENT_PHONE_NUMBERS)
+ *
+ * Used by the dashboard's "Calling From" dropdown. Pass an `id` as
+ * `agentPhoneNumberId` in an outbound call request to call from that number.
+ */
+
+const { handleCors, requireRole } = require('../lib/http');
+const { getAgentNumbers } = require('../lib/agent-numbers');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET'])) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'viewer'))) return;
+
+  const data = getAgentNumbers().map(({ id, number, label, countries, default: isDefault }) => ({
+    id,
+    number,
+    label,
+    countries,
+    default: isDefault,
+  }));
+
+  return res.status(200).json({ success: true, data });
+};
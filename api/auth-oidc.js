@@ -0,0 +1,57 @@
+/**
+ * Vercel Serverless Function: Single Sign-On (OpenID Connect)
+ * GET /api/auth/oidc/login     - Redirects to the identity provider
+ * GET /api/auth/oidc/callback  - Provider redirects back here (OIDC_REDIRECT_URI)
+ *
+ * See lib/oidc.js for the flow and the role mapping.
+ */
+
+const { getSessionSecret, createSessionCookie } = require('../lib/auth');
+const { getOidcConfig, beginLogin, completeLogin, clearStateCookie } = require('../lib/oidc');
+const { logger } = require('../lib/log');
+
+function redirect(res, location, cookies = []) {
+  if (cookies.length > 0) res.setHeader('Set-Cookie', cookies);
+  res.statusCode = 302;
+  res.setHeader('Location', location);
+  res.end();
+}
+
+function loginError(message) {
+  return `/login.html?error=${encodeURIComponent(message)}`;
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { action } = req.query || {};
+  if (action !== 'login' && action !== 'callback') {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+
+  const config = getOidcConfig();
+  if (!config || !getSessionSecret()) {
+    return res.status(404).json({ success: false, error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    if (action === 'login') {
+      const { url, cookie } = await beginLogin(req, config);
+      return redirect(res, url, [cookie]);
+    }
+
+    const { error, user } = await completeLogin(req, config);
+    if (error) {
+      logger.warn('OIDC sign-in failed:', error);
+      return redirect(res, loginError(error), [clearStateCookie(req)]);
+    }
+
+    logger.info(`Signed in: ${user.username} (${user.role}, oidc)`);
+    return redirect(res, '/', [clearStateCookie(req), createSessionCookie(req, user)]);
+  } catch (error) {
+    logger.error('OIDC error:', error);
+    return redirect(res, loginError('Single sign-on is unavailable right now'), [clearStateCookie(req)]);
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * Vercel Serverless Function: Dashboard Login
+ * POST /api/auth/login      - { "username", "password" }; sets the session cookie
+ * POST /api/auth/logout     - Clears the session cookie
+ * GET  /api/auth/me         - The signed-in user or API key, with its role
+ * GET  /api/auth/providers  - Which sign-in methods the login page should offer
+ *
+ * Single sign-on goes through /api/auth/oidc/login (api/auth-oidc.js).
+ */
+
+const { handleCors } = require('../lib/http');
+const {
+  isAuthDisabled,
+  getSessionSecret,
+  verifyCredentials,
+  createSessionCookie,
+  clearSessionCookie,
+  authenticateRequest,
+} = require('../lib/auth');
+const { getOidcConfig } = require('../lib/oidc');
+const { logger } = require('../lib/log');
+
+const ACTIONS = {
+  login: 'POST',
+  logout: 'POST',
+  me: 'GET',
+  providers: 'GET',
+};
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'POST'])) return;
+
+  const { action } = req.query || {};
+  if (!ACTIONS[action]) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  if (req.method !== ACTIONS[action]) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    if (action === 'providers') {
+      return res.status(200).json({
+        success: true,
+        data: { local: true, oidc: Boolean(getOidcConfig()), disabled: isAuthDisabled() },
+      });
+    }
+
+    if (action === 'me') {
+      const principal = await authenticateRequest(req);
+      if (!principal) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      return res.status(200).json({ success: true, data: principal });
+    }
+
+    if (action === 'logout') {
+      res.setHeader('Set-Cookie', clearSessionCookie(req));
+      return res.status(200).json({ success: true, message: 'Signed out' });
+    }
+
+    if (!getSessionSecret()) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        message: 'Missing environment variables: AUTH_SESSION_SECRET',
+      });
+    }
+
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ['username and password are required'],
+      });
+    }
+
+    const user = await verifyCredentials(username, password);
+    if (!user) {
+      logger.warn(`Failed login for ${username}`);
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    res.setHeader('Set-Cookie', createSessionCookie(req, { username: user.username, role: user.role, via: 'local' }));
+    logger.info(`Signed in: ${user.username} (${user.role})`);
+    return res.status(200).json({ success: true, data: { username: user.username, role: user.role } });
+  } catch (error) {
+    logger.error('Auth error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Authentication failed',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Vercel Serverless Function: Call Reason Catalogue
+ * GET /api/call-reasons - Reasons with their context schema, names and SMS types
+ *
+ * The dashboard renders its presets and context form from this list. Pass
+ * an `id` as `preset` in an outbound call request to use that reason.
+ */
+
+const { handleCors, requireRole } = require('../lib/http');
+const { listCallReasons } = require('../lib/call-reasons');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET'])) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'viewer'))) return;
+
+  return res.status(200).json({ success: true, data: listCallReasons() });
+};
@@ -0,0 +1,114 @@
+/**
+ * Vercel Serverless Function: Live Call Status
+ * GET /api/calls/:id/status
+ *
+ * With `Accept: text/event-stream` (EventSource) or ?stream=true, streams
+ * Server-Sent Events until the call is final:
+ *   event: status  - lib/call-status.js snapshot, sent whenever it changes
+ *   event: done    - last snapshot; the stream closes
+ * A stream lasts at most CALL_STATUS_STREAM_SECONDS (default 240, 8 on
+ * Vercel so the platform never cuts it off) - EventSource then reconnects
+ * and picks up from the current state.
+ *
+ * Otherwise returns the current snapshot as JSON.
+ */
+
+const { handleCors, requireRole } = require('../lib/http');
+const { getCall } = require('../lib/calls');
+const { getStatusConfig, getCallStatus } = require('../lib/call-status');
+const { logger } = require('../lib/log');
+
+function wantsStream(req) {
+  const accept = (req.headers && req.headers.accept) || '';
+  return accept.includes('text/event-stream') || (req.query || {}).stream === 'true';
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function streamStatus(req, res, call) {
+  const config = getStatusConfig();
+  const deadline = Date.now() + config.streamMs;
+  let closed = false;
+  let wake = () => {};
+  let lastSent = null;
+
+  // Browser went away - stop polling at once
+  res.on('close', () => {
+    closed = true;
+    wake();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${config.pollMs}\n\n`);
+
+  while (!closed) {
+    const current = (await getCall(call.id)) || call;
+    const status = await getCallStatus(current);
+    if (closed) break;
+
+    if (status.final) {
+      sendEvent(res, 'done', status);
+      break;
+    }
+
+    const serialized = JSON.stringify(status);
+    if (serialized !== lastSent) {
+      sendEvent(res, 'status', status);
+      lastSent = serialized;
+    } else {
+      // Keeps proxies from closing an idle connection
+      res.write(': keep-alive\n\n');
+    }
+
+    if (Date.now() + config.pollMs > deadline) break;
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, config.pollMs);
+      wake = () => { clearTimeout(timer); resolve(); };
+    });
+  }
+
+  res.end();
+}
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET'])) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'viewer'))) return;
+
+  const { id } = req.query || {};
+
+  try {
+    const call = await getCall(id);
+    if (!call) {
+      return res.status(404).json({ success: false, error: 'Call not found' });
+    }
+
+    if (wantsStream(req)) {
+      return await streamStatus(req, res, call);
+    }
+
+    return res.status(200).json({ success: true, data: await getCallStatus(call) });
+  } catch (error) {
+    logger.error('Call status error:', error);
+    if (res.headersSent) {
+      sendEvent(res, 'error', { message: error.message });
+      return res.end();
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load call status',
+      message: error.message,
+    });
+  }
+};
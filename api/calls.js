@@ -0,0 +1,72 @@
+/**
+ * Vercel Serverless Function: Call Registry API
+ * GET /api/calls      - Search calls (?phone=&name=&reason=&smsType=&from=&to=
+ *                       &status=&campaignId=&limit=), without transcripts
+ * GET /api/calls/:id  - One call with its full lifecycle and the transcript,
+ *                       phrases that triggered or blocked an SMS highlighted
+ */
+
+const { handleCors, requireRole } = require('../lib/http');
+const { getCall, listCalls } = require('../lib/calls');
+const { highlightTurns } = require('../lib/transcript');
+const { logger } = require('../lib/log');
+
+// Dates stay as given (prefix comparison); date-times become UTC ISO strings
+function parseDateFilter(name, value) {
+  if (!value) return { value: undefined };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) return { value };
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return { error: `${name} must be a date (YYYY-MM-DD) or an ISO 8601 date-time` };
+  return { value: new Date(time).toISOString() };
+}
+
+function withoutTranscript(call) {
+  if (!call.conversation) return call;
+  const { turns, ...conversation } = call.conversation;
+  return { ...call, conversation: { ...conversation, turnCount: turns.length } };
+}
+
+function withHighlights(call) {
+  if (!call.conversation) return call;
+  const classified = [...call.events].reverse().find(event => event.type === 'classified') || null;
+  return { ...call, conversation: { ...call.conversation, turns: highlightTurns(call.conversation.turns, classified) } };
+}
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET'])) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'viewer'))) return;
+
+  try {
+    const { id, ...filters } = req.query || {};
+
+    if (id) {
+      const call = await getCall(id);
+      if (!call) {
+        return res.status(404).json({ success: false, error: 'Call not found' });
+      }
+      return res.status(200).json({ success: true, data: withHighlights(call) });
+    }
+
+    const from = parseDateFilter('from', filters.from);
+    const to = parseDateFilter('to', filters.to);
+    const errors = [from.error, to.error].filter(Boolean);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const calls = await listCalls({ ...filters, from: from.value, to: to.value });
+    return res.status(200).json({ success: true, data: calls.map(withoutTranscript) });
+  } catch (error) {
+    logger.error('Call registry error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load calls',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Vercel Serverless Function: Batch Campaigns API
+ * POST /api/campaigns      - Create a campaign from CSV or JSON rows
+ * GET  /api/campaigns      - List campaigns
+ * GET  /api/campaigns/:id  - Campaign progress (also advances dialing for supervisors)
+ *
+ * Reading needs the viewer role, creating a campaign the supervisor role.
+ * A viewer's poll only reads - dialing is driven by supervisor polls, the
+ * Express timer and the scheduler cron (api/scheduled-calls.js).
+ */
+
+const { handleCors, requireRole } = require('../lib/http');
+const { hasRole } = require('../lib/auth');
+const { getMissingElevenLabsConfig } = require('../lib/elevenlabs');
+const { describeActor, recordAudit } = require('../lib/audit');
+const {
+  createCampaign,
+  advanceCampaign,
+  getCampaign,
+  listCampaigns,
+} = require('../lib/campaigns');
+const { logger } = require('../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'POST'])) return;
+
+  if (!(await requireRole(req, res, req.method === 'POST' ? 'supervisor' : 'viewer'))) return;
+
+  try {
+    const id = req.query && req.query.id;
+
+    if (req.method === 'GET' && id) {
+      // A supervisor's poll drives the dialer: each poll runs one pacing tick
+      const campaign = hasRole(req.auth.role, 'supervisor')
+        ? await advanceCampaign(id)
+        : await getCampaign(id);
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+      return res.status(200).json({ success: true, data: campaign });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, data: await listCampaigns() });
+    }
+
+    if (req.method === 'POST') {
+      const missing = getMissingElevenLabsConfig();
+      if (missing.length > 0) {
+        return res.status(500).json({
+          success: false,
+          error: 'Server configuration error',
+          message: `Missing environment variables: ${missing.join(', ')}`,
+        });
+      }
+
+      const actor = describeActor(req.auth);
+      const { errors, campaign } = await createCampaign(req.body || {}, actor);
+      if (errors) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+      }
+      await recordAudit('campaign.created', {
+        actor,
+        data: { campaignId: campaign.id, name: campaign.name, options: campaign.options, summary: campaign.summary },
+      });
+
+      // Start dialing straight away rather than waiting for the first poll
+      const started = await advanceCampaign(campaign.id);
+      return res.status(201).json({ success: true, data: started });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    logger.error('Campaign error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Campaign request failed',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Vercel Serverless Function: First-Message Preview
+ * POST /api/first-message/preview
+ *
+ * Renders the agent's opening line for a request without placing a call.
+ * Takes the outbound call fields that shape the greeting:
+ *   { "fullName": "Yousef Sheikh", "preferredLanguage": "Egyptian Arabic",
+ *     "preset": "rewards", "honorific": "mr", "gender": "male" }
+ * (`callReason` instead of `preset` for a free-text reason)
+ */
+
+const { handleCors, requireRole } = require('../lib/http');
+const { getCallReason } = require('../lib/call-reasons');
+const { renderFirstMessage, validateGreetingOptions } = require('../lib/first-messages');
+
+function validatePreview(body) {
+  const errors = [];
+
+  if (!body.fullName || typeof body.fullName !== 'string') {
+    errors.push('fullName is required and must be a string');
+  }
+  if (!body.preferredLanguage || typeof body.preferredLanguage !== 'string') {
+    errors.push('preferredLanguage is required and must be a string');
+  }
+  if (body.preset !== undefined && body.preset !== '' && !getCallReason(body.preset)) {
+    errors.push('preset must be a call reason from the catalogue');
+  }
+  if (!getCallReason(body.preset) && (!body.callReason || typeof body.callReason !== 'string')) {
+    errors.push('callReason or preset is required');
+  }
+  errors.push(...validateGreetingOptions(body));
+
+  return errors;
+}
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['POST'])) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!(await requireRole(req, res, 'viewer'))) return;
+
+  const body = req.body || {};
+  const errors = validatePreview(body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  const { text, locale, template, gender, reasonPhrase } = renderFirstMessage(body);
+  return res.status(200).json({
+    success: true,
+    data: { firstMessage: text, locale, template, gender, reasonPhrase },
+  });
+};
@@ -1,12 +1,31 @@
-module.exports = (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+const { handleCors } = require('../lib/http');
+const { getRejectionStats } = require('../lib/webhook-signature');
+const { getSmsProviderName } = require('../lib/sms/providers');
+const { getStoreDriverName, getStoreWarning } = require('../lib/store');
+const { logger } = require('../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET'])) return;
+
+  let webhookRejections = null;
+  try {
+    webhookRejections = await getRejectionStats();
+  } catch (error) {
+    logger.error('Failed to load webhook rejection stats:', error.message);
+  }
+
   res.status(200).json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
     env: {
       hasApiKey: !!process.env.ELEVENLABS_API_KEY,
       hasAgentId: !!process.env.ELEVENLABS_AGENT_ID,
-      hasPhoneId: !!process.env.ELEVENLABS_PHONE_NUMBER_ID
-    }
+      hasPhoneId: !!process.env.ELEVENLABS_PHONE_NUMBER_ID,
+      hasWebhookSecret: !!process.env.ELEVENLABS_WEBHOOK_SECRET,
+      smsProvider: getSmsProviderName(),
+      storeDriver: getStoreDriverName(),
+      storeWarning: getStoreWarning()
+    },
+    webhookRejections
   });
 };
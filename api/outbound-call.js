@@ -1,146 +1,108 @@
 /**
  * Vercel Serverless Function: Outbound Call API
  * POST /api/outbound-call
+ *
+ * Dials straight away when calling is allowed now. Requests with a future
+ * `scheduledAt`, or that fall in quiet hours, a blackout or outside the
+ * customer's `preferredWindows`, are scheduled instead (202).
+ * Numbers on the do-not-call list are refused with 403 and code DO_NOT_CALL.
+ * Customers already contacted as often as the caps allow get 429 with code
+ * CONTACT_CAP_EXCEEDED and `nextAllowedAt`; `"overrideCaps": true` skips the
+ * caps and is reserved for admins.
+ *
+ * Requires the supervisor role (lib/auth.js). Every request, and what became
+ * of it, is written to the audit trail (lib/audit.js).
  */
 
-module.exports = async (req, res) => {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+const { handleCors, requireRole } = require('../lib/http');
+const { hasRole } = require('../lib/auth');
+const { getMissingElevenLabsConfig, ElevenLabsApiError } = require('../lib/elevenlabs');
+const {
+  validateRequest,
+  normalizeRequest,
+  buildOutboundContext,
+  initiateOutboundCall,
+} = require('../lib/outbound');
+const { splitSchedule, planSchedule, scheduleCall } = require('../lib/scheduled-calls');
+const { assertNotSuppressed, SuppressedContactError } = require('../lib/suppression');
+const { ContactCapError } = require('../lib/contact-caps');
+const { describeActor, recordAudit } = require('../lib/audit');
+const { logger } = require('../lib/log');
 
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['POST'])) return;
 
   // Only allow POST
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
-  try {
-    const { phoneNumber, fullName, preferredLanguage, callReason, contextData } = req.body;
+  if (!(await requireRole(req, res, 'supervisor'))) return;
 
+  try {
     // Validation
-    const errors = [];
-    if (!phoneNumber || typeof phoneNumber !== 'string') {
-      errors.push('Phone number is required');
-    } else if (!phoneNumber.startsWith('+')) {
-      errors.push('Phone number must be in E.164 format (e.g., +971...)');
-    }
-    if (!fullName || typeof fullName !== 'string') {
-      errors.push('Full name is required');
-    }
-    if (!preferredLanguage || typeof preferredLanguage !== 'string') {
-      errors.push('Preferred language is required');
-    }
-    if (!callReason || typeof callReason !== 'string') {
-      errors.push('Call reason is required');
-    }
-
+    const errors = validateRequest(req.body || {});
     if (errors.length > 0) {
       return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
     }
 
-    // Check environment variables
-    if (!process.env.ELEVENLABS_API_KEY || !process.env.ELEVENLABS_AGENT_ID || !process.env.ELEVENLABS_PHONE_NUMBER_ID) {
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Server configuration error', 
-        message: 'Missing environment variables' 
-      });
-    }
-
-    // Build outbound context
-    const outboundContext = {
-      callType: 'OUTBOUND',
-      customer: { fullName, preferredLanguage },
-      reason: callReason,
-      contextData: contextData || {},
-      rules: {
-        noAuthentication: true,
-        noDataCollection: true,
-        noComplaintCreation: true,
-      },
-    };
-
-    // Build first message based on language
-    const firstName = fullName.split(' ')[0];
-    const langLower2 = preferredLanguage.toLowerCase();
-    
-    let firstMessage;
-    if (langLower2.includes('arabic')) {
-      firstMessage = `مرحباً ${firstName}، أنا مساعد ماشرق الذكي. أتصل بك اليوم بخصوص ${callReason}.`;
-    } else if (langLower2.includes('hindi')) {
-      firstMessage = `नमस्ते ${firstName}, मैं मशरेक एआई असिस्टेंट हूं। मैं आज आपको ${callReason} के बारे में कॉल कर रहा हूं।`;
-    } else {
-      firstMessage = `Hello ${firstName}, this is Mashreq AI Assistant. I'm calling you today regarding ${callReason}.`;
+    // Bypassing the contact caps is reserved for admins
+    const { overrideCaps = false, ...body } = normalizeRequest(req.body);
+    if (overrideCaps && !hasRole(req.auth.role, 'admin')) {
+      return res.status(403).json({ success: false, error: 'overrideCaps requires the admin role' });
     }
+    const actor = describeActor(req.auth);
+    const meta = overrideCaps ? { overrideCaps, actor } : { actor };
+    await recordAudit('call.requested', { actor, data: { request: body, overrideCaps } });
 
-    // Build conversation initiation data
-    const dynamicVars = {
-      customer_name: fullName,
-      customer_first_name: firstName,
-      preferred_language: preferredLanguage,
-      call_type: 'OUTBOUND',
-      call_reason: callReason,
-      outbound_context: JSON.stringify(outboundContext),
-      suggested_greeting: firstMessage,
-    };
-
-    // Add context data as dynamic variables
-    if (contextData && typeof contextData === 'object') {
-      Object.entries(contextData).forEach(([key, value]) => {
-        dynamicVars[`context_${key}`] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Check environment variables
+    const missing = getMissingElevenLabsConfig();
+    if (missing.length > 0) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        message: `Missing environment variables: ${missing.join(', ')}`,
       });
     }
 
-    // Determine language code
-    let languageCode = 'en';
-    const langLower = preferredLanguage.toLowerCase();
-    if (langLower.includes('arabic')) {
-      languageCode = 'ar';
-    } else if (langLower.includes('hindi')) {
-      languageCode = 'hi';
+    // Refuse up front rather than scheduling a call that can never be placed.
+    // Only this check is audited here - initiateOutboundCall() audits its own
+    try {
+      await assertNotSuppressed(body.phoneNumber, 'call');
+    } catch (error) {
+      if (error instanceof SuppressedContactError) {
+        await recordAudit('call.blocked', {
+          actor,
+          data: { source: 'api', phoneNumber: error.entry.phoneNumber, code: error.code, reason: error.message },
+        });
+      }
+      throw error;
     }
 
-    const requestBody = {
-      agent_id: process.env.ELEVENLABS_AGENT_ID,
-      agent_phone_number_id: process.env.ELEVENLABS_PHONE_NUMBER_ID,
-      to_number: phoneNumber,
-      conversation_initiation_client_data: {
-        dynamic_variables: dynamicVars,
-        conversation_config_override: {
-          agent: {
-            first_message: firstMessage,
-            language: languageCode,
-          },
-        },
-      },
-    };
-
-    const response = await fetch('https://api.elevenlabs.io/v1/convai/twilio/outbound-call', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'xi-api-key': process.env.ELEVENLABS_API_KEY,
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    const data = await response.json();
+    // Hold the call if it is for later or not allowed right now
+    const { request, schedule } = splitSchedule(body);
+    const plan = planSchedule(schedule);
+    if (plan.errors) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: plan.errors });
+    }
 
-    if (!response.ok) {
-      const errorMessage = data.detail?.message || data.detail || data.message || JSON.stringify(data);
-      return res.status(response.status).json({
-        success: false,
-        error: 'ElevenLabs API error',
-        message: errorMessage,
+    if (plan.dueAt > new Date()) {
+      const { call } = await scheduleCall(body, { meta });
+      await recordAudit('call.scheduled', {
+        actor,
+        data: { scheduledCallId: call.id, dueAt: call.dueAt, holdReason: call.holdReason },
+      });
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        message: `Outbound call scheduled for ${call.dueAt}`,
+        data: call,
       });
     }
 
+    const { phoneNumber, fullName, callReason } = request;
+    const data = await initiateOutboundCall(request, meta);
+
     return res.status(200).json({
       success: true,
       message: 'Outbound call initiated successfully',
@@ -150,11 +112,40 @@ module.exports = async (req, res) => {
         phoneNumber,
         customer: fullName,
         callReason,
-        outboundContext,
+        outboundContext: buildOutboundContext(request),
       },
     });
   } catch (error) {
-    console.error('Error:', error);
+    if (error instanceof SuppressedContactError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Number is on the do-not-call list',
+        code: error.code,
+        message: error.message,
+        suppression: { reason: error.entry.reason, expiresAt: error.entry.expiresAt },
+      });
+    }
+
+    if (error instanceof ContactCapError) {
+      res.setHeader('Retry-After', String(Math.max(0, Math.ceil((Date.parse(error.nextAllowedAt) - Date.now()) / 1000))));
+      return res.status(error.status).json({
+        success: false,
+        error: 'Contact limit reached',
+        code: error.code,
+        message: error.message,
+        nextAllowedAt: error.nextAllowedAt,
+      });
+    }
+
+    if (error instanceof ElevenLabsApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'ElevenLabs API error',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error:', error);
     return res.status(500).json({
       success: false,
       error: 'Failed to initiate outbound call',
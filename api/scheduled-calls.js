@@ -0,0 +1,83 @@
+/**
+ * Vercel Serverless Function: Scheduled Calls API
+ * GET    /api/scheduled-calls      - List scheduled calls (?status=pending); for supervisors (and
+ *                                    the cron) also dials due calls and advances running campaigns
+ * GET    /api/scheduled-calls/:id  - One scheduled call
+ * PATCH  /api/scheduled-calls/:id  - Reschedule { scheduledAt?, timezone?, preferredWindows? }
+ * DELETE /api/scheduled-calls/:id  - Cancel
+ *
+ * Calls are scheduled through POST /api/outbound-call with `scheduledAt`.
+ * Reading needs the viewer role, changes the supervisor role.
+ */
+
+const { handleCors, requireRole } = require('../lib/http');
+const { hasRole } = require('../lib/auth');
+const { advanceActiveCampaigns } = require('../lib/campaigns');
+const {
+  advanceScheduledCalls,
+  getScheduledCall,
+  listScheduledCalls,
+  rescheduleCall,
+  cancelScheduledCall,
+} = require('../lib/scheduled-calls');
+const { describeActor, recordAudit } = require('../lib/audit');
+const { logger } = require('../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['GET', 'PATCH', 'DELETE'])) return;
+
+  if (!(await requireRole(req, res, req.method === 'GET' ? 'viewer' : 'supervisor'))) return;
+
+  try {
+    const { id, ...filters } = req.query || {};
+
+    if (req.method === 'GET' && id) {
+      const call = await getScheduledCall(id);
+      if (!call) {
+        return res.status(404).json({ success: false, error: 'Scheduled call not found' });
+      }
+      return res.status(200).json({ success: true, data: call });
+    }
+
+    if (req.method === 'GET') {
+      // On Vercel the cron (a supervisor key) and supervisors' listings drive
+      // the scheduler and running campaigns; a viewer's listing only reads
+      if (hasRole(req.auth.role, 'supervisor')) {
+        await advanceScheduledCalls();
+        await advanceActiveCampaigns();
+      }
+      return res.status(200).json({ success: true, data: await listScheduledCalls(filters) });
+    }
+
+    if ((req.method === 'PATCH' || req.method === 'DELETE') && !id) {
+      return res.status(400).json({ success: false, error: 'Scheduled call id is required' });
+    }
+
+    if (req.method === 'PATCH' || req.method === 'DELETE') {
+      const outcome = req.method === 'PATCH'
+        ? await rescheduleCall(id, req.body || {})
+        : await cancelScheduledCall(id);
+
+      if (!outcome) {
+        return res.status(404).json({ success: false, error: 'Scheduled call not found' });
+      }
+      if (outcome.errors) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: outcome.errors });
+      }
+      await recordAudit(req.method === 'PATCH' ? 'call.rescheduled' : 'call.cancelled', {
+        actor: describeActor(req.auth),
+        data: { scheduledCallId: id, changes: req.method === 'PATCH' ? req.body || {} : undefined, dueAt: outcome.call.dueAt },
+      });
+      return res.status(200).json({ success: true, data: outcome.call });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    logger.error('Scheduled call error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Scheduled call request failed',
+      message: error.message,
+    });
+  }
+};
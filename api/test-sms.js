@@ -1,64 +1,102 @@
 /**
  * Test SMS Endpoint
- * GET /api/test-sms?phone=+1234567890
+ * GET /api/test-sms?phone=+971501234567
  * 
- * Use this to verify Twilio is configured correctly
+ * Use this to verify the SMS provider (SMS_PROVIDER, lib/sms/providers) is
+ * configured correctly. Requires the admin role. The response masks the
+ * number (lib/redact.js); the audit trail keeps it.
  */
 
-const twilio = require('twilio');
+const { handleCors, requireRole } = require('../lib/http');
+const { getSmsProvider } = require('../lib/sms/providers');
+const { BLOCK_CODES, findSuppression } = require('../lib/suppression');
+const { validatePhoneNumber } = require('../lib/phone');
+const { describeActor, recordAudit } = require('../lib/audit');
+const { redactText } = require('../lib/redact');
 
 module.exports = async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (handleCors(req, res, ['GET'])) return;
   
-  // Check for phone parameter
-  const phone = req.query.phone;
+  if (!(await requireRole(req, res, 'admin'))) return;
   
-  if (!phone) {
+  // Check for phone parameter
+  if (!req.query.phone) {
     return res.status(400).json({
       error: 'Missing phone parameter',
-      usage: '/api/test-sms?phone=+1234567890',
+      usage: '/api/test-sms?phone=+971501234567',
+    });
+  }
+  
+  // Same rules as customer SMS: allowed country, mobile number
+  const validation = validatePhoneNumber(req.query.phone, 'sms');
+  if (validation.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid phone number',
+      code: 'INVALID_PHONE_NUMBER',
+      details: validation.errors,
+    });
+  }
+  const phone = validation.phone.e164;
+  const audit = data => recordAudit('sms.test', { actor: describeActor(req.auth), data: { to: phone, ...data } });
+  
+  // Opted-out numbers are never texted, not even for tests
+  const suppression = await findSuppression(phone, 'sms');
+  if (suppression) {
+    await audit({ sent: false, code: BLOCK_CODES.sms, error: 'Number is on the do-not-text list' });
+    return res.status(403).json({
+      success: false,
+      error: 'Number is on the do-not-text list',
+      code: BLOCK_CODES.sms,
+      suppression: { reason: suppression.reason, expiresAt: suppression.expiresAt },
     });
   }
   
-  // Check Twilio credentials
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const fromNumber = process.env.TWILIO_FROM_NUMBER;
+  // Check the provider's configuration
+  let provider;
+  try {
+    provider = getSmsProvider();
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
   
-  const credentialStatus = {
-    TWILIO_ACCOUNT_SID: accountSid ? `Set (${accountSid.substring(0, 6)}...)` : 'NOT SET',
-    TWILIO_AUTH_TOKEN: authToken ? 'Set (hidden)' : 'NOT SET',
-    TWILIO_FROM_NUMBER: fromNumber || 'NOT SET',
-  };
+  const credentialStatus = provider.describeConfig();
+  const missing = provider.getMissingConfig();
   
-  if (!accountSid || !authToken || !fromNumber) {
+  if (missing.length > 0) {
     return res.status(500).json({
-      error: 'Missing Twilio credentials',
+      error: `Missing ${provider.name} SMS configuration`,
+      provider: provider.name,
+      missing,
       credentials: credentialStatus,
     });
   }
   
   try {
-    const client = twilio(accountSid, authToken);
-    
-    const message = await client.messages.create({
-      body: 'Mashreq Bank: Test SMS from your outbound call system. If you received this, SMS is working correctly!',
-      from: fromNumber,
+    const { messageId, from } = await provider.send({
       to: phone,
+      body: 'Mashreq Bank: Test SMS from your outbound call system. If you received this, SMS is working correctly!',
+      smsType: 'TEST_SMS',
+      language: 'en',
     });
+    await audit({ sent: true, provider: provider.name, messageId });
     
     return res.status(200).json({
       success: true,
       message: 'Test SMS sent successfully',
-      messageId: message.sid,
-      to: phone,
-      from: fromNumber,
+      provider: provider.name,
+      messageId,
+      to: redactText(phone),
+      from,
       credentials: credentialStatus,
     });
   } catch (error) {
+    await audit({ sent: false, provider: provider.name, error: error.message });
     return res.status(500).json({
       success: false,
-      error: error.message,
+      // Provider errors can quote the number
+      error: redactText(error.message),
+      provider: provider.name,
       credentials: credentialStatus,
     });
   }
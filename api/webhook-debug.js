@@ -4,32 +4,48 @@
  * GET /api/webhook-debug - Shows last received payload
  * 
  * Use this to see exactly what ElevenLabs is sending
+ * (only signed payloads are stored - same verification as call-ended;
+ * reading them back requires the admin role). Payloads are kept and
+ * returned masked (lib/redact.js); the full dump is logged only with
+ * LOG_LEVEL=debug.
  */
 
+const { handleCors, requireRole } = require('../lib/http');
+const { verifyElevenLabsRequest, readJsonBody } = require('../lib/webhook-signature');
+const { logger } = require('../lib/log');
+const { redact } = require('../lib/redact');
+
 // In-memory storage for last payload (for debugging only)
 let lastPayload = null;
 let lastReceivedAt = null;
 
 module.exports = async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (handleCors(req, res, ['GET', 'POST'])) return;
   
   if (req.method === 'POST') {
-    // Store the payload
-    lastPayload = req.body;
+    const verification = await verifyElevenLabsRequest(req, 'webhook-debug');
+    if (!verification.valid) {
+      return res.status(401).json({
+        received: false,
+        error: 'Invalid webhook signature',
+        reason: verification.reason,
+      });
+    }
+    
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      return res.status(400).json({ received: false, error: 'Invalid JSON body' });
+    }
+    
+    // Store the payload - masked, so the GET below never hands out raw PII
+    lastPayload = redact(body);
     lastReceivedAt = new Date().toISOString();
     
-    console.log('='.repeat(60));
-    console.log('DEBUG WEBHOOK RECEIVED');
-    console.log('Timestamp:', lastReceivedAt);
-    console.log('Headers:', JSON.stringify(req.headers, null, 2));
-    console.log('Body:', JSON.stringify(req.body, null, 2));
-    console.log('='.repeat(60));
+    logger.info(`Debug webhook received at ${lastReceivedAt}`);
+    logger.debug('Headers:', JSON.stringify(redact(req.headers), null, 2));
+    logger.debug('Body:', JSON.stringify(lastPayload, null, 2));
     
     return res.status(200).json({
       received: true,
@@ -39,6 +55,8 @@ module.exports = async (req, res) => {
   }
   
   if (req.method === 'GET') {
+    if (!(await requireRole(req, res, 'admin'))) return;
+    
     if (!lastPayload) {
       return res.status(200).json({
         message: 'No webhook payload received yet',
@@ -54,3 +72,6 @@ module.exports = async (req, res) => {
   
   return res.status(405).json({ error: 'Method not allowed' });
 };
+
+// Vercel: keep the raw body for signature verification
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,48 @@
+/**
+ * Webhook: Inbound SMS (Twilio)
+ * POST /api/webhook/sms-inbound
+ *
+ * Set as the "A message comes in" webhook of the Twilio sender number.
+ * STOP-style replies put the sender on the suppression list (no more calls
+ * or texts); START lifts an opt-out made this way. Other messages are only
+ * logged. Twilio sends its own STOP/START confirmation, so we answer with
+ * empty TwiML.
+ */
+
+const { handleCors } = require('../../lib/http');
+const { verifyTwilioRequest } = require('../../lib/webhook-signature');
+const { handleInboundKeyword } = require('../../lib/suppression');
+const { logger } = require('../../lib/log');
+
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['POST'])) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Unsigned requests could opt anyone out (or back in)
+  const verification = await verifyTwilioRequest(req, 'sms-inbound');
+  if (!verification.valid) {
+    return res.status(401).json({
+      received: false,
+      error: 'Invalid webhook signature',
+      reason: verification.reason,
+    });
+  }
+
+  const { From: from, Body: text, MessageSid: messageSid } = req.body || {};
+
+  try {
+    const result = await handleInboundKeyword({ from, body: text });
+    logger.info('Inbound SMS:', { from, messageSid, action: result.action });
+  } catch (error) {
+    // Answer anyway - Twilio retrying does not help a store failure
+    logger.error('Inbound SMS processing error:', error);
+  }
+
+  res.setHeader('Content-Type', 'text/xml');
+  return res.status(200).send(EMPTY_TWIML);
+};
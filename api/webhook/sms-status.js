@@ -0,0 +1,56 @@
+/**
+ * Webhook: SMS Status Callback (Twilio)
+ * POST /api/webhook/sms-status
+ *
+ * Twilio posts here as each message moves through queued, sent, delivered,
+ * undelivered or failed (the statusCallback set on every message when
+ * TWILIO_STATUS_CALLBACK_URL or TWILIO_WEBHOOK_BASE_URL is configured).
+ * lib/sms/status.js stores the state against the originating call and
+ * retries transient failures when an alternate sender is configured.
+ */
+
+const { handleCors } = require('../../lib/http');
+const { verifyTwilioRequest } = require('../../lib/webhook-signature');
+const { handleStatusCallback } = require('../../lib/sms/status');
+const { logger } = require('../../lib/log');
+
+module.exports = async (req, res) => {
+  if (handleCors(req, res, ['POST'])) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Unsigned requests could mark any message delivered, or trigger retries
+  const verification = await verifyTwilioRequest(req, 'sms-status');
+  if (!verification.valid) {
+    return res.status(401).json({
+      received: false,
+      error: 'Invalid webhook signature',
+      reason: verification.reason,
+    });
+  }
+
+  const body = req.body || {};
+  const messageId = body.MessageSid || body.SmsSid;
+  const status = body.MessageStatus || body.SmsStatus;
+  if (!messageId || !status) {
+    return res.status(400).json({ received: false, error: 'MessageSid and MessageStatus are required' });
+  }
+
+  try {
+    const outcome = await handleStatusCallback({
+      messageId,
+      status,
+      errorCode: body.ErrorCode || null,
+      errorMessage: body.ErrorMessage || null,
+    });
+    if (!outcome.known) {
+      logger.info(`Status ${status} for untracked message ${messageId} - ignored`);
+    }
+    return res.status(200).json({ received: true, ...outcome });
+  } catch (error) {
+    logger.error('SMS status processing error:', error);
+    return res.status(500).json({ received: false, error: 'Failed to process status callback' });
+  }
+};
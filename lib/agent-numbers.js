@@ -0,0 +1,127 @@
+/**
+ * Agent Phone Numbers
+ *
+ * Registry of the numbers our agent calls from: ElevenLabs phone number ids
+ * mapped to their E.164 numbers. Configured as JSON in AGENT_PHONE_NUMBERS:
+ *
+ *   [{"id": "phnum_abc", "number": "+97142345678", "label": "Mashreq UAE",
+ *     "countries": ["AE"], "agentId": "agent_xyz"},
+ *    {"id": "phnum_def", "number": "+15856678990", "label": "US test line", "default": true}]
+ *
+ * Without it, the single number from ELEVENLABS_PHONE_NUMBER_ID (and
+ * ELEVENLABS_PHONE_NUMBER for its E.164 form) is used.
+ *
+ * A request may pick a number with `agentPhoneNumberId`; otherwise the first
+ * number serving the customer's country is used, then the default. An entry
+ * can also switch agent (`agentId`, default ELEVENLABS_AGENT_ID).
+ *
+ * The call-ended webhook uses the registry to tell the agent's leg from the
+ * customer's.
+ */
+
+const { parsePhoneNumber, phoneKey } = require('./phone');
+const { getSmsSenders } = require('./sms/providers');
+const { logger } = require('./log');
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+function toEntry(raw) {
+  return {
+    id: String(raw.id),
+    number: raw.number ? phoneKey(raw.number) : null,
+    label: raw.label || raw.number || String(raw.id),
+    countries: Array.isArray(raw.countries) ? raw.countries.map(code => String(code).toUpperCase()) : [],
+    agentId: raw.agentId || null,
+    default: raw.default === true,
+  };
+}
+
+/**
+ * Configured agent numbers, default first
+ * @returns {object[]} { id, number, label, countries, agentId, default }
+ */
+function getAgentNumbers() {
+  let entries = [];
+
+  if (process.env.AGENT_PHONE_NUMBERS) {
+    try {
+      const parsed = JSON.parse(process.env.AGENT_PHONE_NUMBERS);
+      entries = (Array.isArray(parsed) ? parsed : [])
+        .filter(raw => raw && raw.id)
+        .map(toEntry);
+    } catch (error) {
+      logger.error('Ignoring invalid AGENT_PHONE_NUMBERS:', error.message);
+    }
+  }
+
+  if (entries.length === 0 && process.env.ELEVENLABS_PHONE_NUMBER_ID) {
+    entries = [toEntry({
+      id: process.env.ELEVENLABS_PHONE_NUMBER_ID,
+      number: process.env.ELEVENLABS_PHONE_NUMBER,
+      default: true,
+    })];
+  }
+
+  // Exactly one default: the flagged entry, else the first
+  const defaultIndex = Math.max(entries.findIndex(entry => entry.default), 0);
+  return entries
+    .map((entry, index) => ({ ...entry, default: index === defaultIndex }))
+    .sort((a, b) => Number(b.default) - Number(a.default));
+}
+
+/**
+ * Looks up a configured number by its ElevenLabs phone number id
+ */
+function getAgentNumber(id) {
+  return getAgentNumbers().find(entry => entry.id === id) || null;
+}
+
+/**
+ * Picks the number to call a customer from
+ * @param {object} input - Outbound call request ({ phoneNumber, agentPhoneNumberId? })
+ * @returns {object|null} Registry entry, null if none is configured
+ */
+function selectAgentNumber(input) {
+  const entries = getAgentNumbers();
+  if (input.agentPhoneNumberId) {
+    return entries.find(entry => entry.id === input.agentPhoneNumberId) || null;
+  }
+
+  const customer = parsePhoneNumber(input.phoneNumber || '');
+  const local = customer.valid && entries.find(entry => entry.countries.includes(customer.country));
+  return local || entries[0] || null;
+}
+
+/**
+ * Whether a number is one of ours (i.e. the agent's leg of a call)
+ */
+function isAgentNumber(number) {
+  const normalized = phoneKey(number);
+  const ours = getAgentNumbers().map(entry => entry.number).filter(Boolean);
+  getSmsSenders().forEach(sender => ours.push(phoneKey(sender)));
+  return Boolean(normalized) && ours.includes(normalized);
+}
+
+/**
+ * Validates the caller selection of an outbound call request
+ * @returns {string[]} Validation errors
+ */
+function validateAgentNumber(body) {
+  // Empty means "pick automatically" (e.g. a blank campaign column)
+  if (body.agentPhoneNumberId === undefined || body.agentPhoneNumberId === '') return [];
+  if (typeof body.agentPhoneNumberId !== 'string' || !getAgentNumber(body.agentPhoneNumberId)) {
+    const ids = getAgentNumbers().map(entry => entry.id);
+    return [`agentPhoneNumberId must be one of the configured agent numbers (${ids.join(', ') || 'none configured'})`];
+  }
+  return [];
+}
+
+module.exports = {
+  getAgentNumbers,
+  getAgentNumber,
+  selectAgentNumber,
+  isAgentNumber,
+  validateAgentNumber,
+};
@@ -0,0 +1,286 @@
+/**
+ * Audit Trail
+ *
+ * Append-only record of who triggered each call and why each SMS was or
+ * wasn't sent:
+ *
+ *   call.requested   - actor and validated request (POST /api/outbound-call)
+ *   call.scheduled   - held for later, with the due time
+ *   call.rescheduled / call.cancelled - changes to a scheduled call
+ *   campaign.created - batch upload; its calls carry the same actor
+ *   call.initiated   - outbound context, routing and the ElevenLabs response
+ *   call.blocked     - refused by the do-not-call list or the contact caps
+ *   call.failed      - ElevenLabs rejected the call
+ *   webhook.received - call-ended webhook receipt (payload hash, not the payload)
+ *   call.ended       - answered / no-answer / ... and the retry decision
+ *   sms.classified   - classifier decision, reason, selected and dropped SMS
+ *   sms.blocked      - no SMS possible for the call (no or wrong customer number)
+ *   sms.result       - each Twilio result (sent, failed, blocked, duplicate)
+ *   sms.test         - GET /api/test-sms
+ *
+ * Entries are hash-chained: each one stores the previous entry's hash and
+ * its own hash over its content (SHA-256, or HMAC-SHA256 with
+ * AUDIT_HMAC_KEY so the chain can't be recomputed without the key).
+ * Changing, removing or reordering an entry breaks the chain at that
+ * point - verifyAuditLog() and `npm run audit:verify` find it.
+ *
+ * Entries live in the "audit" store collection keyed by sequence number,
+ * with the latest sequence number and hash in "audit-head". Recording never
+ * fails the call or SMS it describes; failures are logged instead.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { logger } = require('./log');
+
+const entries = createStore('audit');
+const heads = createStore('audit-head');
+
+const HEAD_ID = 'head';
+const GENESIS_HASH = '0'.repeat(64);
+
+const LIMITS = {
+  // Concurrent writers racing for the next sequence number
+  appendAttempts: 10,
+};
+
+// Actors for work nobody triggered directly
+const SYSTEM_ACTORS = {
+  webhook: { type: 'system', id: 'elevenlabs-webhook' },
+  retries: { type: 'system', id: 'retries' },
+  smsStatus: { type: 'system', id: 'twilio-status-callback' },
+};
+
+function getHmacKey() {
+  return process.env.AUDIT_HMAC_KEY || null;
+}
+
+// ============================================================================
+// HASHING
+// ============================================================================
+
+/**
+ * JSON with object keys sorted, so a hash doesn't depend on key order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an entry's content (everything but `hash` itself)
+ * @param {object} entry - Audit entry
+ * @param {string|null} key - HMAC key, required for alg 'hmac-sha256'
+ */
+function hashEntry(entry, key = getHmacKey()) {
+  const { hash, ...content } = entry;
+  const payload = canonicalJson(content);
+  return entry.alg === 'hmac-sha256'
+    ? crypto.createHmac('sha256', key || '').update(payload).digest('hex')
+    : crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Reduces an authenticated principal (lib/auth.js) to what the trail keeps
+ * @returns {object|null} { type, id, role, via? }
+ */
+function describeActor(principal) {
+  if (!principal) return null;
+  const { type, id, role, via } = principal;
+  return { type, id, role, ...(via && { via }) };
+}
+
+function entryId(seq) {
+  return String(seq).padStart(12, '0');
+}
+
+async function appendEntry(fields) {
+  const key = getHmacKey();
+  let head = (await heads.get(HEAD_ID)) || { seq: 0, hash: GENESIS_HASH };
+
+  for (let attempt = 0; attempt < LIMITS.appendAttempts; attempt += 1) {
+    const entry = {
+      seq: head.seq + 1,
+      ...fields,
+      alg: key ? 'hmac-sha256' : 'sha256',
+      prevHash: head.hash,
+    };
+    entry.hash = hashEntry(entry, key);
+
+    if (await entries.create(entryId(entry.seq), entry)) {
+      await heads.put(HEAD_ID, { seq: entry.seq, hash: entry.hash, at: entry.at });
+      return entry;
+    }
+
+    // Another writer took this sequence number - chain onto its entry
+    const taken = await entries.get(entryId(head.seq + 1));
+    head = { seq: taken.seq, hash: taken.hash };
+  }
+
+  throw new Error('Too many concurrent audit writers');
+}
+
+/**
+ * Appends an entry to the audit trail
+ * @param {string} type - Entry type (call.initiated, sms.result, ...)
+ * @param {object} params
+ * @param {object|null} params.actor - describeActor() or a SYSTEM_ACTORS entry
+ * @param {string|null} params.callId - Call registry id (conversation id) when known
+ * @param {object} params.data - What happened; stored as JSON
+ * @returns {Promise<object|null>} The entry, or null if it couldn't be written
+ */
+async function recordAudit(type, { actor = null, callId = null, data = {} } = {}) {
+  try {
+    return await appendEntry({
+      at: new Date().toISOString(),
+      type,
+      actor,
+      callId,
+      // Drops undefined values so the stored entry hashes the same as this one
+      data: JSON.parse(JSON.stringify(data ?? null)),
+    });
+  } catch (error) {
+    logger.error(`AUDIT WRITE FAILED (${type}${callId ? ` ${callId}` : ''}):`, error.message);
+    return null;
+  }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Lists entries in sequence order
+ * @param {object} filters - { from?, to?, type?, callId? } where from / to are
+ *   dates or ISO date-times (a date `to` includes the whole day, UTC) and
+ *   type matches exactly or by prefix ("sms." for every SMS entry)
+ */
+async function listAuditEntries(filters = {}) {
+  return (await entries.list())
+    .filter(entry => !filters.from || entry.at >= filters.from)
+    .filter(entry => !filters.to || entry.at.slice(0, filters.to.length) <= filters.to)
+    .filter(entry => !filters.type || entry.type === filters.type ||
+      (filters.type.endsWith('.') && entry.type.startsWith(filters.type)))
+    .filter(entry => !filters.callId || entry.callId === filters.callId)
+    .sort((a, b) => a.seq - b.seq);
+}
+
+const CSV_COLUMNS = ['seq', 'at', 'type', 'actorType', 'actorId', 'actorRole', 'callId', 'data', 'alg', 'prevHash', 'hash'];
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Entries as CSV, one row per entry with `data` as JSON
+ */
+function toCsv(list) {
+  const rows = list.map(entry => [
+    entry.seq,
+    entry.at,
+    entry.type,
+    entry.actor ? entry.actor.type : '',
+    entry.actor ? entry.actor.id : '',
+    entry.actor ? entry.actor.role : '',
+    entry.callId,
+    JSON.stringify(entry.data),
+    entry.alg,
+    entry.prevHash,
+    entry.hash,
+  ].map(csvCell).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Entries as JSON Lines - the format verifyAuditEntries() reads back
+ */
+function toJsonl(list) {
+  return list.map(entry => JSON.stringify(entry)).join('\n') + (list.length > 0 ? '\n' : '');
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Checks a run of entries for tampering
+ * @param {object[]} list - Entries in sequence order
+ * @param {object} options
+ * @param {boolean} options.complete - The list is the whole trail: it must
+ *   start at sequence 1 from the genesis hash. Otherwise (an export) the
+ *   first entry's prevHash is taken on trust.
+ * @param {object|null} options.head - audit-head record to check the end against
+ * @returns {object} { valid, count, firstSeq, lastSeq, lastHash, problems: [{ seq, problem }] }
+ */
+function verifyAuditEntries(list, options = {}) {
+  const key = getHmacKey();
+  const problems = [];
+  let previous = null;
+
+  list.forEach((entry, index) => {
+    if (index === 0 && options.complete && (entry.seq !== 1 || entry.prevHash !== GENESIS_HASH)) {
+      problems.push({ seq: entry.seq, problem: 'Trail does not start at the first entry' });
+    }
+    if (previous && entry.seq !== previous.seq + 1) {
+      problems.push({ seq: entry.seq, problem: `Entries ${previous.seq + 1}-${entry.seq - 1} are missing` });
+    }
+    if (previous && entry.prevHash !== previous.hash) {
+      problems.push({ seq: entry.seq, problem: 'prevHash does not match the previous entry' });
+    }
+    if (entry.alg === 'hmac-sha256' && !key) {
+      problems.push({ seq: entry.seq, problem: 'Entry is keyed but AUDIT_HMAC_KEY is not set' });
+    } else if (entry.alg !== 'hmac-sha256' && key) {
+      problems.push({ seq: entry.seq, problem: 'Entry is not keyed but AUDIT_HMAC_KEY is set' });
+    } else if (hashEntry(entry, key) !== entry.hash) {
+      problems.push({ seq: entry.seq, problem: 'Content does not match its hash' });
+    }
+    previous = entry;
+  });
+
+  if (options.head) {
+    const atHead = list.find(entry => entry.seq === options.head.seq);
+    if (!atHead) {
+      problems.push({ seq: options.head.seq, problem: 'Latest recorded entry is missing (trail truncated?)' });
+    } else if (atHead.hash !== options.head.hash) {
+      problems.push({ seq: options.head.seq, problem: 'Latest recorded hash does not match the entry' });
+    }
+  }
+
+  return {
+    valid: problems.length === 0,
+    count: list.length,
+    firstSeq: list.length > 0 ? list[0].seq : null,
+    lastSeq: previous ? previous.seq : null,
+    lastHash: previous ? previous.hash : null,
+    problems,
+  };
+}
+
+/**
+ * Verifies the whole stored trail, end to end
+ */
+async function verifyAuditLog() {
+  const [list, head] = await Promise.all([listAuditEntries(), heads.get(HEAD_ID)]);
+  return verifyAuditEntries(list, { complete: true, head });
+}
+
+module.exports = {
+  SYSTEM_ACTORS,
+  describeActor,
+  recordAudit,
+  listAuditEntries,
+  toCsv,
+  toJsonl,
+  verifyAuditEntries,
+  verifyAuditLog,
+};
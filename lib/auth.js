@@ -0,0 +1,451 @@
+/**
+ * Authentication and Roles
+ *
+ * Who is calling, and what they may do. Roles are ordered - each includes
+ * the ones before it:
+ *
+ *   viewer     - call history, live status, catalogue, campaign progress
+ *   supervisor - place, schedule and cancel calls, run campaigns
+ *   admin      - routing, suppression list, SMS resends, users, test/debug endpoints
+ *
+ * Principals come from:
+ *   API keys   - `X-API-Key` or `Authorization: Bearer <key>` for
+ *                system-to-system callers (API_KEYS, plus ADMIN_API_KEY as
+ *                an admin key and CRON_SECRET as the Vercel cron's key)
+ *   sessions   - the dashboard's signed, HttpOnly session cookie, issued by
+ *                POST /api/auth/login (local users) or the OIDC callback
+ *                (lib/oidc.js)
+ *
+ * Local users live in the store (collection "users", managed through
+ * /api/admin/users) and in AUTH_USERS for deployments without a shared
+ * store. Passwords are kept as scrypt hashes only.
+ *
+ * AUTH_DISABLED=true lets every request through as admin - local
+ * development only.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { logger } = require('./log');
+
+const users = createStore('users');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const ROLES = ['viewer', 'supervisor', 'admin'];
+
+const SESSION_COOKIE = 'mashreq_session';
+
+const LIMITS = {
+  minPasswordLength: 12,
+  maxPasswordLength: 256,
+};
+
+const SCRYPT = { keyLength: 32, cost: 16384, blockSize: 8, parallelization: 1 };
+
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+function getSessionSecret() {
+  return process.env.AUTH_SESSION_SECRET || null;
+}
+
+function getSessionTtlMs() {
+  const hours = Number(process.env.AUTH_SESSION_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 12) * 60 * 60 * 1000;
+}
+
+/**
+ * Whether a principal's role covers the required one
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// ============================================================================
+// PASSWORDS
+// ============================================================================
+
+/**
+ * Hashes a password for the user store or AUTH_USERS
+ * @returns {string} "scrypt$<salt>$<hash>" (base64url)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT.keyLength, {
+    N: SCRYPT.cost, r: SCRYPT.blockSize, p: SCRYPT.parallelization,
+  });
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+    N: SCRYPT.cost, r: SCRYPT.blockSize, p: SCRYPT.parallelization,
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked when the user doesn't exist, so unknown names take as long as wrong passwords
+let dummyHash = null;
+function getDummyHash() {
+  dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Users from AUTH_USERS: [{ "username", "passwordHash", "role" }]
+ */
+function getConfiguredUsers() {
+  if (!process.env.AUTH_USERS) return [];
+  try {
+    const parsed = JSON.parse(process.env.AUTH_USERS);
+    return (Array.isArray(parsed) ? parsed : [])
+      .filter(entry => entry && entry.username && entry.passwordHash && ROLES.includes(entry.role))
+      .map(entry => ({
+        id: normalizeUsername(entry.username),
+        username: normalizeUsername(entry.username),
+        passwordHash: entry.passwordHash,
+        role: entry.role,
+        disabled: false,
+        source: 'env',
+      }));
+  } catch (error) {
+    logger.error('AUTH_USERS is not valid JSON:', error.message);
+    return [];
+  }
+}
+
+async function findUser(username) {
+  const id = normalizeUsername(username);
+  if (!id) return null;
+  return (await users.get(id)) || getConfiguredUsers().find(user => user.id === id) || null;
+}
+
+/**
+ * Lists local users (without password hashes)
+ */
+async function listUsers() {
+  const stored = await users.list();
+  const configured = getConfiguredUsers().filter(user => !stored.some(other => other.id === user.id));
+  return [...stored, ...configured]
+    .map(publicUser)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+function validateUser(input, existing = null) {
+  const errors = [];
+
+  if (!existing && !/^[a-z0-9._@-]{3,64}$/.test(normalizeUsername(input.username))) {
+    errors.push('username is required: 3-64 characters from letters, digits and . _ @ -');
+  }
+  if ((!existing || input.password !== undefined) &&
+      (typeof input.password !== 'string' ||
+       input.password.length < LIMITS.minPasswordLength ||
+       input.password.length > LIMITS.maxPasswordLength)) {
+    errors.push(`password must be ${LIMITS.minPasswordLength}-${LIMITS.maxPasswordLength} characters`);
+  }
+  if ((!existing || input.role !== undefined) && !ROLES.includes(input.role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (input.disabled !== undefined && typeof input.disabled !== 'boolean') {
+    errors.push('disabled must be a boolean if provided');
+  }
+
+  return errors;
+}
+
+/**
+ * Adds a local user
+ * @param {object} input - { username, password, role }
+ * @returns {Promise<object>} { errors } or { user }
+ */
+async function createUser(input) {
+  const errors = validateUser(input || {});
+  if (errors.length > 0) return { errors };
+
+  const now = new Date().toISOString();
+  const username = normalizeUsername(input.username);
+  const user = {
+    id: username,
+    username,
+    passwordHash: hashPassword(input.password),
+    role: input.role,
+    disabled: false,
+    source: 'store',
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  if (getConfiguredUsers().some(other => other.id === username) || !(await users.create(username, user))) {
+    return { errors: [`User ${username} already exists`] };
+  }
+  logger.info(`User added: ${username} (${user.role})`);
+  return { user: publicUser(user) };
+}
+
+/**
+ * Changes a stored user's password, role or disabled flag
+ * @returns {Promise<object|null>} { errors } or { user }; null if the user isn't in the store
+ */
+async function updateUser(id, patch) {
+  const existing = await users.get(normalizeUsername(id));
+  if (!existing) return null;
+
+  const changes = {};
+  ['password', 'role', 'disabled'].forEach((field) => {
+    if (patch && patch[field] !== undefined) changes[field] = patch[field];
+  });
+  const errors = validateUser(changes, existing);
+  if (errors.length > 0) return { errors };
+
+  const updated = await users.update(existing.id, (record) => {
+    if (changes.password !== undefined) record.passwordHash = hashPassword(changes.password);
+    if (changes.role !== undefined) record.role = changes.role;
+    if (changes.disabled !== undefined) record.disabled = changes.disabled;
+    record.updatedAt = new Date().toISOString();
+    return record;
+  });
+  logger.info(`User updated: ${existing.id}`);
+  return { user: publicUser(updated) };
+}
+
+/**
+ * Deletes a stored user
+ * @returns {Promise<boolean>} false if the user isn't in the store
+ */
+async function removeUser(id) {
+  const username = normalizeUsername(id);
+  if (!(await users.get(username))) return false;
+  await users.remove(username);
+  logger.info(`User removed: ${username}`);
+  return true;
+}
+
+/**
+ * Checks a username and password
+ * @returns {Promise<object|null>} The user (without hash), or null
+ */
+async function verifyCredentials(username, password) {
+  const user = await findUser(username);
+  const valid = verifyPassword(password, user ? user.passwordHash : getDummyHash());
+  return user && valid && !user.disabled ? publicUser(user) : null;
+}
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Configured API keys. API_KEYS is a JSON list of
+ *   { "id", "role", "key" } or { "id", "role", "keyHash": "<sha256 hex>" }
+ * @returns {object[]} [{ id, role, hash: Buffer }]
+ */
+function getApiKeys() {
+  const keys = [];
+
+  if (process.env.API_KEYS) {
+    try {
+      const parsed = JSON.parse(process.env.API_KEYS);
+      (Array.isArray(parsed) ? parsed : []).forEach((entry, index) => {
+        if (!entry || !ROLES.includes(entry.role) || !(entry.key || entry.keyHash)) return;
+        keys.push({
+          id: entry.id || `key_${index + 1}`,
+          role: entry.role,
+          hash: entry.keyHash ? Buffer.from(entry.keyHash, 'hex') : sha256(entry.key),
+        });
+      });
+    } catch (error) {
+      logger.error('API_KEYS is not valid JSON:', error.message);
+    }
+  }
+
+  // Older deployments: the shared admin key and Vercel's cron secret
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ id: 'admin-api-key', role: 'admin', hash: sha256(process.env.ADMIN_API_KEY) });
+  }
+  if (process.env.CRON_SECRET) {
+    keys.push({ id: 'cron', role: 'supervisor', hash: sha256(process.env.CRON_SECRET) });
+  }
+
+  return keys;
+}
+
+function findApiKey(provided) {
+  const hash = sha256(provided);
+  return getApiKeys().find(key => key.hash.length === hash.length && crypto.timingSafeEqual(key.hash, hash)) || null;
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Creates a signed token ("<payload>.<signature>", base64url)
+ * @param {object} claims - Stored in the token; `exp` is added
+ * @param {number} ttlMs - Lifetime
+ */
+function createSignedToken(claims, ttlMs) {
+  const secret = getSessionSecret();
+  if (!secret) throw new Error('AUTH_SESSION_SECRET is not set');
+
+  const payload = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + ttlMs })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Reads a token from createSignedToken()
+ * @returns {object|null} Claims, or null if tampered with or expired
+ */
+function readSignedToken(token) {
+  const secret = getSessionSecret();
+  const [payload, signature] = String(token || '').split('.');
+  if (!secret || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  return Object.fromEntries(String(header || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .flatMap((part) => {
+      const index = part.indexOf('=');
+      try {
+        return [[part.slice(0, index), decodeURIComponent(part.slice(index + 1))]];
+      } catch (error) {
+        // Skip a malformed value (e.g. another app's cookie on the domain)
+        return [];
+      }
+    }));
+}
+
+function isSecureRequest(req) {
+  const proto = (req.headers && req.headers['x-forwarded-proto']) || '';
+  return Boolean(process.env.VERCEL) || proto.split(',')[0].trim() === 'https';
+}
+
+/**
+ * Builds a Set-Cookie value (HttpOnly, SameSite=Lax)
+ * @param {number} maxAgeMs - 0 deletes the cookie
+ */
+function buildCookie(req, name, value, maxAgeMs) {
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    ...(isSecureRequest(req) ? ['Secure'] : []),
+  ].join('; ');
+}
+
+/**
+ * Starts a dashboard session
+ * @param {object} user - { username, role, via: 'local' | 'oidc', sub? }
+ * @returns {string} Set-Cookie header value
+ */
+function createSessionCookie(req, user) {
+  const ttl = getSessionTtlMs();
+  const token = createSignedToken({ sub: user.sub || user.username, username: user.username, role: user.role, via: user.via }, ttl);
+  return buildCookie(req, SESSION_COOKIE, token, ttl);
+}
+
+function clearSessionCookie(req) {
+  return buildCookie(req, SESSION_COOKIE, '', 0);
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+function readApiKey(req) {
+  const headers = req.headers || {};
+  const bearer = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return headers['x-api-key'] || headers['x-admin-key'] || (bearer && bearer[1]) || null;
+}
+
+/**
+ * Works out who sent a request
+ * @returns {Promise<object|null>} { type: 'apiKey' | 'user' | 'anonymous', id, role, via? }
+ *   or null when the request carries no valid credentials
+ */
+async function authenticateRequest(req) {
+  if (isAuthDisabled()) return { type: 'anonymous', id: 'auth-disabled', role: 'admin' };
+
+  const key = readApiKey(req);
+  if (key) {
+    const apiKey = findApiKey(key);
+    return apiKey ? { type: 'apiKey', id: apiKey.id, role: apiKey.role } : null;
+  }
+
+  const claims = readSignedToken(parseCookies(req.headers && req.headers.cookie)[SESSION_COOKIE]);
+  if (!claims || claims.scope) return null;
+
+  // Local users are looked up again so role changes and removals apply at once
+  if (claims.via === 'local') {
+    const user = await findUser(claims.username);
+    if (!user || user.disabled) return null;
+    return { type: 'user', id: user.username, role: user.role, via: 'local' };
+  }
+  return { type: 'user', id: claims.username, role: claims.role, via: claims.via };
+}
+
+module.exports = {
+  ROLES,
+  isAuthDisabled,
+  getSessionSecret,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  listUsers,
+  createUser,
+  updateUser,
+  removeUser,
+  verifyCredentials,
+  getApiKeys,
+  createSignedToken,
+  readSignedToken,
+  parseCookies,
+  buildCookie,
+  createSessionCookie,
+  clearSessionCookie,
+  authenticateRequest,
+};
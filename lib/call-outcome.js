@@ -0,0 +1,93 @@
+/**
+ * Call Outcome Detection
+ *
+ * Works out from a call-ended webhook whether the customer was actually
+ * reached. ElevenLabs reports unanswered calls in two ways:
+ *
+ *   - a `call_initiation_failure` webhook with data.failure_reason
+ *     ("busy", "no-answer", ...) when the call never connected
+ *   - a normal post-call webhook whose conversation shows nobody (or a
+ *     voicemail greeting as the first customer turn) on the other end
+ *
+ * Outcomes: answered, no_answer, busy, voicemail, short, failed
+ */
+
+const { normalizeText } = require('./language');
+
+// Shortest call (seconds) that counts as a real conversation
+const MIN_DURATION_SECS = Number(process.env.RETRY_MIN_DURATION_SECS) || 15;
+
+// Greetings that give away an answering machine on the customer's side
+const VOICEMAIL_PHRASES = [
+  'leave a message',
+  'leave your message',
+  'after the tone',
+  'after the beep',
+  'voicemail',
+  'voice mail',
+  'not available to take your call',
+  'the number you have dialed',
+  'the person you are calling',
+  'اترك رسالة',
+  'بعد سماع الصفارة',
+  'البريد الصوتي',
+  'الرقم المطلوب',
+  'संदेश छोड़',
+  'वॉइसमेल',
+].map(normalizeText);
+
+function outcome(name, reason) {
+  return { outcome: name, reason };
+}
+
+/**
+ * Classifies how a call ended
+ * @param {object} body - Webhook payload
+ * @param {object[]} turns - Normalized transcript turns (lib/transcript.js)
+ * @returns {object} { outcome, reason }
+ */
+function detectCallOutcome(body, turns) {
+  const data = body.data || body;
+
+  if (body.type === 'call_initiation_failure') {
+    const failure = String(data.failure_reason || 'unknown').toLowerCase().replace(/[\s_]/g, '-');
+    if (failure === 'busy') return outcome('busy', 'Line busy');
+    if (failure === 'no-answer') return outcome('no_answer', 'No answer');
+    return outcome('failed', `Call initiation failed (${data.failure_reason || 'unknown'})`);
+  }
+
+  if (data.status === 'failed') {
+    return outcome('failed', 'Conversation failed');
+  }
+
+  const terminationReason = String(data.metadata?.termination_reason || '').toLowerCase();
+  if (terminationReason.includes('voicemail')) {
+    return outcome('voicemail', `Terminated: ${data.metadata.termination_reason}`);
+  }
+
+  // An answering machine speaks first - a customer who later says "I'll
+  // leave a message" was still reached
+  const customerTurns = turns.filter(turn => turn.role === 'customer');
+  const greeting = customerTurns.length ? normalizeText(customerTurns[0].text) : '';
+  const phrase = VOICEMAIL_PHRASES.find(p => greeting.includes(p));
+  if (phrase) {
+    return outcome('voicemail', `Voicemail greeting: "${phrase}"`);
+  }
+
+  // Only trust "nobody spoke" when the transcript has speaker roles
+  const hasRoles = turns.some(turn => turn.role !== 'unknown');
+  if (hasRoles && customerTurns.length === 0) {
+    return outcome('no_answer', 'Customer never spoke');
+  }
+
+  const duration = data.metadata?.call_duration_secs;
+  if (typeof duration === 'number' && duration < MIN_DURATION_SECS) {
+    return outcome('short', `Call lasted ${duration}s (minimum ${MIN_DURATION_SECS}s)`);
+  }
+
+  return outcome('answered', 'Customer reached');
+}
+
+module.exports = {
+  detectCallOutcome,
+};
@@ -0,0 +1,250 @@
+/**
+ * Call Reason Catalogue
+ *
+ * The reasons we call customers for. Each entry has:
+ *   names    - display name per language (the first message falls back to
+ *              it when lib/first-messages.js has no phrase for the reason)
+ *   context  - JSON schema for the request's contextData (types, formats
+ *              like dates and amounts, enums like complaint status)
+ *   smsTypes - the SMS the call may produce; anything else the classifier
+ *              matches is dropped (lib/sms/policy.js)
+ *
+ * A request picks an entry with `preset` (the dashboard's preset buttons
+ * are rendered from GET /api/call-reasons). Its contextData is validated
+ * against the schema, and `callReason` defaults to the English name.
+ * Requests without a preset keep a free-text callReason and contextData.
+ *
+ * Supported schema keywords: type (string, number, integer, boolean), enum,
+ * format (date, date-time, amount), minimum, maximum, maxLength, pattern,
+ * required, additionalProperties. `title` labels the dashboard field.
+ */
+
+// ============================================================================
+// CATALOGUE
+// ============================================================================
+
+const CALL_REASONS = {
+  complaint: {
+    names: {
+      en: 'Complaint Resolution Update',
+      ar: 'تحديث بخصوص حل الشكوى',
+      hi: 'शिकायत समाधान अपडेट',
+    },
+    context: {
+      type: 'object',
+      properties: {
+        complaintStatus: { title: 'Complaint status', type: 'string', enum: ['Resolved', 'In Progress', 'Escalated', 'Closed'] },
+        caseReference: { title: 'Case reference', type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9\\-/]{2,34}$' },
+        resolutionDate: { title: 'Resolution date', type: 'string', format: 'date' },
+        resolutionSummary: { title: 'Resolution summary', type: 'string', maxLength: 500 },
+      },
+      required: ['complaintStatus'],
+      additionalProperties: false,
+    },
+    smsTypes: ['COMPLAINT_SMS', 'CALL_SUMMARY_SMS', 'OUTBOUND_CONFIRMATION_SMS'],
+  },
+
+  rewards: {
+    names: {
+      en: 'Rewards Points Expiry Reminder',
+      ar: 'تذكير بانتهاء صلاحية نقاط المكافآت',
+      hi: 'रिवॉर्ड पॉइंट्स की समाप्ति का रिमाइंडर',
+    },
+    context: {
+      type: 'object',
+      properties: {
+        pointsBalance: { title: 'Points balance', type: 'integer', minimum: 0 },
+        expiryDate: { title: 'Expiry date', type: 'string', format: 'date' },
+        redemptionOptions: { title: 'Redemption options', type: 'string', maxLength: 200 },
+      },
+      required: ['pointsBalance', 'expiryDate'],
+      additionalProperties: false,
+    },
+    smsTypes: ['REWARDS_SMS', 'REWARDS_TNC_SMS', 'REDEMPTION_SMS', 'CALL_SUMMARY_SMS', 'OUTBOUND_CONFIRMATION_SMS'],
+  },
+
+  account: {
+    names: {
+      en: 'Account Update Confirmation',
+      ar: 'تأكيد تحديث الحساب',
+      hi: 'खाता अपडेट की पुष्टि',
+    },
+    context: {
+      type: 'object',
+      properties: {
+        updateType: { title: 'Update type', type: 'string', enum: ['Contact details', 'Address', 'Email', 'Mobile number', 'Card limit'] },
+        updateDate: { title: 'Update date', type: 'string', format: 'date' },
+        updatedFields: { title: 'Updated fields', type: 'string', maxLength: 200 },
+      },
+      required: ['updateType', 'updateDate'],
+      additionalProperties: false,
+    },
+    smsTypes: ['CALL_SUMMARY_SMS', 'OUTBOUND_CONFIRMATION_SMS'],
+  },
+
+  payment: {
+    names: {
+      en: 'Payment Reminder',
+      ar: 'تذكير بموعد السداد',
+      hi: 'भुगतान रिमाइंडर',
+    },
+    context: {
+      type: 'object',
+      properties: {
+        amountDue: { title: 'Amount due (AED)', type: 'number', format: 'amount', minimum: 0 },
+        dueDate: { title: 'Due date', type: 'string', format: 'date' },
+        productType: { title: 'Product', type: 'string', enum: ['Credit card', 'Personal loan', 'Auto loan', 'Mortgage'] },
+        cardLastFour: { title: 'Card last 4 digits', type: 'string', pattern: '^\\d{4}$' },
+      },
+      required: ['amountDue', 'dueDate', 'productType'],
+      additionalProperties: false,
+    },
+    smsTypes: ['CALL_SUMMARY_SMS', 'OUTBOUND_CONFIRMATION_SMS'],
+  },
+
+  followup: {
+    names: {
+      en: 'Service Follow-up',
+      ar: 'متابعة الخدمة',
+      hi: 'सेवा फ़ॉलो-अप',
+    },
+    context: {
+      type: 'object',
+      properties: {
+        followupReason: { title: 'Follow-up reason', type: 'string', maxLength: 200 },
+        previousInteraction: { title: 'Previous interaction', type: 'string', maxLength: 500 },
+        transactionReference: { title: 'Transaction reference', type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9\\-/]{2,34}$' },
+      },
+      required: ['followupReason'],
+      additionalProperties: false,
+    },
+    smsTypes: ['TRANSACTION_SMS', 'TRANSACTION_REFERENCE_SMS', 'CALL_SUMMARY_SMS', 'OUTBOUND_CONFIRMATION_SMS'],
+  },
+};
+
+/**
+ * Looks up a catalogue entry
+ * @param {string} id - Reason id (request `preset`)
+ * @returns {object|null} { id, names, context, smsTypes }
+ */
+function getCallReason(id) {
+  if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(CALL_REASONS, id)) return null;
+  return { id, ...CALL_REASONS[id] };
+}
+
+/**
+ * The whole catalogue, in display order
+ */
+function listCallReasons() {
+  return Object.keys(CALL_REASONS).map(getCallReason);
+}
+
+/**
+ * Display name of a reason in a language, English as the fallback
+ */
+function getReasonName(reason, language = 'en') {
+  return reason.names[language] || reason.names.en;
+}
+
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  // Currency amounts: at most two decimals
+  amount: value => /^\d+(\.\d{1,2})?$/.test(String(value)),
+};
+
+// Form and CSV values arrive as strings - "1,500.50" is a valid number
+function coerce(value, type) {
+  if ((type === 'number' || type === 'integer') && typeof value === 'string' &&
+      /^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(value.trim())) {
+    return Number(value.trim().replace(/,/g, ''));
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function validateField(name, value, schema) {
+  if (!checkType(value, schema.type)) {
+    return `contextData.${name} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `contextData.${name} must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema.format && !FORMATS[schema.format](value)) {
+    const expected = { date: 'a date (YYYY-MM-DD)', 'date-time': 'an ISO 8601 date-time', amount: 'an amount with at most two decimals' };
+    return `contextData.${name} must be ${expected[schema.format]}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `contextData.${name} must be at least ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return `contextData.${name} must be at most ${schema.maximum}`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `contextData.${name} must be at most ${schema.maxLength} characters`;
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return `contextData.${name} has an invalid format`;
+  }
+  return null;
+}
+
+/**
+ * Validates contextData against a reason's schema
+ * @param {object} reason - getCallReason() entry
+ * @param {object} contextData - Request contextData
+ * @returns {object} { errors: string[], contextData } - contextData with
+ *   numbers and booleans converted from their string form
+ */
+function validateContextData(reason, contextData = {}) {
+  const schema = reason.context;
+  const errors = [];
+  const result = {};
+
+  for (const [name, raw] of Object.entries(contextData || {})) {
+    if (raw === '' || raw === null || raw === undefined) continue;
+
+    const field = schema.properties[name];
+    if (!field) {
+      if (schema.additionalProperties === false) {
+        errors.push(`contextData.${name} is not a field of "${reason.id}" (allowed: ${Object.keys(schema.properties).join(', ')})`);
+      } else {
+        result[name] = raw;
+      }
+      continue;
+    }
+
+    const value = coerce(raw, field.type);
+    const error = validateField(name, value, field);
+    if (error) errors.push(error);
+    result[name] = value;
+  }
+
+  (schema.required || [])
+    .filter(name => !(name in result))
+    .forEach(name => errors.push(`contextData.${name} is required for "${reason.id}"`));
+
+  return { errors, contextData: result };
+}
+
+module.exports = {
+  CALL_REASONS,
+  getCallReason,
+  listCallReasons,
+  getReasonName,
+  validateContextData,
+};
@@ -0,0 +1,196 @@
+/**
+ * Live Call Status
+ *
+ * Combines the call registry record (lib/calls.js) with the ElevenLabs
+ * conversation into one snapshot for the dashboard:
+ *
+ *   phase: initiated -> ringing -> in_progress -> ended -> completed
+ *          (or failed when ElevenLabs reports the call failed)
+ *
+ * ElevenLabs is only polled until the call-ended webhook has recorded
+ * 'ended'; from then on the registry events supply the outcome, the
+ * classification and each SMS result. The snapshot is `final` once the
+ * webhook has finished with the call (every selected SMS has a result,
+ * or a retry was scheduled) - or CALL_STATUS_SETTLE_SECONDS after its
+ * last event (or after the call ended, if the webhook never arrives).
+ */
+
+const { getConversation } = require('./elevenlabs');
+const { getRetryPolicy } = require('./retries');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const LIMITS = {
+  // Default stream length on Vercel - below its default function duration
+  vercelStreamSeconds: 8,
+};
+
+/**
+ * Reads the polling settings from the environment
+ * @returns {object} { pollMs, streamMs, settleMs }
+ */
+function getStatusConfig() {
+  const seconds = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return (Number.isFinite(value) && value > 0 ? value : fallback) * 1000;
+  };
+
+  return {
+    pollMs: seconds('CALL_STATUS_POLL_SECONDS', 3),
+    // One stream lasts at most this long; EventSource reconnects by itself.
+    // Vercel stops a function after its maximum duration, so stay under it
+    streamMs: seconds('CALL_STATUS_STREAM_SECONDS', process.env.VERCEL ? LIMITS.vercelStreamSeconds : 240),
+    settleMs: seconds('CALL_STATUS_SETTLE_SECONDS', 60),
+  };
+}
+
+// ElevenLabs conversation status -> dashboard phase
+const CONVERSATION_PHASES = {
+  initiated: 'ringing',
+  'in-progress': 'in_progress',
+  processing: 'ended',
+  done: 'ended',
+  failed: 'failed',
+};
+
+const SMS_EVENTS = {
+  sms_sent: 'sent',
+  sms_blocked: 'blocked',
+  sms_failed: 'failed',
+};
+
+// ============================================================================
+// SNAPSHOT
+// ============================================================================
+
+function lastEvent(events, type) {
+  return [...events].reverse().find(event => event.type === type) || null;
+}
+
+// The webhook is done once every SMS it selected has a result
+function isProcessed(events, classified) {
+  if (events.some(event => event.type === 'retry_scheduled')) return true;
+
+  const smsEvents = events.filter(event => SMS_EVENTS[event.type]);
+  if (events.some(event => event.type === 'retries_exhausted')) {
+    return smsEvents.length > 0 || !getRetryPolicy().finalSms;
+  }
+  if (!classified) return false;
+
+  // Nothing to send, or an SMS blocked for the whole call (no smsType)
+  if (!classified.shouldSend || smsEvents.some(event => !event.smsType)) {
+    return smsEvents.length > 0;
+  }
+  return classified.messages.every(message => smsEvents.some(event => event.smsType === message.smsType));
+}
+
+// Latest delivery report for a sent message (Twilio status callbacks)
+function describeDelivery(call, messageId) {
+  const message = messageId && (call.messages || []).find(m => m.messageId === messageId);
+  return message ? { status: message.status, errorCode: message.errorCode, retriedBy: message.retriedBy } : null;
+}
+
+function describeRetry(events) {
+  const scheduled = lastEvent(events, 'retry_scheduled');
+  if (scheduled) {
+    return { scheduledCallId: scheduled.scheduledCallId, dueAt: scheduled.dueAt, nextAttempt: scheduled.nextAttempt };
+  }
+  const exhausted = lastEvent(events, 'retries_exhausted');
+  return exhausted ? { exhausted: true, attempt: exhausted.attempt } : null;
+}
+
+/**
+ * Builds the status snapshot of a call
+ * @param {object} call - Call registry record
+ * @param {object|null} conversation - ElevenLabs conversation (getConversation), if fetched
+ * @param {Date} now - Clock, for durations and settling
+ * @returns {object} { callId, conversationId, phase, final, conversationStatus, startedAt,
+ *   durationSecs, outcome, classification, sms[], retry, updatedAt }
+ */
+function describeCallStatus(call, conversation = null, now = new Date()) {
+  const events = call.events || [];
+  const ended = lastEvent(events, 'ended');
+  const classified = lastEvent(events, 'classified');
+  const conversationStatus = conversation ? conversation.status || null : null;
+  const metadata = (conversation && conversation.metadata) || {};
+
+  let phase = ended ? 'ended' : CONVERSATION_PHASES[conversationStatus] || 'initiated';
+
+  const startedAt = metadata.start_time_unix_secs
+    ? new Date(metadata.start_time_unix_secs * 1000).toISOString()
+    : null;
+  let durationSecs = null;
+  if (ended && ended.duration != null) {
+    durationSecs = ended.duration;
+  } else if (metadata.call_duration_secs != null && phase !== 'in_progress') {
+    durationSecs = metadata.call_duration_secs;
+  } else if (phase === 'in_progress' && startedAt) {
+    durationSecs = Math.max(0, Math.round((now.getTime() - Date.parse(startedAt)) / 1000));
+  }
+
+  // Without the webhook (not configured, or it never arrived) the call
+  // settles on what ElevenLabs reported
+  const { settleMs } = getStatusConfig();
+  const lastAt = events.length > 0 ? Date.parse(events[events.length - 1].at) : 0;
+  const conversationEndedAt = conversationStatus === 'done' && startedAt
+    ? Date.parse(startedAt) + (metadata.call_duration_secs || 0) * 1000
+    : null;
+  const final = phase === 'failed'
+    || Boolean(ended && (isProcessed(events, classified) || now.getTime() - lastAt >= settleMs))
+    || Boolean(!ended && conversationEndedAt && now.getTime() - conversationEndedAt >= settleMs);
+  if (phase === 'ended' && final) phase = 'completed';
+
+  return {
+    callId: call.id,
+    conversationId: call.conversationId,
+    phase,
+    final,
+    conversationStatus,
+    startedAt,
+    durationSecs,
+    outcome: ended ? ended.outcome || null : null,
+    classification: classified ? {
+      shouldSend: classified.shouldSend,
+      reason: classified.reason || null,
+      confidence: classified.confidence ?? null,
+      smsTypes: (classified.messages || []).map(message => message.smsType),
+    } : null,
+    sms: events.filter(event => SMS_EVENTS[event.type]).map(event => ({
+      smsType: event.smsType || null,
+      status: SMS_EVENTS[event.type],
+      messageId: event.messageId || null,
+      reason: event.reason || event.error || null,
+      code: event.code || null,
+      delivery: describeDelivery(call, event.messageId),
+      at: event.at,
+    })),
+    retry: describeRetry(events),
+    updatedAt: call.updatedAt,
+  };
+}
+
+/**
+ * Current status of a call, asking ElevenLabs while the call is live
+ * @param {object} call - Call registry record
+ * @returns {Promise<object>} describeCallStatus() snapshot, plus
+ *   conversationError when ElevenLabs could not be reached
+ */
+async function getCallStatus(call) {
+  const ended = (call.events || []).some(event => event.type === 'ended');
+  if (ended || !call.conversationId) return describeCallStatus(call);
+
+  try {
+    return describeCallStatus(call, await getConversation(call.conversationId));
+  } catch (error) {
+    // Transient (or the conversation isn't visible yet) - the registry still answers
+    return { ...describeCallStatus(call), conversationError: error.message };
+  }
+}
+
+module.exports = {
+  getStatusConfig,
+  describeCallStatus,
+  getCallStatus,
+};
@@ -0,0 +1,276 @@
+/**
+ * Calling Hours
+ *
+ * Decides when a customer may be called. Times are evaluated in the
+ * customer's timezone (CALL_TIMEZONE, default Asia/Dubai):
+ *
+ *   quiet hours  - CALL_QUIET_HOURS, no calls at all (default 21:00-09:00)
+ *   blackouts    - CALL_BLACKOUTS, e.g. Friday prayers (default fri 12:00-14:00)
+ *   preferred    - per-request windows; when given, calls only happen inside one
+ *
+ * Windows are written as "[days ]HH:MM-HH:MM" where days is "daily" (the
+ * default), a day ("fri"), a range ("sun-thu") or a list ("mon,wed").
+ * Windows may cross midnight ("21:00-09:00"). Several windows are separated
+ * by ";". CALL_TIMEZONE_RULES overrides the rules for specific timezones:
+ *
+ *   {"Asia/Kolkata": {"quietHours": "21:00-09:00", "blackouts": ""}}
+ */
+
+const { logger } = require('./log');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_TIMEZONE = process.env.CALL_TIMEZONE || 'Asia/Dubai';
+
+const DEFAULT_RULES = {
+  quietHours: process.env.CALL_QUIET_HOURS ?? '21:00-09:00',
+  blackouts: process.env.CALL_BLACKOUTS ?? 'fri 12:00-14:00',
+};
+
+// How far ahead nextAllowedTime() looks before giving up
+const SEARCH_DAYS = 14;
+
+// ============================================================================
+// WINDOW PARSING
+// ============================================================================
+
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${text}" (expected HH:MM)`);
+  }
+  return Math.min(Number(match[1]) * 60 + Number(match[2]), 24 * 60);
+}
+
+function parseDays(text) {
+  if (!text || text === 'daily') return DAYS.map((_, index) => index);
+
+  const dayIndex = (name) => {
+    const index = DAYS.indexOf(name.slice(0, 3));
+    if (index === -1) throw new Error(`Invalid day "${name}"`);
+    return index;
+  };
+
+  const days = new Set();
+  for (const part of text.split(',')) {
+    const [from, to] = part.split('-').map(day => dayIndex(day.trim()));
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    // Ranges wrap around the week, e.g. sat-thu
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return [...days];
+}
+
+/**
+ * Parses one window, e.g. "sun-thu 10:00-12:00"
+ * @returns {object} { text, days: number[], start, end } - minutes since midnight
+ * @throws {Error} When the window is malformed
+ */
+function parseWindow(text) {
+  const value = String(text).trim().toLowerCase();
+  const match = /^(?:([a-z,\- ]+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid window "${text}" (expected "[days ]HH:MM-HH:MM")`);
+  }
+
+  return {
+    text: String(text).trim(),
+    days: parseDays(match[1] && match[1].replace(/\s+/g, '')),
+    start: parseClock(match[2]),
+    end: parseClock(match[3]),
+  };
+}
+
+/**
+ * Parses a ";"-separated list (or an array) of windows
+ */
+function parseWindows(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(';');
+  return list.map(item => String(item).trim()).filter(Boolean).map(parseWindow);
+}
+
+// ============================================================================
+// TIMEZONES
+// ============================================================================
+
+const formatters = {};
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local weekday and minute-of-day for an instant in a timezone
+ * @returns {object} { day: 0-6 (Sunday = 0), minutes }
+ */
+function getLocalTime(date, timezone) {
+  const formatter = formatters[timezone] || (formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }));
+
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function inWindow(window, { day, minutes }) {
+  if (window.start <= window.end) {
+    return window.days.includes(day) && minutes >= window.start && minutes < window.end;
+  }
+  // Crosses midnight: the evening part belongs to `day`, the morning part to the day before
+  return (window.days.includes(day) && minutes >= window.start) ||
+         (window.days.includes((day + 6) % 7) && minutes < window.end);
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Quiet hours and blackouts that apply in a timezone
+ * @returns {object} { quietHours: window[], blackouts: window[] }
+ */
+function getCallingRules(timezone = DEFAULT_TIMEZONE) {
+  let overrides = {};
+  if (process.env.CALL_TIMEZONE_RULES) {
+    try {
+      overrides = JSON.parse(process.env.CALL_TIMEZONE_RULES)[timezone] || {};
+    } catch (error) {
+      logger.error('Ignoring invalid CALL_TIMEZONE_RULES:', error.message);
+    }
+  }
+
+  return {
+    quietHours: parseWindows(overrides.quietHours ?? DEFAULT_RULES.quietHours),
+    blackouts: parseWindows(overrides.blackouts ?? DEFAULT_RULES.blackouts),
+  };
+}
+
+function buildContext(options) {
+  const timezone = options.timezone || DEFAULT_TIMEZONE;
+  return {
+    timezone,
+    rules: getCallingRules(timezone),
+    preferred: parseWindows(options.preferredWindows || []),
+  };
+}
+
+function check(date, { timezone, rules, preferred }) {
+  const local = getLocalTime(date, timezone);
+
+  const quiet = rules.quietHours.find(window => inWindow(window, local));
+  if (quiet) return { allowed: false, reason: `Quiet hours (${quiet.text}, ${timezone})` };
+
+  const blackout = rules.blackouts.find(window => inWindow(window, local));
+  if (blackout) return { allowed: false, reason: `Blackout (${blackout.text}, ${timezone})` };
+
+  if (preferred.length > 0 && !preferred.some(window => inWindow(window, local))) {
+    return { allowed: false, reason: 'Outside the customer\'s preferred calling windows' };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Checks whether a call may be placed at a given instant
+ * @param {Date} date - Instant to check
+ * @param {object} options - { timezone?, preferredWindows?: string[] }
+ * @returns {object} { allowed: boolean, reason?: string }
+ */
+function isCallAllowed(date, options = {}) {
+  return check(date, buildContext(options));
+}
+
+/**
+ * Earliest instant at or after `from` when a call is allowed
+ * @param {Date} from - Start of the search
+ * @param {object} options - { timezone?, preferredWindows? }
+ * @returns {Date|null} null if nothing is allowed within SEARCH_DAYS
+ */
+function nextAllowedTime(from, options = {}) {
+  const context = buildContext(options);
+  if (check(from, context).allowed) return new Date(from);
+
+  // Windows are minute-aligned, so checking each following minute is enough
+  const stepMs = 60 * 1000;
+  const limit = from.getTime() + SEARCH_DAYS * 24 * 60 * stepMs;
+
+  for (let candidate = Math.ceil(from.getTime() / stepMs) * stepMs; candidate <= limit; candidate += stepMs) {
+    if (check(new Date(candidate), context).allowed) return new Date(candidate);
+  }
+  return null;
+}
+
+/**
+ * Index of the first window containing an instant
+ * @param {Date} date - Instant to check
+ * @param {string[]} windows - Window strings
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Window index, or -1
+ */
+function windowIndexAt(date, windows, timezone = DEFAULT_TIMEZONE) {
+  const local = getLocalTime(date, timezone);
+  return parseWindows(windows).findIndex(window => inWindow(window, local));
+}
+
+/**
+ * Validates the scheduling fields of an outbound call request
+ * @param {object} body - { scheduledAt?, timezone?, preferredWindows? }
+ * @returns {string[]} Validation errors
+ */
+function validateSchedule(body) {
+  const errors = [];
+
+  // null means "no schedule" (splitSchedule() stores it that way)
+  if (body.scheduledAt != null &&
+      (typeof body.scheduledAt !== 'string' || Number.isNaN(Date.parse(body.scheduledAt)))) {
+    errors.push('scheduledAt must be an ISO 8601 date-time (e.g., 2025-01-15T10:30:00+04:00)');
+  }
+
+  if (body.timezone !== undefined && (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone))) {
+    errors.push('timezone must be an IANA timezone (e.g., Asia/Dubai)');
+  }
+
+  if (body.preferredWindows !== undefined) {
+    if (!Array.isArray(body.preferredWindows)) {
+      errors.push('preferredWindows must be an array of windows (e.g., ["sun-thu 10:00-12:00"])');
+    } else {
+      body.preferredWindows.forEach(window => {
+        try {
+          parseWindow(window);
+        } catch (error) {
+          errors.push(`preferredWindows: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  parseWindow,
+  getCallingRules,
+  isCallAllowed,
+  nextAllowedTime,
+  windowIndexAt,
+  validateSchedule,
+};
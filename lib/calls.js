@@ -0,0 +1,203 @@
+/**
+ * Call Registry
+ *
+ * Persists every outbound call at initiation (original request, outbound
+ * context, ElevenLabs ids) so the call-ended webhook can look the call up
+ * by conversation id instead of guessing from the payload.
+ *
+ * Each record accumulates its lifecycle as a list of events:
+ *   initiated -> ended -> classified -> sms_sent | sms_blocked | sms_failed
+ *   initiated -> ended -> retry_scheduled | retries_exhausted (unanswered)
+ *   ... -> sms_sent -> sms_delivered | sms_undelivered (Twilio status callbacks)
+ *
+ * `messages` holds the latest delivery state of every SMS sent for the call
+ * (lib/sms/messages.js).
+ *
+ * Retries (lib/retries.js) are separate call records pointing at the
+ * original with `retryOf`. The original keeps the `attempts` list for the
+ * whole request.
+ *
+ * The call-ended webhook also stores the `conversation`: transcript turns,
+ * the ElevenLabs analysis summary and the duration.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+const calls = createStore('calls');
+
+/**
+ * Saves a newly initiated outbound call
+ * @param {object} params - { request, outboundContext, result, source?, campaignId?,
+ *   scheduledCallId?, retryOf?, attempt?, overrideCaps?, caller?, agentId?, routeId?, actor? }
+ * @returns {Promise<object>} The stored call record
+ */
+async function recordInitiatedCall(params) {
+  const { request, outboundContext, result, source, campaignId, scheduledCallId, retryOf } = params;
+  const now = new Date().toISOString();
+  const conversationId = result.conversation_id || null;
+
+  const record = {
+    id: conversationId || result.callSid || `call_${crypto.randomUUID()}`,
+    conversationId,
+    callSid: result.callSid || null,
+    status: 'initiated',
+    source: source || 'api',
+    campaignId: campaignId || null,
+    scheduledCallId: scheduledCallId || null,
+    retryOf: retryOf || null,
+    attempt: params.attempt || 1,
+    capsOverridden: Boolean(params.overrideCaps),
+    requestedBy: params.actor || null,
+    agentPhoneNumberId: params.caller ? params.caller.id : null,
+    agentNumber: params.caller ? params.caller.number : null,
+    agentId: params.agentId || null,
+    routeId: params.routeId || null,
+    phoneNumber: request.phoneNumber,
+    customer: request.fullName,
+    callReason: request.callReason,
+    preferredLanguage: request.preferredLanguage,
+    request,
+    outboundContext,
+    createdAt: now,
+    updatedAt: now,
+    events: [{ type: 'initiated', at: now }],
+  };
+
+  const attempt = { attempt: record.attempt, callId: record.id, status: 'initiated', at: now };
+  if (!retryOf) record.attempts = [attempt];
+
+  await calls.put(record.id, record);
+  if (retryOf) await recordAttempt(retryOf, attempt);
+  return record;
+}
+
+/**
+ * Adds or updates one attempt in the original call's attempt list
+ * @param {string} rootId - Id of the first call for the request
+ * @param {object} attempt - { attempt, callId?, status, ... } merged by attempt number
+ */
+async function recordAttempt(rootId, attempt) {
+  return calls.update(rootId, (record) => {
+    record.attempts = record.attempts || [];
+    const existing = record.attempts.find(a => a.attempt === attempt.attempt);
+    if (existing) {
+      Object.assign(existing, attempt);
+    } else {
+      record.attempts.push(attempt);
+      record.attempts.sort((a, b) => a.attempt - b.attempt);
+    }
+    record.updatedAt = new Date().toISOString();
+    return record;
+  });
+}
+
+/**
+ * Appends a lifecycle event to a call and makes it the call's status
+ * @param {string} id - Call id (conversation id)
+ * @param {string} type - Event type (ended, classified, sms_sent, ...)
+ * @param {object} details - Extra fields stored on the event
+ * @returns {Promise<object|null>} Updated record, or null if the call is unknown
+ */
+async function appendCallEvent(id, type, details = {}) {
+  return calls.update(id, (record) => {
+    const now = new Date().toISOString();
+    record.events.push({ type, at: now, ...details });
+    record.status = type;
+    record.updatedAt = now;
+    return record;
+  });
+}
+
+/**
+ * Adds or updates one SMS in the call's message list, by message id.
+ * Doesn't change the call's status - see appendCallEvent() for that.
+ * @param {string} id - Call id (conversation id)
+ * @param {object} message - { messageId, smsType, status, errorCode, ... }
+ * @returns {Promise<object|null>} Updated record, or null if the call is unknown
+ */
+async function recordCallMessage(id, message) {
+  return calls.update(id, (record) => {
+    record.messages = record.messages || [];
+    const existing = record.messages.find(m => m.messageId === message.messageId);
+    if (existing) {
+      Object.assign(existing, message);
+    } else {
+      record.messages.push(message);
+    }
+    record.updatedAt = new Date().toISOString();
+    return record;
+  });
+}
+
+/**
+ * Stores what was said on a call, from the post-call webhook
+ * @param {string} id - Call id (conversation id)
+ * @param {object} conversation - { turns, summary, callSuccessful, durationSecs,
+ *   startedAt, terminationReason, evaluationCriteria, dataCollection }
+ * @returns {Promise<object|null>} Updated record, or null if the call is unknown
+ */
+async function recordConversation(id, conversation) {
+  return calls.update(id, (record) => {
+    const now = new Date().toISOString();
+    record.conversation = { ...conversation, receivedAt: now };
+    record.updatedAt = now;
+    return record;
+  });
+}
+
+/**
+ * Looks up a call by its id (conversation id or call SID)
+ */
+async function getCall(id) {
+  if (!id) return null;
+  return calls.get(id);
+}
+
+function contains(value, search) {
+  return String(value || '').toLowerCase().includes(String(search).trim().toLowerCase());
+}
+
+// SMS types the call selected or tried to send
+function smsTypesOf(call) {
+  return call.events.flatMap(event => (event.type === 'classified'
+    ? (event.messages || []).map(message => message.smsType)
+    : [event.smsType]))
+    .filter(Boolean);
+}
+
+/**
+ * Lists calls, newest first
+ * @param {object} filters - { phone?, name?, reason?, smsType?, from?, to?,
+ *   status?, campaignId?, limit? } where phone matches any part of the
+ *   number, name and reason are case-insensitive substrings (reason also
+ *   matches the catalogue preset), and from / to are dates or ISO
+ *   date-times (a date `to` includes the whole day, UTC)
+ */
+async function listCalls(filters = {}) {
+  const limit = Math.min(Number(filters.limit) || 100, 500);
+  const phoneDigits = String(filters.phone || '').replace(/\D/g, '');
+
+  return (await calls.list())
+    .filter(call => !filters.phone || (phoneDigits && call.phoneNumber.replace(/\D/g, '').includes(phoneDigits)))
+    .filter(call => !filters.name || contains(call.customer, filters.name))
+    .filter(call => !filters.reason || contains(call.callReason, filters.reason) ||
+      (call.request && call.request.preset === filters.reason))
+    .filter(call => !filters.smsType || smsTypesOf(call).includes(filters.smsType))
+    .filter(call => !filters.from || call.createdAt >= filters.from)
+    .filter(call => !filters.to || call.createdAt.slice(0, filters.to.length) <= filters.to)
+    .filter(call => !filters.status || call.status === filters.status)
+    .filter(call => !filters.campaignId || call.campaignId === filters.campaignId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+module.exports = {
+  recordInitiatedCall,
+  appendCallEvent,
+  recordAttempt,
+  recordCallMessage,
+  recordConversation,
+  getCall,
+  listCalls,
+};
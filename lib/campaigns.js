@@ -0,0 +1,365 @@
+/**
+ * Batch Outbound Campaigns
+ *
+ * A campaign is a list of outbound call requests (uploaded as CSV or JSON)
+ * that are dialed with a concurrency and calls-per-minute limit.
+ *
+ * Campaigns are advanced in "ticks": every tick dials as many queued rows as
+ * the pacing limits allow and persists the result. The Express server ticks
+ * on a timer; on Vercel every status poll ticks the campaign, so progress
+ * does not depend on a long-running process.
+ *
+ * Dialing pauses during quiet hours and blackouts (lib/calling-hours.js,
+ * default timezone); the campaign's `hold` says why.
+ *
+ * Row statuses: queued -> dialing -> initiated | failed
+ *
+ * `concurrency` limits live calls: an initiated row counts until the call
+ * registry (lib/calls.js) records that its call ended, which sets the row's
+ * `endedAt`, or until it has been up for LIMITS.liveCallTimeoutMs (the
+ * webhook never came) and gets `endedAt` with `endReason: "timeout"`.
+ *
+ * Each row is also claimed in the "campaign-dials" collection before it is
+ * dialed (store create(), HSETNX on kv), so overlapping ticks - the Express
+ * timer and a supervisor's poll, or two serverless instances - can never
+ * call a customer twice.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { validateRequest, normalizeRequest, initiateOutboundCall } = require('./outbound');
+const { getCall } = require('./calls');
+const { isCallAllowed } = require('./calling-hours');
+const { parseCsv } = require('./csv');
+const { logger } = require('./log');
+
+const campaigns = createStore('campaigns');
+const dials = createStore('campaign-dials');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULTS = {
+  concurrency: Number(process.env.CAMPAIGN_CONCURRENCY) || 2,
+  callsPerMinute: Number(process.env.CAMPAIGN_CALLS_PER_MINUTE) || 10,
+};
+
+const LIMITS = {
+  maxRows: Number(process.env.CAMPAIGN_MAX_ROWS) || 1000,
+  maxConcurrency: 10,
+  maxCallsPerMinute: 60,
+  // A row stuck in "dialing" this long was lost (e.g. the function timed out)
+  dialTimeoutMs: 2 * 60 * 1000,
+  // An initiated call with no call-ended webhook after this long stops
+  // counting against concurrency
+  liveCallTimeoutMs: Number(process.env.CAMPAIGN_LIVE_CALL_TIMEOUT_MS) || 30 * 60 * 1000,
+};
+
+// Columns mapped directly onto the outbound call request
+const REQUEST_COLUMNS = ['phoneNumber', 'fullName', 'preferredLanguage', 'callReason', 'agentPhoneNumberId', 'preset', 'honorific', 'gender'];
+
+// Columns with this prefix are collected into contextData
+const CONTEXT_PREFIX = 'context_';
+
+// ============================================================================
+// ROWS
+// ============================================================================
+
+/**
+ * Maps an uploaded row onto an outbound call request.
+ * context_* columns become contextData fields; a JSON row may also carry
+ * a contextData object directly.
+ */
+function rowToRequest(row) {
+  const request = {};
+  const contextData = row.contextData && typeof row.contextData === 'object'
+    ? { ...row.contextData }
+    : {};
+
+  for (const [key, value] of Object.entries(row)) {
+    if (REQUEST_COLUMNS.includes(key)) {
+      request[key] = typeof value === 'string' ? value.trim() : value;
+    } else if (key.startsWith(CONTEXT_PREFIX) && value !== '' && value != null) {
+      contextData[key.slice(CONTEXT_PREFIX.length)] = value;
+    }
+  }
+
+  if (Object.keys(contextData).length > 0) {
+    request.contextData = contextData;
+  }
+
+  return request;
+}
+
+// ============================================================================
+// CAMPAIGN LIFECYCLE
+// ============================================================================
+
+function clamp(value, fallback, max) {
+  const number = Math.floor(Number(value));
+  if (!Number.isFinite(number) || number < 1) return fallback;
+  return Math.min(number, max);
+}
+
+/**
+ * Adds per-status counts to a campaign for API responses
+ */
+function withSummary(campaign) {
+  const summary = { total: campaign.rows.length, queued: 0, dialing: 0, initiated: 0, failed: 0 };
+  campaign.rows.forEach(row => { summary[row.status]++; });
+  return { ...campaign, summary };
+}
+
+/**
+ * Creates a campaign from CSV text or an array of row objects.
+ * Every row is validated up front; invalid rows are recorded as failed
+ * and the rest are queued.
+ * @param {object} input - { name?, csv?, rows?, concurrency?, callsPerMinute? }
+ * @param {object|null} actor - Who started it (lib/audit.js); its calls are audited under this actor
+ * @returns {Promise<object>} { errors } if the upload itself is unusable, otherwise { campaign }
+ */
+async function createCampaign(input, actor = null) {
+  let sourceRows;
+  if (typeof input.csv === 'string') {
+    sourceRows = parseCsv(input.csv);
+  } else if (Array.isArray(input.rows)) {
+    sourceRows = input.rows;
+  } else {
+    return { errors: ['Provide either "csv" (string) or "rows" (array)'] };
+  }
+
+  if (sourceRows.length === 0) {
+    return { errors: ['Campaign contains no rows'] };
+  }
+  if (sourceRows.length > LIMITS.maxRows) {
+    return { errors: [`Campaign exceeds the maximum of ${LIMITS.maxRows} rows`] };
+  }
+
+  const now = new Date().toISOString();
+
+  const rows = sourceRows.map((sourceRow, index) => {
+    const request = rowToRequest(sourceRow && typeof sourceRow === 'object' ? sourceRow : {});
+    const validationErrors = validateRequest(request);
+
+    if (validationErrors.length > 0) {
+      return {
+        index,
+        request,
+        status: 'failed',
+        error: 'Validation failed',
+        details: validationErrors,
+        updatedAt: now,
+      };
+    }
+
+    return { index, request: normalizeRequest(request), status: 'queued', updatedAt: now };
+  });
+
+  const campaign = {
+    id: `cmp_${crypto.randomUUID()}`,
+    name: input.name || `Campaign ${now}`,
+    status: rows.some(row => row.status === 'queued') ? 'running' : 'completed',
+    options: {
+      concurrency: clamp(input.concurrency, DEFAULTS.concurrency, LIMITS.maxConcurrency),
+      callsPerMinute: clamp(input.callsPerMinute, DEFAULTS.callsPerMinute, LIMITS.maxCallsPerMinute),
+    },
+    createdBy: actor,
+    createdAt: now,
+    updatedAt: now,
+    rows,
+  };
+
+  await campaigns.put(campaign.id, campaign);
+
+  logger.info('Campaign created:', {
+    id: campaign.id,
+    rows: rows.length,
+    invalid: rows.filter(row => row.status === 'failed').length,
+    options: campaign.options,
+  });
+
+  return { campaign: withSummary(campaign) };
+}
+
+/**
+ * Dials one row and returns the fields to merge into it
+ */
+async function dialRow(campaign, row) {
+  try {
+    const result = await initiateOutboundCall(row.request, {
+      source: 'campaign',
+      campaignId: campaign.id,
+      actor: campaign.createdBy || null,
+    });
+    return {
+      status: 'initiated',
+      conversationId: result.conversation_id,
+      callSid: result.callSid,
+      initiatedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    logger.error(`Campaign row ${row.index} failed:`, error.message);
+    return {
+      status: 'failed',
+      error: error.message,
+      code: error.code || null,
+    };
+  }
+}
+
+function isLive(row) {
+  return row.status === 'initiated' && !row.endedAt;
+}
+
+/**
+ * Works out which live rows' calls have ended since the last tick
+ * @returns {Promise<object>} row index -> { endedAt, endReason }
+ */
+async function findEndedCalls(campaign, nowMs) {
+  const ended = {};
+
+  for (const row of campaign.rows.filter(isLive)) {
+    const record = row.conversationId ? await getCall(row.conversationId) : null;
+    const event = record && record.events.find(e => e.type === 'ended');
+    if (event) {
+      ended[row.index] = { endedAt: event.at, endReason: 'ended' };
+    } else if (nowMs - Date.parse(row.initiatedAt || row.updatedAt) > LIMITS.liveCallTimeoutMs) {
+      ended[row.index] = { endedAt: new Date(nowMs).toISOString(), endReason: 'timeout' };
+    }
+  }
+
+  return ended;
+}
+
+/**
+ * Runs one pacing tick for a campaign: dials as many queued rows as the
+ * concurrency and calls-per-minute limits currently allow.
+ * @param {string} id - Campaign id
+ * @returns {Promise<object|null>} The campaign with summary, or null if not found
+ */
+async function advanceCampaign(id) {
+  const nowMs = Date.now();
+  let batch = [];
+
+  const existing = await campaigns.get(id);
+  if (!existing) return null;
+  const ended = existing.status === 'running' ? await findEndedCalls(existing, nowMs) : {};
+
+  // Reserve rows first so an overlapping tick cannot dial them twice
+  const campaign = await campaigns.update(id, (current) => {
+    if (current.status !== 'running') return current;
+
+    const now = new Date(nowMs).toISOString();
+
+    current.rows.forEach(row => {
+      if (row.status === 'dialing' && nowMs - Date.parse(row.dialedAt) > LIMITS.dialTimeoutMs) {
+        row.status = 'failed';
+        row.error = 'Dial attempt timed out';
+        row.updatedAt = now;
+      }
+    });
+
+    const callingHours = isCallAllowed(new Date(nowMs));
+    current.hold = callingHours.allowed ? null : callingHours.reason;
+
+    current.rows.forEach(row => {
+      if (isLive(row) && ended[row.index]) Object.assign(row, ended[row.index]);
+    });
+
+    // Calls being placed plus calls still in progress
+    const inFlight = current.rows.filter(row => row.status === 'dialing' || isLive(row)).length;
+    const dialedLastMinute = current.rows.filter(row => row.dialedAt && nowMs - Date.parse(row.dialedAt) < 60 * 1000).length;
+    const slots = callingHours.allowed ? Math.min(
+      current.options.concurrency - inFlight,
+      current.options.callsPerMinute - dialedLastMinute,
+    ) : 0;
+
+    batch = slots > 0
+      ? current.rows.filter(row => row.status === 'queued').slice(0, slots)
+      : [];
+
+    batch.forEach(row => {
+      row.status = 'dialing';
+      row.dialedAt = now;
+      row.updatedAt = now;
+    });
+
+    current.updatedAt = now;
+    return current;
+  });
+
+  if (!campaign) return null;
+
+  // Only dial the rows this tick wins
+  const claimed = [];
+  for (const row of batch) {
+    const claimId = `${id}:${row.index}`;
+    if (await dials.create(claimId, { id: claimId, campaignId: id, row: row.index, claimedAt: new Date().toISOString() })) {
+      claimed.push(row);
+    }
+  }
+
+  const results = await Promise.all(claimed.map(async row => ({ index: row.index, ...(await dialRow(campaign, row)) })));
+
+  const updated = await campaigns.update(id, (current) => {
+    const now = new Date().toISOString();
+
+    results.forEach(({ index, ...fields }) => {
+      Object.assign(current.rows[index], fields, { updatedAt: now });
+    });
+
+    const pending = current.rows.some(row => row.status === 'queued' || row.status === 'dialing');
+    if (current.status === 'running' && !pending) {
+      current.status = 'completed';
+      current.completedAt = now;
+      logger.info(`Campaign ${current.id} completed`);
+    }
+
+    current.updatedAt = now;
+    return current;
+  });
+
+  return withSummary(updated);
+}
+
+/**
+ * Ticks every running campaign (used by the Express background timer)
+ */
+async function advanceActiveCampaigns() {
+  const all = await campaigns.list();
+  for (const campaign of all.filter(c => c.status === 'running')) {
+    await advanceCampaign(campaign.id);
+  }
+}
+
+/**
+ * Loads a campaign without advancing it
+ */
+async function getCampaign(id) {
+  const campaign = await campaigns.get(id);
+  return campaign ? withSummary(campaign) : null;
+}
+
+/**
+ * Lists campaigns (newest first) without their rows
+ */
+async function listCampaigns() {
+  const all = await campaigns.list();
+  return all
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(campaign => {
+      const { rows, ...rest } = withSummary(campaign);
+      return rest;
+    });
+}
+
+module.exports = {
+  parseCsv,
+  rowToRequest,
+  createCampaign,
+  advanceCampaign,
+  advanceActiveCampaigns,
+  getCampaign,
+  listCampaigns,
+};
@@ -0,0 +1,102 @@
+/**
+ * ElevenLabs Analysis Strategy
+ *
+ * Uses the structured post-call `analysis` the agent produces instead of
+ * scanning the transcript:
+ *
+ *   evaluation_criteria_results - any configured blocking criterion that
+ *     "failure"s (e.g. customer_verified) blocks the SMS
+ *   data_collection_results - `sms_type` holding an SMS template name, or a
+ *     boolean per trigger category named sms_<category> (sms_rewards_tnc,
+ *     sms_transaction_reference, sms_redemption, sms_complaint, sms_summary)
+ *
+ * The data collection items and criteria have to be configured on the agent
+ * in ElevenLabs. Payloads without analysis fall back to the speaker strategy.
+ */
+
+const speakerStrategy = require('./speaker');
+const { TRIGGER_CATEGORIES } = require('./keywords');
+const { match, blocked, decide } = require('./decision');
+
+const CONFIDENCE = {
+  match: 0.9,
+  fallback: 0.75,
+};
+
+function getBlockingCriteria() {
+  return (process.env.CLASSIFIER_BLOCKING_CRITERIA || 'customer_verified')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+function isTruthy(value) {
+  return value === true || ['true', 'yes', '1'].includes(String(value).toLowerCase());
+}
+
+function collectionEvidence(id, item) {
+  return {
+    source: 'data_collection',
+    id,
+    value: item.value,
+    rationale: item.rationale || null,
+  };
+}
+
+function classify(input) {
+  const { analysis, callType } = input;
+  const criteria = analysis?.evaluation_criteria_results || {};
+  const collected = analysis?.data_collection_results || {};
+
+  if (Object.keys(criteria).length === 0 && Object.keys(collected).length === 0) {
+    const decision = speakerStrategy.classify(input);
+    return { ...decision, reason: `${decision.reason} (no analysis - speaker fallback)` };
+  }
+
+  // Step 1: A failed blocking criterion (e.g. verification) stops any SMS
+  for (const id of getBlockingCriteria()) {
+    const result = criteria[id];
+    if (result && result.result === 'failure') {
+      return blocked(`Blocked: evaluation criterion "${id}" failed`, CONFIDENCE.match, [{
+        source: 'evaluation_criteria',
+        id,
+        result: result.result,
+        rationale: result.rationale || null,
+      }]);
+    }
+  }
+
+  // Step 2: Explicit SMS type collected by the agent
+  const matches = [];
+  const smsTypeItem = collected.sms_type;
+  const knownTypes = TRIGGER_CATEGORIES.map(category => category.smsType);
+  if (smsTypeItem && knownTypes.includes(smsTypeItem.value)) {
+    matches.push(match(
+      smsTypeItem.value,
+      `Analysis data collection "sms_type" = ${smsTypeItem.value}`,
+      CONFIDENCE.match,
+      [collectionEvidence('sms_type', smsTypeItem)],
+    ));
+  }
+
+  // Step 3: Per-category flags - may repeat the sms_type, the SMS policy de-duplicates
+  for (const category of TRIGGER_CATEGORIES) {
+    const id = `sms_${category.id}`;
+    const item = collected[id];
+    if (item && isTruthy(item.value)) {
+      matches.push(match(
+        category.smsType,
+        `Analysis data collection "${id}" is set`,
+        CONFIDENCE.match,
+        [collectionEvidence(id, item)],
+      ));
+    }
+  }
+
+  return decide(matches, callType, CONFIDENCE.fallback);
+}
+
+module.exports = {
+  name: 'analysis',
+  classify,
+};
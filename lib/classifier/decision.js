@@ -0,0 +1,85 @@
+/**
+ * Classification Decisions
+ *
+ * Every strategy returns the same shape:
+ *   {
+ *     shouldSend: boolean,
+ *     matches: [{ smsType, reason, confidence, evidence }],  // every SMS the call asked for
+ *     reason: string,
+ *     confidence: number (0-1),
+ *     evidence: [{ source, ... }]   // transcript turns or analysis fields used
+ *   }
+ *
+ * Strategies report all matches; which of them are actually sent (order,
+ * duplicates, per-call maximum, suppression) is decided by lib/sms/policy.js.
+ */
+
+const { normalizeText } = require('../language');
+
+/**
+ * Builds transcript evidence entries for the turns containing a keyword
+ * @param {object[]} turns - Normalized transcript turns
+ * @param {string} keyword - Normalized keyword
+ * @param {string|null} speaker - Only consider turns from this role
+ */
+function keywordEvidence(turns, keyword, speaker = null) {
+  return turns
+    .filter(turn => !speaker || turn.role === speaker)
+    .filter(turn => normalizeText(turn.text).includes(keyword))
+    .map(turn => ({
+      source: 'transcript',
+      turn: turn.index,
+      role: turn.role,
+      text: turn.text,
+      keyword,
+    }));
+}
+
+function match(smsType, reason, confidence, evidence) {
+  return { smsType, reason, confidence, evidence };
+}
+
+function blocked(reason, confidence, evidence) {
+  return { shouldSend: false, matches: [], reason, confidence, evidence };
+}
+
+/**
+ * Decision for the matches a strategy found. Outbound calls always get a
+ * confirmation candidate - the SMS policy drops it when something more
+ * specific is being sent.
+ * @param {object[]} matches - Results of match()
+ * @param {string} callType - 'OUTBOUND' | 'INBOUND' | ...
+ * @param {number} fallbackConfidence - Confidence when nothing specific matched
+ */
+function decide(matches, callType, fallbackConfidence) {
+  const candidates = [...matches];
+  if (callType === 'OUTBOUND') {
+    candidates.push(match('OUTBOUND_CONFIRMATION_SMS', 'Outbound call completed', fallbackConfidence, []));
+  }
+
+  // We only send SMS when there's an explicit request or the agent promised to send something
+  if (candidates.length === 0) {
+    return blocked('No trigger keywords matched', fallbackConfidence, []);
+  }
+
+  return { shouldSend: true, matches: candidates, ...summarize(candidates) };
+}
+
+/**
+ * Combined reason, confidence and evidence for a non-empty list of matches
+ */
+function summarize(matches) {
+  return {
+    reason: matches.map(m => m.reason).join('; '),
+    confidence: Math.max(...matches.map(m => m.confidence)),
+    evidence: matches.flatMap(m => m.evidence),
+  };
+}
+
+module.exports = {
+  keywordEvidence,
+  match,
+  blocked,
+  decide,
+  summarize,
+};
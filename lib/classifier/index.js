@@ -0,0 +1,82 @@
+/**
+ * Transcript Classifier
+ *
+ * Decides whether a finished call should produce SMS, and which ones.
+ * Strategies are interchangeable and selected with CLASSIFIER_STRATEGY:
+ *
+ *   keyword  - substring scan over the whole transcript (default)
+ *   speaker  - keywords only count from the expected speaker
+ *   analysis - ElevenLabs post-call analysis fields
+ *
+ * A strategy is { name, classify(input) } where input is
+ *   { turns, text, callType, language, analysis }
+ * and the result is a decision as described in ./decision.js. The SMS
+ * policy (lib/sms/policy.js) then picks the messages to send.
+ */
+
+const { applySmsPolicy } = require('../sms/policy');
+const { summarize } = require('./decision');
+
+const STRATEGIES = {};
+
+/**
+ * Registers a classification strategy
+ * @param {object} strategy - { name, classify(input) }
+ */
+function registerClassifier(strategy) {
+  STRATEGIES[strategy.name] = strategy;
+}
+
+registerClassifier(require('./keyword'));
+registerClassifier(require('./speaker'));
+registerClassifier(require('./analysis'));
+
+function getStrategyName() {
+  return process.env.CLASSIFIER_STRATEGY || 'keyword';
+}
+
+/**
+ * Classifies a finished call
+ * @param {object} input - { turns, text, callType, language, analysis }
+ * @param {object} options - { strategy?: string, policy?: object } override
+ *   CLASSIFIER_STRATEGY and the SMS policy environment settings;
+ *   allowedSmsTypes limits the SMS to those of the call's reason
+ * @returns {object} { strategy, shouldSend, messages, dropped, reason, confidence, evidence }
+ *   where messages are the SMS to send, in order
+ */
+function classifyCall(input, options = {}) {
+  const name = options.strategy || getStrategyName();
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown classifier strategy: ${name}`);
+  }
+
+  const decision = strategy.classify({
+    turns: input.turns || [],
+    text: input.text || '',
+    callType: input.callType,
+    language: input.language || 'en',
+    analysis: input.analysis || null,
+  });
+
+  const { messages, dropped } = applySmsPolicy(decision.matches, options.policy, options.allowedSmsTypes);
+  const { matches, ...summary } = decision;
+
+  // Describe what will actually be sent, not everything that matched
+  return {
+    strategy: name,
+    ...summary,
+    ...(messages.length > 0 ? summarize(messages) : {}),
+    ...(messages.length === 0 && dropped.length > 0 && {
+      reason: `No SMS allowed: ${dropped.map(({ smsType, reason }) => `${smsType} (${reason})`).join(', ')}`,
+    }),
+    shouldSend: messages.length > 0,
+    messages,
+    dropped,
+  };
+}
+
+module.exports = {
+  classifyCall,
+  registerClassifier,
+};
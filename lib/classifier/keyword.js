@@ -0,0 +1,54 @@
+/**
+ * Keyword Strategy
+ *
+ * The original classifier: a substring scan over the whole transcript,
+ * regardless of who said what. Block keywords win over triggers; every
+ * category with a matching keyword is reported.
+ */
+
+const { TRIGGER_CATEGORIES, BLOCK_KEYWORDS, getKeywords } = require('./keywords');
+const { normalizeText } = require('../language');
+const { keywordEvidence, match, blocked, decide } = require('./decision');
+
+// Substring matches can't tell a request from a mention, so stay modest
+const CONFIDENCE = {
+  match: 0.6,
+  fallback: 0.5,
+};
+
+function classify({ text, turns, callType, language }) {
+  const transcriptLower = normalizeText(text);
+
+  // Step 1: Check for BLOCK keywords - if found, do NOT send SMS
+  for (const keyword of getKeywords(BLOCK_KEYWORDS, language)) {
+    if (transcriptLower.includes(keyword)) {
+      return blocked(
+        `Blocked: transcript contains "${keyword}"`,
+        CONFIDENCE.match,
+        keywordEvidence(turns, keyword),
+      );
+    }
+  }
+
+  // Step 2: Check for specific SMS requests - first keyword per category
+  const matches = [];
+  for (const category of TRIGGER_CATEGORIES) {
+    const keyword = getKeywords(category, language).find(k => transcriptLower.includes(k));
+    if (keyword) {
+      matches.push(match(
+        category.smsType,
+        `Matched ${category.label} keyword: "${keyword}"`,
+        CONFIDENCE.match,
+        keywordEvidence(turns, keyword),
+      ));
+    }
+  }
+
+  // Step 3: Specific SMS, outbound confirmation or no SMS
+  return decide(matches, callType, CONFIDENCE.fallback);
+}
+
+module.exports = {
+  name: 'keyword',
+  classify,
+};
@@ -0,0 +1,286 @@
+/**
+ * Classification Keywords
+ *
+ * Trigger categories are checked in priority order. Each category records
+ * who is expected to say the phrase:
+ *   customer - the customer REQUESTS an SMS
+ *   agent    - the agent PROMISES to send one
+ * The plain keyword strategy ignores the speaker; the speaker-aware strategy
+ * only matches turns from the expected side.
+ *
+ * Keywords are kept per language. A call is matched against its own
+ * language plus English (customers switch to English for "T&C", "SWIFT").
+ * Arabic keywords are written in normalized form (see normalizeText) -
+ * no diacritics, bare alef, ه for ة and ي for ى.
+ */
+
+const { normalizeText } = require('../language');
+
+// Keywords that TRIGGER SMS sending (in priority order)
+// IMPORTANT: These must detect REQUESTS to send SMS, not just mentions of topics
+const TRIGGER_CATEGORIES = [
+  {
+    // T&C requests - customer asks to send terms and conditions
+    id: 'rewards_tnc',
+    label: 'T&C request',
+    smsType: 'REWARDS_TNC_SMS',
+    speaker: 'customer',
+    keywords: {
+      en: [
+        'send terms and conditions',
+        'send the terms',
+        'send me the terms',
+        'send t&c',
+        'send tnc',
+        'send t and c',
+        'terms and conditions by sms',
+        'terms and conditions via sms',
+        'terms by sms',
+        'terms via sms',
+        't&c by sms',
+        't&c via sms',
+        'tnc by sms',
+        'tnc via sms',
+      ],
+      ar: [
+        'ارسل الشروط والاحكام',
+        'ارسل لي الشروط',
+        'ارسلي الشروط',
+        'ابعث الشروط',
+        'ابعثلي الشروط',
+        'ابعت الشروط',
+        'ابعتلي الشروط',
+        'طرشلي الشروط',
+        'الشروط والاحكام برساله',
+        'الشروط والاحكام في رساله',
+        'الشروط في رساله نصيه',
+      ],
+      hi: [
+        'नियम और शर्तें भेज',
+        'नियम व शर्तें भेज',
+        'शर्तें भेज',
+        'शर्तें एसएमएस',
+        'टर्म्स एंड कंडीशंस भेज',
+        'टी एंड सी भेज',
+      ],
+    },
+  },
+  {
+    // Transaction reference/SWIFT requests - customer asks for transaction details
+    id: 'transaction_reference',
+    label: 'transaction reference',
+    smsType: 'TRANSACTION_REFERENCE_SMS',
+    speaker: 'customer',
+    keywords: {
+      en: [
+        'send swift',
+        'send the swift',
+        'send reference number',
+        'send the reference',
+        'send transaction',
+        'swift by sms',
+        'swift via sms',
+        'reference by sms',
+        'reference via sms',
+        'transaction details by sms',
+        'transaction details via sms',
+      ],
+      ar: [
+        'ارسل رقم المرجع',
+        'ارسل لي رقم المرجع',
+        'ارسلي رقم المرجع',
+        'ابعث رقم المرجع',
+        'ابعتلي رقم المرجع',
+        'طرشلي رقم المرجع',
+        'ارسل السويفت',
+        'ابعث السويفت',
+        'ابعتلي السويفت',
+        'رقم المرجع برساله',
+        'تفاصيل التحويل برساله',
+        'تفاصيل العمليه برساله',
+      ],
+      hi: [
+        'रेफरेंस नंबर भेज',
+        'संदर्भ संख्या भेज',
+        'स्विफ्ट भेज',
+        'स्विफ्ट कोड भेज',
+        'ट्रांजैक्शन डिटेल्स भेज',
+        'लेनदेन का विवरण भेज',
+        'रेफरेंस नंबर एसएमएस',
+      ],
+    },
+  },
+  {
+    // Redemption rules request - customer asks to send redemption info
+    id: 'redemption',
+    label: 'redemption',
+    smsType: 'REDEMPTION_SMS',
+    speaker: 'customer',
+    keywords: {
+      en: [
+        'send redemption',
+        'send me redemption',
+        'send the redemption',
+        'send me the redemption',
+        'redemption rules',
+        'redemption by sms',
+        'redemption via sms',
+        'redeem by sms',
+        'redeem via sms',
+        'rewards redemption',
+        'how to redeem',
+      ],
+      ar: [
+        'قواعد الاستبدال',
+        'شروط الاستبدال',
+        'ارسل تفاصيل الاستبدال',
+        'ابعتلي تفاصيل الاستبدال',
+        'طريقه الاستبدال',
+        'كيف استبدل',
+        'ازاي استبدل',
+        'استبدال النقاط برساله',
+      ],
+      hi: [
+        'रिडेम्पशन के नियम',
+        'रिडेम्पशन की जानकारी भेज',
+        'रिडीम कैसे',
+        'पॉइंट्स कैसे रिडीम',
+        'रिडेम्पशन एसएमएस',
+      ],
+    },
+  },
+  {
+    // Complaint/Case confirmation - when agent promises to send complaint confirmation
+    id: 'complaint',
+    label: 'complaint',
+    smsType: 'COMPLAINT_SMS',
+    speaker: 'agent',
+    keywords: {
+      en: [
+        'case reference',
+        'complaint reference',
+        'initiated a complaint',
+        'raise a complaint',
+        'raised a complaint',
+        'complaint to investigate',
+        'log a complaint',
+        'logged a complaint',
+        'complaint confirmation',
+        'complaint status',
+      ],
+      ar: [
+        'رقم الشكوي',
+        'مرجع الشكوي',
+        'رقم الحاله',
+        'سجلت شكوي',
+        'تم تسجيل شكوي',
+        'رفعت شكوي',
+        'حاله الشكوي',
+        'تاكيد الشكوي',
+      ],
+      hi: [
+        'शिकायत संख्या',
+        'शिकायत नंबर',
+        'केस रेफरेंस',
+        'शिकायत दर्ज',
+        'शिकायत की स्थिति',
+        'शिकायत की पुष्टि',
+      ],
+    },
+  },
+  {
+    // General summary/confirmation request
+    id: 'summary',
+    label: 'summary request',
+    smsType: 'CALL_SUMMARY_SMS',
+    speaker: 'customer',
+    keywords: {
+      en: [
+        'send summary via sms',
+        'send me a summary',
+        'send confirmation via sms',
+        'send me confirmation',
+        'send details via sms',
+      ],
+      ar: [
+        'ارسل ملخص',
+        'ارسل لي ملخص',
+        'ابعث ملخص',
+        'ابعتلي ملخص',
+        'طرشلي ملخص',
+        'ارسل تاكيد',
+        'ابعتلي تاكيد',
+        'ارسل التفاصيل برساله',
+      ],
+      hi: [
+        'सारांश भेज',
+        'समरी भेज',
+        'पुष्टि भेज',
+        'कन्फर्मेशन भेज',
+        'डिटेल्स एसएमएस',
+      ],
+    },
+  },
+];
+
+// Keywords that BLOCK SMS sending (failed verification, no resolution).
+// These are said by the agent.
+const BLOCK_KEYWORDS = {
+  speaker: 'agent',
+  keywords: {
+    en: [
+      'unable to verify',
+      'cannot proceed',
+      'visit branch',
+      'call again',
+      'verification failed',
+      'could not verify',
+      'identity not confirmed',
+      'please visit',
+      'try again later',
+    ],
+    ar: [
+      'لم نتمكن من التحقق',
+      'لا يمكنني التحقق',
+      'ما قدرنا نتحقق',
+      'لا يمكن المتابعه',
+      'زياره الفرع',
+      'يرجي زياره',
+      'الرجاء زياره',
+      'فشل التحقق',
+      'حاول مره اخري لاحقا',
+      'اتصل مره اخري',
+    ],
+    hi: [
+      'सत्यापित नहीं कर',
+      'वेरिफाई नहीं कर',
+      'आगे नहीं बढ़ सकते',
+      'शाखा पर जाएं',
+      'ब्रांच विज़िट',
+      'कृपया शाखा',
+      'सत्यापन विफल',
+      'बाद में प्रयास करें',
+      'दोबारा कॉल करें',
+    ],
+  },
+};
+
+/**
+ * Returns the normalized keywords of a category (or BLOCK_KEYWORDS) that
+ * apply to a call in the given language
+ * @param {object} entry - Trigger category or BLOCK_KEYWORDS
+ * @param {string} language - 'en' | 'ar' | 'hi'
+ * @returns {string[]} Keywords, call language first
+ */
+function getKeywords(entry, language = 'en') {
+  const languages = [...new Set([language, 'en'])];
+  return languages
+    .flatMap(lang => entry.keywords[lang] || [])
+    .map(normalizeText);
+}
+
+module.exports = {
+  TRIGGER_CATEGORIES,
+  BLOCK_KEYWORDS,
+  getKeywords,
+};
@@ -0,0 +1,64 @@
+/**
+ * Speaker-Aware Strategy
+ *
+ * Same keyword lists, but each phrase only counts when said by the expected
+ * side: customer turns for SMS requests, agent turns for promises and for
+ * block phrases ("unable to verify", "please visit"). This stops the agent
+ * reading out "redemption rules" from triggering an SMS, and a customer
+ * saying "please visit..." from blocking one.
+ *
+ * Transcripts without speaker roles fall back to the keyword strategy.
+ */
+
+const keywordStrategy = require('./keyword');
+const { TRIGGER_CATEGORIES, BLOCK_KEYWORDS, getKeywords } = require('./keywords');
+const { keywordEvidence, match, blocked, decide } = require('./decision');
+
+const CONFIDENCE = {
+  match: 0.85,
+  // Roles were present and nothing matched - fairly sure nothing was asked for
+  fallback: 0.7,
+};
+
+function classify(input) {
+  const { turns, callType, language } = input;
+
+  if (!turns.some(turn => turn.role !== 'unknown')) {
+    const decision = keywordStrategy.classify(input);
+    return { ...decision, reason: `${decision.reason} (no speaker roles - keyword fallback)` };
+  }
+
+  for (const keyword of getKeywords(BLOCK_KEYWORDS, language)) {
+    const evidence = keywordEvidence(turns, keyword, BLOCK_KEYWORDS.speaker);
+    if (evidence.length > 0) {
+      return blocked(
+        `Blocked: ${BLOCK_KEYWORDS.speaker} said "${keyword}"`,
+        CONFIDENCE.match,
+        evidence,
+      );
+    }
+  }
+
+  const matches = [];
+  for (const category of TRIGGER_CATEGORIES) {
+    for (const keyword of getKeywords(category, language)) {
+      const evidence = keywordEvidence(turns, keyword, category.speaker);
+      if (evidence.length > 0) {
+        matches.push(match(
+          category.smsType,
+          `Matched ${category.label} keyword from ${category.speaker}: "${keyword}"`,
+          CONFIDENCE.match,
+          evidence,
+        ));
+        break;
+      }
+    }
+  }
+
+  return decide(matches, callType, CONFIDENCE.fallback);
+}
+
+module.exports = {
+  name: 'speaker',
+  classify,
+};
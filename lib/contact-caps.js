@@ -0,0 +1,193 @@
+/**
+ * Contact Frequency Caps
+ *
+ * Limits how often one customer is contacted, whatever the source (dashboard,
+ * integrations, campaigns, scheduled calls, retries, post-call SMS):
+ *
+ *   CAP_CALLS_PER_DAY         calls in any rolling 24 hours (default 2)
+ *   CAP_CALLS_PER_WEEK        calls in any rolling 7 days (default 5)
+ *   CAP_SMS_PER_DAY           SMS in any rolling 24 hours (default 5)
+ *   CAP_MIN_CALL_GAP_MINUTES  minimum time between two calls (default 60)
+ *
+ * A cap of 0 disables it. Each number has a contact log (store collection
+ * "contact-log") holding the last week of call and SMS timestamps. A slot is
+ * reserved before ElevenLabs or Twilio is contacted and released again if
+ * the contact fails, so failed attempts don't count.
+ *
+ * Authorized users can bypass the caps with `overrideCaps` (see README).
+ */
+
+const { createStore } = require('./store');
+const { phoneKey } = require('./phone');
+const { logger } = require('./log');
+
+const contactLog = createStore('contact-log');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Longest window any cap looks back over
+const RETENTION_MS = 7 * DAY_MS;
+
+const CAP_CODE = 'CONTACT_CAP_EXCEEDED';
+
+function capValue(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Reads the caps from the environment
+ * @returns {object} { call: cap[], sms: cap[] } - cap: { description, limit, windowMs }
+ */
+function getContactCaps() {
+  const callsPerDay = capValue('CAP_CALLS_PER_DAY', 2);
+  const callsPerWeek = capValue('CAP_CALLS_PER_WEEK', 5);
+  const smsPerDay = capValue('CAP_SMS_PER_DAY', 5);
+  const minGapMinutes = capValue('CAP_MIN_CALL_GAP_MINUTES', 60);
+
+  return {
+    call: [
+      { description: `${callsPerDay} calls per day`, limit: callsPerDay, windowMs: DAY_MS },
+      { description: `${callsPerWeek} calls per week`, limit: callsPerWeek, windowMs: 7 * DAY_MS },
+      // A minimum gap is "at most one call within the gap"
+      { description: `${minGapMinutes} minutes between calls`, limit: minGapMinutes > 0 ? 1 : 0, windowMs: minGapMinutes * 60 * 1000 },
+    ].filter(cap => cap.limit > 0),
+    sms: [
+      { description: `${smsPerDay} SMS per day`, limit: smsPerDay, windowMs: DAY_MS },
+    ].filter(cap => cap.limit > 0),
+  };
+}
+
+/**
+ * Thrown when a call would exceed a cap
+ */
+class ContactCapError extends Error {
+  constructor(check) {
+    super(check.reason);
+    this.name = 'ContactCapError';
+    this.code = CAP_CODE;
+    this.status = 429;
+    this.nextAllowedAt = check.nextAllowedAt;
+  }
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Evaluates the caps against a list of earlier contact times
+ * @param {string[]} history - ISO timestamps of earlier contacts on the channel
+ * @param {object[]} caps - Caps for the channel
+ * @param {number} nowMs - Current time
+ * @returns {object} { allowed: true } or { allowed: false, reason, nextAllowedAt }
+ */
+function evaluateCaps(history, caps, nowMs) {
+  const times = history.map(at => Date.parse(at)).sort((a, b) => b - a);
+  let blocking = null;
+
+  for (const cap of caps) {
+    const inWindow = times.filter(time => nowMs - time < cap.windowMs);
+    if (inWindow.length < cap.limit) continue;
+
+    // Allowed again once the oldest contact that keeps us at the limit leaves the window
+    const freedAt = inWindow[cap.limit - 1] + cap.windowMs;
+    if (!blocking || freedAt > blocking.freedAt) {
+      blocking = { cap, freedAt };
+    }
+  }
+
+  if (!blocking) return { allowed: true };
+
+  const nextAllowedAt = new Date(blocking.freedAt).toISOString();
+  return {
+    allowed: false,
+    reason: `Contact cap reached (${blocking.cap.description}) - next contact allowed at ${nextAllowedAt}`,
+    nextAllowedAt,
+  };
+}
+
+function emptyLog(phoneNumber) {
+  return { id: phoneNumber, call: [], sms: [], updatedAt: null };
+}
+
+function prune(log, nowMs) {
+  log.call = log.call.filter(at => nowMs - Date.parse(at) < RETENTION_MS);
+  log.sms = log.sms.filter(at => nowMs - Date.parse(at) < RETENTION_MS);
+}
+
+/**
+ * Checks whether a number may be contacted now, without reserving anything
+ * @param {string} phoneNumber - Customer number
+ * @param {string} channel - 'call' | 'sms'
+ * @returns {Promise<object>} { allowed: true } or { allowed: false, reason, nextAllowedAt }
+ */
+async function checkContactCaps(phoneNumber, channel, now = new Date()) {
+  const log = await contactLog.get(phoneKey(phoneNumber)) || emptyLog(phoneNumber);
+  return evaluateCaps(log[channel], getContactCaps()[channel], now.getTime());
+}
+
+/**
+ * Checks the caps and, if allowed, records the contact in one atomic store
+ * update (lib/store.js) - concurrent reservations for a number, e.g. a
+ * campaign listing it twice, can't both take the last slot
+ * @param {string} phoneNumber - Customer number
+ * @param {string} channel - 'call' | 'sms'
+ * @param {object} options - { override? } - record the contact but skip the caps
+ * @returns {Promise<object>} { allowed: true, at } or { allowed: false, reason, nextAllowedAt }
+ */
+async function reserveContact(phoneNumber, channel, options = {}) {
+  const key = phoneKey(phoneNumber);
+  const nowMs = Date.now();
+  const at = new Date(nowMs).toISOString();
+  let result;
+
+  await contactLog.create(key, emptyLog(key));
+  await contactLog.update(key, log => {
+    prune(log, nowMs);
+    result = options.override ? { allowed: true } : evaluateCaps(log[channel], getContactCaps()[channel], nowMs);
+    if (result.allowed) {
+      log[channel].push(at);
+      log.updatedAt = at;
+    }
+    return log;
+  });
+
+  if (!result.allowed) {
+    logger.info(`Blocked ${channel} to ${key}: ${result.reason}`);
+    return result;
+  }
+  if (options.override) {
+    logger.info(`Contact caps overridden for ${channel} to ${key}`);
+  }
+  return { allowed: true, at };
+}
+
+/**
+ * Gives a reserved slot back (the call or SMS did not go out)
+ * @param {string} phoneNumber - Customer number
+ * @param {string} channel - 'call' | 'sms'
+ * @param {string} at - Timestamp returned by reserveContact()
+ */
+async function releaseContact(phoneNumber, channel, at) {
+  await contactLog.update(phoneKey(phoneNumber), log => {
+    const index = log[channel].lastIndexOf(at);
+    if (index !== -1) log[channel].splice(index, 1);
+    return log;
+  });
+}
+
+module.exports = {
+  CAP_CODE,
+  ContactCapError,
+  getContactCaps,
+  evaluateCaps,
+  checkContactCaps,
+  reserveContact,
+  releaseContact,
+};
@@ -0,0 +1,67 @@
+/**
+ * CSV Parsing
+ *
+ * Shared by campaign uploads and suppression-list imports.
+ */
+
+/**
+ * Parses CSV text into an array of objects keyed by the header row.
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings.
+ * @param {string} text - Raw CSV
+ * @returns {object[]} Rows
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => headers.reduce((row, header, index) => {
+    if (header) row[header] = (values[index] || '').trim();
+    return row;
+  }, {}));
+}
+
+module.exports = {
+  parseCsv,
+};
@@ -0,0 +1,101 @@
+/**
+ * ElevenLabs Client
+ *
+ * Thin wrapper around the ElevenLabs Conversational AI REST API.
+ * Configuration is read from the environment on every call so Vercel
+ * functions and the Express server behave the same.
+ */
+
+const API_BASE_URL = 'https://api.elevenlabs.io/v1';
+
+/**
+ * Error returned by the ElevenLabs API (non-2xx response)
+ */
+class ElevenLabsApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'ElevenLabsApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function getElevenLabsConfig() {
+  return {
+    apiKey: process.env.ELEVENLABS_API_KEY,
+    agentId: process.env.ELEVENLABS_AGENT_ID,
+    phoneNumberId: process.env.ELEVENLABS_PHONE_NUMBER_ID,
+  };
+}
+
+/**
+ * Lists the required environment variables that are not set
+ * (AGENT_PHONE_NUMBERS can stand in for ELEVENLABS_PHONE_NUMBER_ID)
+ * @returns {string[]} Missing variable names
+ */
+function getMissingElevenLabsConfig() {
+  const config = getElevenLabsConfig();
+  return [
+    ['ELEVENLABS_API_KEY', config.apiKey],
+    ['ELEVENLABS_AGENT_ID', config.agentId],
+    ['ELEVENLABS_PHONE_NUMBER_ID', config.phoneNumberId || process.env.AGENT_PHONE_NUMBERS],
+  ].filter(([, value]) => !value).map(([name]) => name);
+}
+
+/**
+ * Extracts a readable message from an ElevenLabs error body
+ */
+function getErrorMessage(data) {
+  if (typeof data?.detail === 'string') return data.detail;
+  return data?.detail?.message || data?.message || JSON.stringify(data);
+}
+
+/**
+ * Sends a request to the ElevenLabs API
+ * @throws {ElevenLabsApiError} On non-2xx responses
+ */
+async function request(method, path, body) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'xi-api-key': getElevenLabsConfig().apiKey,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new ElevenLabsApiError(getErrorMessage(data), response.status, data);
+  }
+
+  return data;
+}
+
+/**
+ * Places an outbound call through the ElevenLabs Twilio integration
+ * @param {object} requestBody - agent_id, agent_phone_number_id, to_number, conversation_initiation_client_data
+ * @returns {Promise<object>} { conversation_id, callSid, ... }
+ */
+async function createTwilioOutboundCall(requestBody) {
+  return request('POST', '/convai/twilio/outbound-call', requestBody);
+}
+
+/**
+ * Fetches a conversation's current state
+ * @param {string} conversationId - Conversation id returned when the call was placed
+ * @returns {Promise<object>} { conversation_id, status, metadata, transcript, analysis, ... }
+ *   where status is initiated | in-progress | processing | done | failed
+ */
+async function getConversation(conversationId) {
+  return request('GET', `/convai/conversations/${encodeURIComponent(conversationId)}`);
+}
+
+module.exports = {
+  ElevenLabsApiError,
+  getElevenLabsConfig,
+  getMissingElevenLabsConfig,
+  createTwilioOutboundCall,
+  getConversation,
+};
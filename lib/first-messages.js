@@ -0,0 +1,258 @@
+/**
+ * First-Message Templates
+ *
+ * The agent's opening line, rendered from templates keyed by call reason
+ * and locale ('en', 'ar' Modern Standard, 'ar-AE' Gulf / Emirati, 'ar-EG'
+ * Egyptian, 'hi'; see getLocale() in lib/language.js).
+ *
+ * Placeholders:
+ *   {{name}}   - customer's first name, with an honorific when requested
+ *   {{reason}} - the reason phrase in the same locale
+ *
+ * A template is a string, or { default, male, female } where the dialect
+ * addresses men and women differently. Lookups fall back from the reason's
+ * template to `default`, and from a dialect to Modern Standard Arabic.
+ *
+ * Reason phrases are translated for catalogue reasons (lib/call-reasons.js).
+ * A free-text callReason is only spoken if it is written in the customer's
+ * script - an English reason is never read out inside an Arabic or Hindi
+ * sentence; a neutral phrase is used instead.
+ *
+ * Requests may set `honorific` (mr, mrs, ms, dr) and `gender` (male, female).
+ */
+
+const { getLanguageCode, getLocale } = require('./language');
+const { getCallReason, getReasonName } = require('./call-reasons');
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+const FIRST_MESSAGE_TEMPLATES = {
+  default: {
+    en: "Hello {{name}}, this is Mashreq AI Assistant. I'm calling you today regarding {{reason}}.",
+    ar: 'مرحباً {{name}}، أنا مساعد المشرق الذكي. أتصل بك اليوم بخصوص {{reason}}.',
+    'ar-AE': {
+      default: 'مرحبا {{name}}، معك مساعد المشرق الذكي. متصل عليك اليوم بخصوص {{reason}}.',
+      male: 'مرحبا {{name}}، شحالك؟ معاك مساعد المشرق الذكي. متصل عليك اليوم بخصوص {{reason}}.',
+      female: 'مرحبا {{name}}، شحالج؟ معاج مساعد المشرق الذكي. متصل عليج اليوم بخصوص {{reason}}.',
+    },
+    'ar-EG': {
+      default: 'أهلاً {{name}}، معاك مساعد المشرق الذكي. بكلمك النهارده بخصوص {{reason}}.',
+      male: 'أهلاً يا {{name}}، إزيك؟ معاك مساعد المشرق الذكي. بكلمك النهارده بخصوص {{reason}}.',
+      female: 'أهلاً يا {{name}}، إزيك؟ معاكي مساعد المشرق الذكي. بكلمك النهارده بخصوص {{reason}}.',
+    },
+    hi: 'नमस्ते {{name}}, मैं मशरेक एआई असिस्टेंट हूं। मैं आज आपको {{reason}} के बारे में कॉल कर रहा हूं।',
+  },
+
+  // Collections: ask before discussing money
+  payment: {
+    en: 'Hello {{name}}, this is Mashreq AI Assistant from Mashreq Bank. Is this a good time to talk about {{reason}}?',
+    ar: 'مرحباً {{name}}، أنا مساعد المشرق الذكي من بنك المشرق. هل الوقت مناسب للحديث عن {{reason}}؟',
+    'ar-AE': {
+      default: 'مرحبا {{name}}، معك مساعد المشرق الذكي من بنك المشرق. الوقت مناسب نتكلم عن {{reason}}؟',
+      female: 'مرحبا {{name}}، معاج مساعد المشرق الذكي من بنك المشرق. الوقت مناسب لج نتكلم عن {{reason}}؟',
+    },
+    'ar-EG': {
+      default: 'أهلاً {{name}}، معاك مساعد المشرق الذكي من بنك المشرق. ينفع نتكلم دلوقتي عن {{reason}}؟',
+      female: 'أهلاً {{name}}، معاكي مساعد المشرق الذكي من بنك المشرق. ينفع نتكلم دلوقتي عن {{reason}}؟',
+    },
+    hi: 'नमस्ते {{name}}, मैं मशरेक बैंक से मशरेक एआई असिस्टेंट हूं। क्या अभी {{reason}} के बारे में बात करने का सही समय है?',
+  },
+
+  // Follow-ups refer back to the earlier conversation instead of a topic
+  followup: {
+    en: "Hello {{name}}, this is Mashreq AI Assistant. I'm following up on {{reason}}.",
+    ar: 'مرحباً {{name}}، أنا مساعد المشرق الذكي. أتصل بك لمتابعة {{reason}}.',
+    'ar-AE': {
+      default: 'مرحبا {{name}}، معك مساعد المشرق الذكي. متصل عليك أتابع وياك {{reason}}.',
+      female: 'مرحبا {{name}}، معاج مساعد المشرق الذكي. متصل عليج أتابع وياج {{reason}}.',
+    },
+    'ar-EG': {
+      default: 'أهلاً {{name}}، معاك مساعد المشرق الذكي. بكلمك أتابع معاك {{reason}}.',
+      female: 'أهلاً {{name}}، معاكي مساعد المشرق الذكي. بكلمك أتابع معاكي {{reason}}.',
+    },
+    hi: 'नमस्ते {{name}}, मैं मशरेक एआई असिस्टेंट हूं। मैं {{reason}} के बारे में फ़ॉलो-अप कर रहा हूं।',
+  },
+};
+
+// How each catalogue reason reads inside the sentence
+const REASON_PHRASES = {
+  complaint: {
+    en: 'the update on your complaint',
+    ar: 'آخر المستجدات بشأن شكواك',
+    'ar-AE': 'آخر المستجدات على الشكوى',
+    'ar-EG': 'آخر الأخبار عن الشكوى',
+    hi: 'आपकी शिकायत के अपडेट',
+  },
+  rewards: {
+    en: 'your rewards points that are about to expire',
+    ar: 'نقاط المكافآت التي ستنتهي صلاحيتها قريباً',
+    'ar-AE': 'نقاط المكافآت اللي بتنتهي قريب',
+    'ar-EG': 'نقط المكافآت اللي هتخلص قريب',
+    hi: 'आपके रिवॉर्ड पॉइंट्स जो जल्द समाप्त होने वाले हैं',
+  },
+  account: {
+    en: 'the recent update to your account',
+    ar: 'التحديث الأخير على حسابك',
+    'ar-EG': 'التعديل الأخير على حسابك',
+    hi: 'आपके खाते में हाल में हुए बदलाव',
+  },
+  payment: {
+    en: 'your upcoming payment',
+    ar: 'الدفعة المستحقة',
+    'ar-EG': 'القسط المستحق',
+    hi: 'आपके आगामी भुगतान',
+  },
+  followup: {
+    en: 'your recent conversation with us',
+    ar: 'محادثتك الأخيرة معنا',
+    'ar-AE': 'آخر مكالمة بيننا',
+    'ar-EG': 'آخر مكالمة بينا',
+    hi: 'हमारे साथ आपकी पिछली बातचीत',
+  },
+};
+
+// Spoken when a free-text reason is not in the customer's language
+const NEUTRAL_PHRASES = {
+  ar: 'أمر يخص حسابك',
+  'ar-EG': 'موضوع يخص حسابك',
+  hi: 'आपके खाते से जुड़े एक विषय',
+};
+
+const SCRIPTS = {
+  ar: /[؀-ۿ]/,
+  hi: /[ऀ-ॿ]/,
+};
+
+// ============================================================================
+// HONORIFICS
+// ============================================================================
+
+const HONORIFICS = ['mr', 'mrs', 'ms', 'dr'];
+const GENDERS = ['male', 'female'];
+
+// Gender implied by an honorific when `gender` is not given
+const HONORIFIC_GENDER = { mr: 'male', mrs: 'female', ms: 'female' };
+
+// Forms of address per locale - a function of (firstName, gender)
+const ADDRESS_FORMS = {
+  en: {
+    mr: name => `Mr. ${name}`,
+    mrs: name => `Mrs. ${name}`,
+    ms: name => `Ms. ${name}`,
+    dr: name => `Dr. ${name}`,
+  },
+  ar: {
+    mr: name => `السيد ${name}`,
+    mrs: name => `السيدة ${name}`,
+    ms: name => `السيدة ${name}`,
+    dr: (name, gender) => `${gender === 'female' ? 'الدكتورة' : 'الدكتور'} ${name}`,
+  },
+  'ar-EG': {
+    mr: name => `أستاذ ${name}`,
+    mrs: name => `مدام ${name}`,
+    ms: name => `أستاذة ${name}`,
+    dr: (name, gender) => `${gender === 'female' ? 'دكتورة' : 'دكتور'} ${name}`,
+  },
+  hi: {
+    mr: name => `श्री ${name}`,
+    mrs: name => `श्रीमती ${name}`,
+    ms: name => `सुश्री ${name}`,
+    dr: name => `डॉ. ${name}`,
+  },
+};
+
+/**
+ * Validates the greeting options of an outbound call request
+ * @returns {string[]} Validation errors
+ */
+function validateGreetingOptions(body) {
+  const errors = [];
+  if (body.honorific !== undefined && body.honorific !== '' && !HONORIFICS.includes(body.honorific)) {
+    errors.push(`honorific must be one of: ${HONORIFICS.join(', ')}`);
+  }
+  if (body.gender !== undefined && body.gender !== '' && !GENDERS.includes(body.gender)) {
+    errors.push(`gender must be one of: ${GENDERS.join(', ')}`);
+  }
+  return errors;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+// 'ar-AE' -> ['ar-AE', 'ar']; 'en' -> ['en']
+function localeChain(locale) {
+  return locale.includes('-') ? [locale, locale.split('-')[0]] : [locale];
+}
+
+function pickLocalized(table, locale) {
+  const key = localeChain(locale).find(candidate => table && table[candidate] !== undefined);
+  return key ? { key, value: table[key] } : null;
+}
+
+function resolveReasonPhrase(input, locale) {
+  const language = getLanguageCode(locale);
+  const reason = getCallReason(input.preset);
+
+  if (reason) {
+    const phrase = pickLocalized(REASON_PHRASES[reason.id], locale);
+    return phrase ? phrase.value : getReasonName(reason, language);
+  }
+
+  // Free text is only spoken when it is already in the customer's script
+  const text = String(input.callReason || '').trim();
+  if (language === 'en' || SCRIPTS[language].test(text)) return text;
+  return pickLocalized(NEUTRAL_PHRASES, locale).value;
+}
+
+function addressName(input, locale, gender) {
+  const firstName = String(input.fullName || '').trim().split(/\s+/)[0];
+  if (!input.honorific) return firstName;
+
+  const forms = pickLocalized(ADDRESS_FORMS, locale).value;
+  return forms[input.honorific](firstName, gender);
+}
+
+/**
+ * Renders the agent's first message for a request
+ * @param {object} input - { fullName, preferredLanguage, callReason?, preset?, honorific?, gender? }
+ * @returns {object} { text, locale, template, gender, reasonPhrase }
+ *   where template is "<reason or default>/<locale>[/<gender>]"
+ */
+function renderFirstMessage(input) {
+  const locale = getLocale(input.preferredLanguage);
+  const gender = input.gender || HONORIFIC_GENDER[input.honorific] || null;
+
+  const reasonKey = getCallReason(input.preset) && FIRST_MESSAGE_TEMPLATES[input.preset] ? input.preset : 'default';
+  const found = pickLocalized(FIRST_MESSAGE_TEMPLATES[reasonKey], locale)
+    || pickLocalized(FIRST_MESSAGE_TEMPLATES.default, locale)
+    || { key: 'en', value: FIRST_MESSAGE_TEMPLATES.default.en };
+
+  let template = found.value;
+  let variant = null;
+  if (typeof template === 'object') {
+    variant = gender && template[gender] ? gender : 'default';
+    template = template[variant];
+  }
+
+  const reasonPhrase = resolveReasonPhrase(input, locale);
+  const values = { name: addressName(input, locale, gender), reason: reasonPhrase };
+
+  return {
+    text: template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key]),
+    locale,
+    template: [reasonKey, found.key, variant].filter(Boolean).join('/'),
+    gender,
+    reasonPhrase,
+  };
+}
+
+module.exports = {
+  FIRST_MESSAGE_TEMPLATES,
+  HONORIFICS,
+  GENDERS,
+  validateGreetingOptions,
+  renderFirstMessage,
+};
@@ -0,0 +1,78 @@
+/**
+ * HTTP Helpers for API handlers
+ *
+ * Every handler in api/ is a plain (req, res) function so it can run as a
+ * Vercel function or be mounted on the Express server unchanged.
+ */
+
+const { authenticateRequest, hasRole } = require('./auth');
+
+/**
+ * Origins allowed to call the API from a browser (CORS_ORIGINS, comma
+ * separated). The dashboard is served from the same origin and needs none;
+ * "*" allows any origin but without cookies.
+ */
+function getAllowedOrigins() {
+  return String(process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Sets CORS headers and answers preflight requests
+ * @param {object} req - Incoming request
+ * @param {object} res - Response
+ * @param {string[]} methods - Allowed methods (OPTIONS is added automatically)
+ * @returns {boolean} true if the request was a preflight and has been answered
+ */
+function handleCors(req, res, methods) {
+  const origin = (req.headers && req.headers.origin) || '';
+  const allowed = getAllowedOrigins();
+
+  if (allowed.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origin && allowed.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Admin-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Guards an endpoint by role (lib/auth.js): viewer < supervisor < admin.
+ * Accepts API keys (X-API-Key, Authorization: Bearer, or the older
+ * X-Admin-Key) and the dashboard session cookie. The caller is left on
+ * `req.auth`.
+ * @param {string} role - Minimum role
+ * @returns {Promise<boolean>} true if the request may proceed; otherwise a 401/403 has been sent
+ */
+async function requireRole(req, res, role) {
+  const principal = await authenticateRequest(req);
+
+  if (!principal) {
+    res.status(401).json({ success: false, error: 'Authentication required' });
+    return false;
+  }
+  if (!hasRole(principal.role, role)) {
+    res.status(403).json({ success: false, error: `Requires the ${role} role` });
+    return false;
+  }
+
+  req.auth = principal;
+  return true;
+}
+
+module.exports = {
+  handleCors,
+  requireRole,
+};
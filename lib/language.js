@@ -0,0 +1,74 @@
+/**
+ * Language Helpers
+ *
+ * Maps the free-text preferred language used across the app ("UAE Arabic",
+ * "Egyptian Arabic", "Hindi", "English") to a language code (or a locale
+ * with the Arabic dialect, for spoken text), and normalizes text so keyword
+ * matching is not defeated by spelling variants.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'ar', 'hi'];
+
+// Language codes plus the Arabic dialects we speak (Gulf / Emirati, Egyptian)
+const SUPPORTED_LOCALES = ['en', 'ar', 'ar-AE', 'ar-EG', 'hi'];
+
+/**
+ * Maps a preferred language ("UAE Arabic", "Hindi", ...) to a language code
+ * @param {string} preferredLanguage - Free-text language
+ * @returns {string} 'ar' | 'hi' | 'en'
+ */
+function getLanguageCode(preferredLanguage) {
+  const langLower = String(preferredLanguage || '').toLowerCase();
+
+  if (langLower.includes('arabic') || langLower === 'ar' || langLower.startsWith('ar-')) return 'ar';
+  if (langLower.includes('hindi') || langLower === 'hi' || langLower.startsWith('hi-')) return 'hi';
+  return 'en';
+}
+
+/**
+ * Maps a preferred language to a locale, keeping the Arabic dialect
+ * @param {string} preferredLanguage - Free-text language ("UAE Arabic", "ar-EG", ...)
+ * @returns {string} 'en' | 'ar' (Modern Standard) | 'ar-AE' | 'ar-EG' | 'hi'
+ */
+function getLocale(preferredLanguage) {
+  const language = getLanguageCode(preferredLanguage);
+  if (language !== 'ar') return language;
+
+  const langLower = String(preferredLanguage || '').toLowerCase();
+  if (/\b(uae|emirati|gulf|khaleeji)\b/.test(langLower) || langLower === 'ar-ae') return 'ar-AE';
+  if (/\b(egyptian|masri)\b/.test(langLower) || langLower === 'ar-eg') return 'ar-EG';
+  return 'ar';
+}
+
+// Arabic harakat (fathatan..sukun), superscript alef and tatweel
+const ARABIC_DIACRITICS = /[ً-ْٰـ]/g;
+
+/**
+ * Normalizes text for keyword matching:
+ * - lowercases Latin text
+ * - Arabic: strips diacritics and tatweel, unifies alef variants (أ إ آ ٱ -> ا),
+ *   alef maqsura (ى -> ي), taa marbuta (ة -> ه) and hamza carriers (ؤ -> و, ئ -> ي)
+ * - collapses whitespace
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/\s+/g, ' ');
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  SUPPORTED_LOCALES,
+  getLanguageCode,
+  getLocale,
+  normalizeText,
+};
@@ -0,0 +1,60 @@
+/**
+ * Logging
+ *
+ * Drop-in for console.* that masks PII (lib/redact.js) in every argument
+ * and honours LOG_LEVEL:
+ *
+ *   error - failures only
+ *   warn  - plus rejected webhooks, blocked sends, configuration warnings
+ *   info  - plus one line per call, SMS and admin action (default)
+ *   debug - plus raw webhook payloads, transcripts and extraction details
+ *
+ * Debug output is masked too, but holds far more customer data - turn it on
+ * only while investigating, never as a standing setting in production.
+ */
+
+const { redact } = require('./redact');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+function getLogLevel() {
+  const level = String(process.env.LOG_LEVEL || '').trim().toLowerCase();
+  return LEVELS[level] !== undefined ? level : 'info';
+}
+
+function isDebugEnabled() {
+  return getLogLevel() === 'debug';
+}
+
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+/**
+ * Creates a logger
+ * @param {object} options - { names?: string[] } - customer names to mask
+ *   wherever they appear (see lib/redact.js)
+ * @returns {object} { error, warn, info, debug, isDebugEnabled, withNames }
+ */
+function createLogger(options = {}) {
+  const write = level => (...args) => {
+    if (LEVELS[level] > LEVELS[getLogLevel()]) return;
+    console[CONSOLE_METHODS[level]](...args.map(arg => redact(arg, options)));
+  };
+
+  return {
+    error: write('error'),
+    warn: write('warn'),
+    info: write('info'),
+    debug: write('debug'),
+    isDebugEnabled,
+    // Also masks these names in free text (e.g. the customer in a transcript)
+    withNames: names => createLogger({ ...options, names: [...(options.names || []), ...names.filter(Boolean)] }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  getLogLevel,
+  isDebugEnabled,
+};
@@ -0,0 +1,212 @@
+/**
+ * OpenID Connect Sign-In
+ *
+ * Optional single sign-on for the dashboard, alongside local users
+ * (lib/auth.js). Authorization code flow with PKCE:
+ *
+ *   GET /api/auth/oidc/login     -> redirect to the identity provider
+ *   GET /api/auth/oidc/callback  -> exchange the code, check the ID token,
+ *                                   start a session, back to the dashboard
+ *
+ * State, nonce and the PKCE verifier travel in a short-lived signed cookie,
+ * so nothing has to be kept server-side between the two requests.
+ *
+ * The ID token comes straight from the token endpoint over TLS with the
+ * client secret, so its claims (issuer, audience, expiry, nonce) are
+ * checked but its signature is not (OIDC Core 3.1.3.7).
+ *
+ * Roles come from OIDC_ROLE_CLAIM (a string or a list, e.g. groups),
+ * mapped through OIDC_ROLE_MAP; the highest matching role wins. Only
+ * mapped values count - a group that happens to be called "admin" grants
+ * nothing. Users with no matching role get OIDC_DEFAULT_ROLE, or are
+ * turned away.
+ */
+
+const crypto = require('crypto');
+const { ROLES, createSignedToken, readSignedToken, parseCookies, buildCookie } = require('./auth');
+const { logger } = require('./log');
+
+const STATE_COOKIE = 'mashreq_oidc';
+
+const LIMITS = {
+  stateTtlMs: 10 * 60 * 1000,
+  clockSkewMs: 60 * 1000,
+};
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Reads the OIDC settings from the environment
+ * @returns {object|null} null when single sign-on isn't configured
+ */
+function getOidcConfig() {
+  const issuer = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+  const clientId = process.env.OIDC_CLIENT_ID;
+  const redirectUri = process.env.OIDC_REDIRECT_URI;
+  if (!issuer || !clientId || !redirectUri) return null;
+
+  let roleMap = {};
+  if (process.env.OIDC_ROLE_MAP) {
+    try {
+      roleMap = JSON.parse(process.env.OIDC_ROLE_MAP) || {};
+    } catch (error) {
+      logger.error('OIDC_ROLE_MAP is not valid JSON:', error.message);
+    }
+  }
+
+  return {
+    issuer,
+    clientId,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri,
+    scopes: process.env.OIDC_SCOPES || 'openid profile email',
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles',
+    roleMap,
+    defaultRole: ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : null,
+  };
+}
+
+let discovery = null;
+
+async function discover(config) {
+  if (discovery && discovery.issuer === config.issuer) return discovery.document;
+
+  const response = await fetch(`${config.issuer}/.well-known/openid-configuration`);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed (HTTP ${response.status})`);
+  }
+  const document = await response.json();
+  discovery = { issuer: config.issuer, document };
+  return document;
+}
+
+// ============================================================================
+// FLOW
+// ============================================================================
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Starts a sign-in
+ * @returns {Promise<object>} { url, cookie } - redirect to url with the Set-Cookie value
+ */
+async function beginLogin(req, config) {
+  const provider = await discover(config);
+  const state = randomToken();
+  const nonce = randomToken();
+  const verifier = randomToken();
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  const url = new URL(provider.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  const token = createSignedToken({ scope: 'oidc', state, nonce, verifier }, LIMITS.stateTtlMs);
+  return { url: url.toString(), cookie: buildCookie(req, STATE_COOKIE, token, LIMITS.stateTtlMs) };
+}
+
+function decodeIdToken(idToken) {
+  const [, payload] = String(idToken || '').split('.');
+  if (!payload) throw new Error('No ID token in the token response');
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+function checkIdToken(claims, config, nonce) {
+  const audiences = [].concat(claims.aud || []);
+  const now = Date.now();
+
+  if (claims.iss !== config.issuer) return 'ID token issuer does not match';
+  if (!audiences.includes(config.clientId)) return 'ID token audience does not match';
+  if (!claims.exp || claims.exp * 1000 + LIMITS.clockSkewMs < now) return 'ID token has expired';
+  if (claims.nonce !== nonce) return 'ID token nonce does not match';
+  return null;
+}
+
+/**
+ * Maps the identity provider's claims to a role
+ * @returns {string|null} Highest mapped role, the default role, or null
+ */
+function resolveRole(claims, config) {
+  const values = [].concat(claims[config.roleClaim] || []).map(String);
+  const roles = values
+    .map(value => config.roleMap[value])
+    .filter(role => ROLES.includes(role));
+
+  if (roles.length === 0) return config.defaultRole;
+  return roles.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+}
+
+/**
+ * Finishes a sign-in from the callback's query string
+ * @returns {Promise<object>} { error } or { user: { username, sub, role, via } }
+ */
+async function completeLogin(req, config) {
+  const query = req.query || {};
+  if (query.error) {
+    return { error: `Identity provider returned ${query.error}${query.error_description ? `: ${query.error_description}` : ''}` };
+  }
+
+  const saved = readSignedToken(parseCookies(req.headers && req.headers.cookie)[STATE_COOKIE]);
+  if (!saved || saved.scope !== 'oidc' || !query.state || query.state !== saved.state) {
+    return { error: 'Sign-in expired or was started elsewhere - please try again' };
+  }
+  if (!query.code) return { error: 'No authorization code in the callback' };
+
+  const provider = await discover(config);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: query.code,
+    redirect_uri: config.redirectUri,
+    code_verifier: saved.verifier,
+  });
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', config.clientId);
+  }
+
+  const response = await fetch(provider.token_endpoint, { method: 'POST', headers, body: body.toString() });
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    return { error: `Token exchange failed: ${tokens.error_description || tokens.error || `HTTP ${response.status}`}` };
+  }
+
+  const claims = decodeIdToken(tokens.id_token);
+  const problem = checkIdToken(claims, config, saved.nonce);
+  if (problem) return { error: problem };
+
+  const role = resolveRole(claims, config);
+  const username = claims.preferred_username || claims.email || claims.sub;
+  if (!role) {
+    logger.warn(`OIDC sign-in refused for ${username}: no role in ${config.roleClaim}`);
+    return { error: 'Your account has no role in this application' };
+  }
+
+  return { user: { username, sub: `oidc:${claims.sub}`, role, via: 'oidc' } };
+}
+
+function clearStateCookie(req) {
+  return buildCookie(req, STATE_COOKIE, '', 0);
+}
+
+module.exports = {
+  getOidcConfig,
+  beginLogin,
+  completeLogin,
+  clearStateCookie,
+  resolveRole,
+};
@@ -0,0 +1,302 @@
+/**
+ * Outbound Call Helpers
+ *
+ * Request validation, context building, first-message generation and
+ * ElevenLabs call initiation. This is the single implementation used by
+ * the Express server, every Vercel function and the campaign runner.
+ */
+
+const { recordInitiatedCall } = require('./calls');
+const { getElevenLabsConfig, createTwilioOutboundCall } = require('./elevenlabs');
+const { getLanguageCode } = require('./language');
+const { validateSchedule } = require('./calling-hours');
+const { assertNotSuppressed, SuppressedContactError } = require('./suppression');
+const { normalizePhoneNumber, validatePhoneNumber } = require('./phone');
+const { selectAgentNumber, validateAgentNumber } = require('./agent-numbers');
+const { routeCall, applyOverrides } = require('./routing');
+const { getCallReason, listCallReasons, getReasonName, validateContextData } = require('./call-reasons');
+const { renderFirstMessage, validateGreetingOptions } = require('./first-messages');
+const { ContactCapError, reserveContact, releaseContact } = require('./contact-caps');
+const { recordAudit } = require('./audit');
+const { logger } = require('./log');
+
+/**
+ * Constructs the outbound context object for the AI agent
+ * This context tells the agent about the call purpose and rules
+ */
+function buildOutboundContext(input) {
+  return {
+    callType: 'OUTBOUND',
+    customer: {
+      fullName: input.fullName,
+      preferredLanguage: input.preferredLanguage,
+    },
+    reason: input.callReason,
+    contextData: input.contextData || {},
+    rules: {
+      noAuthentication: true,
+      noDataCollection: true,
+      noComplaintCreation: true,
+    },
+  };
+}
+
+/**
+ * Builds the first message for the agent based on the call reason and language
+ * (templates in lib/first-messages.js)
+ */
+function buildFirstMessage(input) {
+  return renderFirstMessage(input).text;
+}
+
+/**
+ * Flattens contextData into context_* dynamic variables (ElevenLabs only
+ * accepts scalar values)
+ */
+function flattenContextData(contextData) {
+  return Object.entries(contextData || {}).reduce((acc, [key, value]) => {
+    acc[`context_${key}`] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return acc;
+  }, {});
+}
+
+/**
+ * Builds the dynamic variables injected into the agent session
+ */
+function buildDynamicVariables(input, outboundContext, firstMessage) {
+  return {
+    // Customer information
+    customer_name: input.fullName,
+    customer_first_name: input.fullName.split(' ')[0],
+    preferred_language: input.preferredLanguage,
+
+    // Call context
+    call_type: 'OUTBOUND',
+    call_reason: input.callReason,
+
+    // Stringify the full context for the agent
+    outbound_context: JSON.stringify(outboundContext),
+    suggested_greeting: firstMessage,
+
+    // Individual context data fields (flatten for easier template access)
+    ...flattenContextData(input.contextData),
+  };
+}
+
+/**
+ * Builds the full ElevenLabs outbound-call request body
+ * @param {object} input - Validated outbound call request
+ * @param {object} routing - routeCall() result { caller, agentId, overrides }
+ *   (default: no routing table, caller picked by lib/agent-numbers.js)
+ */
+function buildCallRequestBody(input, routing = { caller: selectAgentNumber(input) }) {
+  const config = getElevenLabsConfig();
+  const { caller } = routing;
+  const outboundContext = buildOutboundContext(input);
+  const firstMessage = buildFirstMessage(input);
+
+  return {
+    agent_id: routing.agentId || (caller && caller.agentId) || config.agentId,
+    agent_phone_number_id: caller ? caller.id : config.phoneNumberId,
+    to_number: input.phoneNumber,
+    conversation_initiation_client_data: {
+      dynamic_variables: buildDynamicVariables(input, outboundContext, firstMessage),
+      conversation_config_override: applyOverrides({
+        agent: {
+          first_message: firstMessage,
+          language: getLanguageCode(input.preferredLanguage),
+        },
+      }, routing.overrides),
+    },
+  };
+}
+
+/**
+ * Initiates an outbound call via ElevenLabs Twilio integration
+ * and saves it to the call registry
+ * @param {object} input - Validated outbound call request
+ * @param {object} meta - Registry fields, e.g. { source: 'campaign', campaignId } or
+ *   { source: 'scheduled', scheduledCallId }; overrideCaps skips the contact caps;
+ *   actor (lib/audit.js describeActor) is who asked for the call
+ * @returns {Promise<object>} ElevenLabs response ({ conversation_id, callSid, ... })
+ * @throws {SuppressedContactError} When the number is on the do-not-call list
+ * @throws {ContactCapError} When the customer has been contacted too often
+ * @throws {ElevenLabsApiError} When ElevenLabs rejects the call
+ */
+async function initiateOutboundCall(input, meta = {}) {
+  const actor = meta.actor || null;
+  const source = meta.source || 'api';
+
+  let reservation;
+  try {
+    await assertNotSuppressed(input.phoneNumber, 'call');
+
+    reservation = await reserveContact(input.phoneNumber, 'call', { override: meta.overrideCaps });
+    if (!reservation.allowed) {
+      throw new ContactCapError(reservation);
+    }
+  } catch (error) {
+    // Policy refusals only - a store or network failure is not a blocked call
+    if (error instanceof SuppressedContactError || error instanceof ContactCapError) {
+      await recordAudit('call.blocked', {
+        actor,
+        data: { source, phoneNumber: input.phoneNumber, code: error.code, reason: error.message },
+      });
+    }
+    throw error;
+  }
+
+  // Everything up to ElevenLabs accepting the call can still fail - a call
+  // that never went out must not count against the caps
+  let outboundContext;
+  let routing;
+  let requestBody;
+  let data;
+  try {
+    outboundContext = buildOutboundContext(input);
+    routing = await routeCall(input);
+    requestBody = buildCallRequestBody(input, routing);
+
+    logger.info('Initiating outbound call:', {
+      to: input.phoneNumber,
+      from: routing.caller ? routing.caller.number || routing.caller.id : null,
+      agent: requestBody.agent_id,
+      route: routing.rule ? routing.rule.id : null,
+      customer: input.fullName,
+      reason: input.callReason,
+    });
+
+    data = await createTwilioOutboundCall(requestBody);
+  } catch (error) {
+    await releaseContact(input.phoneNumber, 'call', reservation.at)
+      .catch(releaseError => logger.error('Failed to release contact slot:', releaseError.message));
+    await recordAudit('call.failed', {
+      actor,
+      data: { source, phoneNumber: input.phoneNumber, status: error.status || null, error: error.message },
+    });
+    throw error;
+  }
+
+  const { caller } = routing;
+
+  await recordAudit('call.initiated', {
+    actor,
+    callId: data.conversation_id || data.callSid || null,
+    data: {
+      source,
+      campaignId: meta.campaignId,
+      scheduledCallId: meta.scheduledCallId,
+      retryOf: meta.retryOf,
+      attempt: meta.attempt,
+      capsOverridden: Boolean(meta.overrideCaps),
+      request: input,
+      outboundContext,
+      routeId: routing.rule ? routing.rule.id : null,
+      elevenLabsRequest: requestBody,
+      elevenLabsResponse: data,
+    },
+  });
+
+  // The call is already placed, so a registry failure must not fail the request
+  try {
+    await recordInitiatedCall({
+      request: input,
+      outboundContext,
+      result: data,
+      caller,
+      agentId: requestBody.agent_id,
+      routeId: routing.rule ? routing.rule.id : null,
+      ...meta,
+    });
+  } catch (error) {
+    logger.error('Failed to record call in registry:', error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Validates the incoming request payload
+ */
+function validateRequest(body) {
+  const errors = [];
+
+  if (!body.phoneNumber || typeof body.phoneNumber !== 'string') {
+    errors.push('phoneNumber is required and must be a string');
+  } else {
+    // Country, number type and destination allow-list (lib/phone.js)
+    errors.push(...validatePhoneNumber(body.phoneNumber, 'call').errors.map(error => `phoneNumber: ${error}`));
+  }
+
+  if (!body.fullName || typeof body.fullName !== 'string') {
+    errors.push('fullName is required and must be a string');
+  }
+
+  if (!body.preferredLanguage || typeof body.preferredLanguage !== 'string') {
+    errors.push('preferredLanguage is required and must be a string');
+  }
+
+  // Call reason from the catalogue (lib/call-reasons.js)
+  const reason = getCallReason(body.preset);
+  if (body.preset !== undefined && body.preset !== '' && !reason) {
+    errors.push(`preset must be a call reason from the catalogue (${listCallReasons().map(entry => entry.id).join(', ')})`);
+  }
+
+  // Catalogue reasons default the free-text reason to their name
+  if (reason) {
+    if (body.callReason !== undefined && typeof body.callReason !== 'string') {
+      errors.push('callReason must be a string if provided');
+    }
+  } else if (!body.callReason || typeof body.callReason !== 'string') {
+    errors.push('callReason is required and must be a string');
+  }
+
+  if (body.contextData && (typeof body.contextData !== 'object' || Array.isArray(body.contextData))) {
+    errors.push('contextData must be an object if provided');
+  } else if (reason) {
+    errors.push(...validateContextData(reason, body.contextData).errors);
+  }
+
+  // Optional greeting options (honorific, gender)
+  errors.push(...validateGreetingOptions(body));
+
+  // Optional caller selection (agentPhoneNumberId)
+  errors.push(...validateAgentNumber(body));
+
+  if (body.overrideCaps !== undefined && typeof body.overrideCaps !== 'boolean') {
+    errors.push('overrideCaps must be a boolean if provided');
+  }
+
+  // Optional scheduling fields (scheduledAt, timezone, preferredWindows)
+  errors.push(...validateSchedule(body));
+
+  return errors;
+}
+
+/**
+ * Copy of a validated request with the phone number in E.164 form
+ * (e.g. "050 123 4567" -> "+971501234567"); catalogue reasons also get
+ * their default callReason and typed contextData
+ */
+function normalizeRequest(body) {
+  const request = { ...body, phoneNumber: normalizePhoneNumber(body.phoneNumber) || body.phoneNumber };
+
+  const reason = getCallReason(body.preset);
+  if (reason) {
+    request.callReason = body.callReason || getReasonName(reason);
+    request.contextData = validateContextData(reason, body.contextData).contextData;
+  }
+
+  return request;
+}
+
+module.exports = {
+  buildOutboundContext,
+  buildFirstMessage,
+  flattenContextData,
+  buildDynamicVariables,
+  buildCallRequestBody,
+  initiateOutboundCall,
+  validateRequest,
+  normalizeRequest,
+};
@@ -0,0 +1,355 @@
+/**
+ * Phone Number Parsing
+ *
+ * The one place phone numbers are parsed, normalized to E.164 and checked.
+ * Used for outbound call requests, campaign rows, SMS (including the test
+ * endpoint), the suppression list, contact caps and the webhook's customer
+ * number extraction.
+ *
+ * Rules follow libphonenumber's metadata, trimmed to the countries our
+ * customers live in: calling code, national (trunk) prefix and patterns for
+ * each number type over the national significant number. Numbers from other
+ * countries are rejected as unsupported.
+ *
+ * Accepted input: "+971 50 123 4567", "00971501234567", "971501234567",
+ * "050 123 4567" (national format, PHONE_DEFAULT_COUNTRY, default AE),
+ * Arabic-Indic digits.
+ *
+ * Destinations are limited to PHONE_ALLOWED_COUNTRIES (default AE).
+ * Calls need a personal number (mobile or fixed line); SMS need a mobile.
+ */
+
+// ============================================================================
+// METADATA
+// ============================================================================
+
+// Type patterns are tried in order, so the specific ranges come first.
+// NANP (+1) numbers can't be told apart by country or type from the digits,
+// so they are reported as US / fixed_line_or_mobile like libphonenumber does.
+const COUNTRIES = {
+  AE: {
+    callingCode: '971',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^800\d{2,9}$/,
+      shared_cost: /^(?:600[25]\d{5}|700[05]\d{5})$/,
+      premium_rate: /^900[02]\d{5}$/,
+      mobile: /^5[024-68]\d{7}$/,
+      fixed_line: /^[2-4679][2-8]\d{6}$/,
+    },
+  },
+  SA: {
+    callingCode: '966',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^800\d{7}$/,
+      shared_cost: /^92\d{7}$/,
+      mobile: /^5\d{8}$/,
+      fixed_line: /^1[1-9]\d{7}$/,
+    },
+  },
+  QA: {
+    callingCode: '974',
+    types: {
+      toll_free: /^800\d{4}$/,
+      mobile: /^[3567]\d{7}$/,
+      fixed_line: /^4\d{7}$/,
+    },
+  },
+  KW: {
+    callingCode: '965',
+    types: {
+      mobile: /^(?:[569]\d{7}|41\d{6})$/,
+      fixed_line: /^2\d{7}$/,
+    },
+  },
+  BH: {
+    callingCode: '973',
+    types: {
+      toll_free: /^80\d{6}$/,
+      mobile: /^(?:3\d{7}|66\d{6})$/,
+      fixed_line: /^1[3-7]\d{6}$/,
+    },
+  },
+  OM: {
+    callingCode: '968',
+    types: {
+      toll_free: /^800\d{5}$/,
+      mobile: /^[79]\d{7}$/,
+      fixed_line: /^2[2-6]\d{6}$/,
+    },
+  },
+  EG: {
+    callingCode: '20',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^800\d{7}$/,
+      mobile: /^1[0125]\d{8}$/,
+      fixed_line: /^(?:[23]\d{8}|[4-9]\d{7,8})$/,
+    },
+  },
+  JO: {
+    callingCode: '962',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^80\d{6}$/,
+      mobile: /^7[789]\d{7}$/,
+      fixed_line: /^[2356]\d{7}$/,
+    },
+  },
+  IN: {
+    callingCode: '91',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^1800\d{6,7}$/,
+      mobile: /^[6-9]\d{9}$/,
+      fixed_line: /^[1-5]\d{9}$/,
+    },
+  },
+  PK: {
+    callingCode: '92',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^800\d{5}$/,
+      mobile: /^3\d{9}$/,
+      fixed_line: /^[24-9]\d{8,9}$/,
+    },
+  },
+  BD: {
+    callingCode: '880',
+    nationalPrefix: '0',
+    types: {
+      mobile: /^1[3-9]\d{8}$/,
+      fixed_line: /^[2-9]\d{6,9}$/,
+    },
+  },
+  LK: {
+    callingCode: '94',
+    nationalPrefix: '0',
+    types: {
+      mobile: /^7[0-8]\d{7}$/,
+      fixed_line: /^[1-689]\d{8}$/,
+    },
+  },
+  NP: {
+    callingCode: '977',
+    nationalPrefix: '0',
+    types: {
+      mobile: /^9[678]\d{8}$/,
+      fixed_line: /^[1-8]\d{6,7}$/,
+    },
+  },
+  PH: {
+    callingCode: '63',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^1800\d{7}$/,
+      mobile: /^9\d{9}$/,
+      fixed_line: /^[2-8]\d{7,8}$/,
+    },
+  },
+  GB: {
+    callingCode: '44',
+    nationalPrefix: '0',
+    types: {
+      toll_free: /^80\d{7,8}$/,
+      premium_rate: /^9\d{9}$/,
+      mobile: /^7[1-57-9]\d{8}$/,
+      fixed_line: /^[12]\d{8,9}$/,
+    },
+  },
+  US: {
+    callingCode: '1',
+    nationalPrefix: '1',
+    types: {
+      toll_free: /^8(?:00|33|44|55|66|77|88)[2-9]\d{6}$/,
+      premium_rate: /^900[2-9]\d{6}$/,
+      fixed_line_or_mobile: /^[2-9]\d{2}[2-9]\d{6}$/,
+    },
+  },
+};
+
+const BY_CALLING_CODE = Object.fromEntries(
+  Object.entries(COUNTRIES).map(([country, meta]) => [meta.callingCode, country])
+);
+
+// Number types each purpose may be sent to
+const ALLOWED_TYPES = {
+  call: ['mobile', 'fixed_line', 'fixed_line_or_mobile'],
+  sms: ['mobile', 'fixed_line_or_mobile'],
+};
+
+function getDefaultCountry() {
+  return (process.env.PHONE_DEFAULT_COUNTRY || 'AE').toUpperCase();
+}
+
+/**
+ * Destination countries numbers may be in ("*" allows every supported country)
+ * @returns {string[]|null} ISO country codes, or null for no restriction
+ */
+function getAllowedCountries() {
+  const value = process.env.PHONE_ALLOWED_COUNTRIES ?? 'AE';
+  if (value.trim() === '*') return null;
+  return value.split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Arabic-Indic and Eastern Arabic-Indic digits
+function toAsciiDigits(text) {
+  return text
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+function detectType(meta, nationalNumber) {
+  const match = Object.entries(meta.types).find(([, pattern]) => pattern.test(nationalNumber));
+  return match ? match[0] : null;
+}
+
+function splitCallingCode(digits) {
+  for (const length of [1, 2, 3]) {
+    const country = BY_CALLING_CODE[digits.slice(0, length)];
+    if (country) return { country, nationalNumber: digits.slice(length) };
+  }
+  return null;
+}
+
+function failed(error) {
+  return { valid: false, error };
+}
+
+/**
+ * Parses a phone number in international or national format
+ * @param {string} input - Raw number
+ * @param {object} options - { defaultCountry? } for numbers without a country code
+ * @returns {object} { valid: true, e164, country, callingCode, nationalNumber, type } or
+ *   { valid: false, error }
+ */
+function parsePhoneNumber(input, options = {}) {
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return failed('Phone number must be a string');
+  }
+
+  const raw = toAsciiDigits(String(input).trim());
+  if (!/^\+?[\d\s\-().\/]+$/.test(raw)) {
+    return failed(`"${input}" is not a phone number`);
+  }
+
+  const digits = raw.replace(/\D/g, '');
+  const defaultCountry = (options.defaultCountry || getDefaultCountry()).toUpperCase();
+  const defaultMeta = COUNTRIES[defaultCountry];
+  let candidate = null;
+
+  if (raw.startsWith('+') || digits.startsWith('00')) {
+    candidate = splitCallingCode(raw.startsWith('+') ? digits : digits.slice(2));
+    if (!candidate) return failed(`Unsupported country code in ${input}`);
+  } else if (defaultMeta) {
+    // "971501234567" - international digits without the "+"
+    if (digits.startsWith(defaultMeta.callingCode)) {
+      const national = digits.slice(defaultMeta.callingCode.length);
+      if (detectType(defaultMeta, national)) {
+        candidate = { country: defaultCountry, nationalNumber: national };
+      }
+    }
+    // "0501234567" - national format
+    if (!candidate) {
+      const prefix = defaultMeta.nationalPrefix;
+      candidate = {
+        country: defaultCountry,
+        nationalNumber: prefix && digits.startsWith(prefix) ? digits.slice(prefix.length) : digits,
+      };
+    }
+  } else {
+    return failed(`${input} has no country code (expected E.164, e.g. +971501234567)`);
+  }
+
+  const meta = COUNTRIES[candidate.country];
+  let nationalNumber = candidate.nationalNumber;
+  let type = detectType(meta, nationalNumber);
+
+  // "+971 0 50..." - a trunk prefix left in after the country code
+  if (!type && meta.nationalPrefix && nationalNumber.startsWith(meta.nationalPrefix)) {
+    nationalNumber = nationalNumber.slice(meta.nationalPrefix.length);
+    type = detectType(meta, nationalNumber);
+  }
+
+  if (!type) {
+    return failed(`${input} is not a valid ${candidate.country} phone number`);
+  }
+
+  return {
+    valid: true,
+    e164: `+${meta.callingCode}${nationalNumber}`,
+    country: candidate.country,
+    callingCode: meta.callingCode,
+    nationalNumber,
+    type,
+  };
+}
+
+/**
+ * E.164 form of a number
+ * @returns {string|null} null if the number can't be parsed
+ */
+function normalizePhoneNumber(input, options = {}) {
+  const parsed = parsePhoneNumber(input, options);
+  return parsed.valid ? parsed.e164 : null;
+}
+
+/**
+ * Stable key for per-number records (suppression list, contact log).
+ * Unparseable input falls back to its bare digits so it still matches itself.
+ */
+function phoneKey(input) {
+  const normalized = normalizePhoneNumber(input);
+  if (normalized) return normalized;
+  const compact = toAsciiDigits(String(input || '')).replace(/[^\d+]/g, '');
+  return compact.startsWith('00') ? `+${compact.slice(2)}` : compact;
+}
+
+/**
+ * Checks that a number may be contacted for a purpose
+ * @param {string} input - Raw number
+ * @param {string} purpose - 'call' | 'sms'
+ * @returns {object} { errors: string[], phone?: parsePhoneNumber() result }
+ */
+function validatePhoneNumber(input, purpose = 'call') {
+  const phone = parsePhoneNumber(input);
+  if (!phone.valid) {
+    return { errors: [phone.error] };
+  }
+
+  const errors = [];
+  const allowed = getAllowedCountries();
+  if (allowed && !allowed.includes(phone.country)) {
+    errors.push(`${phone.e164} is in ${phone.country}, which is not an allowed destination (${allowed.join(', ')})`);
+  }
+  if (!ALLOWED_TYPES[purpose].includes(phone.type)) {
+    errors.push(purpose === 'sms'
+      ? `${phone.e164} is not a mobile number (${phone.type}) and cannot receive SMS`
+      : `${phone.e164} cannot be called (${phone.type})`);
+  }
+
+  return { errors, phone };
+}
+
+/**
+ * Whether a string could be a phone number at all (used to scan payloads
+ * before parsing, so ids and timestamps aren't mistaken for numbers)
+ */
+function looksLikePhoneNumber(value) {
+  return typeof value === 'string' && /^\+?[\d\s\-()]{8,20}$/.test(toAsciiDigits(value.trim()));
+}
+
+module.exports = {
+  COUNTRIES,
+  getAllowedCountries,
+  parsePhoneNumber,
+  normalizePhoneNumber,
+  phoneKey,
+  validatePhoneNumber,
+  looksLikePhoneNumber,
+};
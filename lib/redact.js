@@ -0,0 +1,162 @@
+/**
+ * PII Redaction
+ *
+ * Masks customer data before it reaches logs or debug output:
+ *
+ *   Emirates ID   784-1990-1234567-1      -> 784-****-*******-*
+ *   IBAN          AE07 0331 2345 6789 ... -> AE07***************3456
+ *   card/account  4111 1111 1111 1234     -> ************1234
+ *   phone         +971501234567           -> +*********567
+ *   account no.   "account no: 123456"    -> "account no: ****56"
+ *   names         { fullName: "Yousef Sheikh" } -> { fullName: "Y***** S*****" }
+ *   credentials   { cookie: "sid=..." }     -> { cookie: "[redacted]" }
+ *
+ * Patterns apply to every string; names can't be recognised in free text,
+ * so they are masked by key (NAME_KEYS) and, where the caller knows them,
+ * wherever they appear (options.names, e.g. the customer's name in a
+ * transcript). Credentials are masked by key too (SECRET_KEYS, e.g. the
+ * request headers dumped by api/webhook-debug.js).
+ *
+ * The audit trail (lib/audit.js) and the call registry keep unmasked data
+ * on purpose - they are the record, not logs.
+ */
+
+const NAME_KEYS = new Set([
+  'fullName', 'full_name', 'customer', 'customerName', 'customer_name',
+  'firstName', 'first_name', 'lastName', 'last_name',
+  'customer_first_name', 'customer_full_name',
+]);
+
+// Compared lower-cased - Node lower-cases header names
+const SECRET_KEYS = new Set([
+  'cookie', 'set-cookie', 'authorization', 'proxy-authorization',
+  'x-api-key', 'x-admin-key', 'elevenlabs-signature', 'x-twilio-signature',
+]);
+
+const LIMITS = {
+  maxDepth: 12,
+  minNamePartLength: 3,
+};
+
+// ============================================================================
+// MASKS
+// ============================================================================
+
+function maskKeepingLast(value, keep) {
+  const chars = value.replace(/[^A-Za-z0-9]/g, '');
+  return '*'.repeat(Math.max(0, chars.length - keep)) + chars.slice(-keep);
+}
+
+function maskName(name) {
+  return String(name).replace(/\S+/g, part => part[0] + '*'.repeat(Math.max(0, part.length - 1)));
+}
+
+// Dates and times are long digit runs too - leave them readable
+const DATE_LIKE = /^\d{4}[-/]\d{2}[-/]\d{2}/;
+
+// Order matters: the specific formats run before the generic digit runs
+const PATTERNS = [
+  {
+    // Emirates ID: 784-YYYY-NNNNNNN-C
+    regex: /\b784[-\s]?\d{4}[-\s]?\d{7}[-\s]?\d\b/g,
+    mask: () => '784-****-*******-*',
+  },
+  {
+    // IBAN: country, check digits, then up to 30 letters/digits (printed in groups of 4)
+    regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    mask: match => match.slice(0, 4) + maskKeepingLast(match.slice(4), 4),
+  },
+  {
+    // Account numbers named as such, whatever their length
+    regex: /\b(account|acct|a\/c)(\s*(?:no\.?|number|#)?\s*[:#]?\s*)(\d[\d -]{3,}\d)/gi,
+    mask: (match, label, separator, number) => label + separator + maskKeepingLast(number, 2),
+  },
+  {
+    // Card and account numbers: 13-19 digits, optionally grouped
+    regex: /(?<![\w+])\d(?:[ -]?\d){12,18}(?![\w])/g,
+    mask: match => (DATE_LIKE.test(match) ? match : maskKeepingLast(match, 4)),
+  },
+  {
+    // Phone numbers: 9-15 digits with an optional + and separators
+    regex: /(?<![\w+])\+?\d(?:[ ().-]{0,2}\d){8,14}(?!\w)/g,
+    mask: match => (DATE_LIKE.test(match)
+      ? match
+      : (match.startsWith('+') ? '+' : '') + maskKeepingLast(match, 3)),
+  },
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Masks PII patterns (and known names) in a string
+ * @param {string} text
+ * @param {object} options - { names?: string[] } - names to mask wherever they appear
+ */
+function redactText(text, options = {}) {
+  let result = PATTERNS.reduce((current, { regex, mask }) => current.replace(regex, mask), String(text));
+
+  const parts = (options.names || [])
+    .filter(Boolean)
+    .flatMap(name => String(name).split(/\s+/))
+    .filter(part => part.length >= LIMITS.minNamePartLength);
+  if (parts.length > 0) {
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${[...new Set(parts)].map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    result = result.replace(regex, maskName);
+  }
+  return result;
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+function redactValue(value, options, seen, depth) {
+  if (typeof value === 'string') return redactText(value, options);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= LIMITS.maxDepth) return '[Truncated]';
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Date) return value;
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const copy = new Error(redactText(value.message, options));
+    copy.name = value.name;
+    copy.stack = redactText(value.stack || '', options);
+    Object.keys(value).forEach((key) => {
+      copy[key] = redactValue(value[key], options, seen, depth + 1);
+    });
+    return copy;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, options, seen, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (SECRET_KEYS.has(key.toLowerCase())) return [key, '[redacted]'];
+    return [
+      key,
+      NAME_KEYS.has(key) && typeof item === 'string'
+        ? maskName(item)
+        : redactValue(item, options, seen, depth + 1),
+    ];
+  }));
+}
+
+/**
+ * Returns a masked copy of any value (strings, objects, arrays, errors)
+ * @param {*} value
+ * @param {object} options - { names?: string[] } - see redactText()
+ */
+function redact(value, options = {}) {
+  return redactValue(value, options, new WeakSet(), 0);
+}
+
+module.exports = {
+  redact,
+  redactText,
+  maskName,
+};
@@ -0,0 +1,164 @@
+/**
+ * Call Retry Engine
+ *
+ * When the call-ended webhook shows the customer was not reached
+ * (lib/call-outcome.js), the original request is dialed again through the
+ * scheduler (lib/scheduled-calls.js):
+ *
+ *   RETRY_OUTCOMES        outcomes that are retried
+ *   RETRY_MAX_ATTEMPTS    total attempts including the first call
+ *   RETRY_BACKOFF_MINUTES wait before each retry; the last value repeats
+ *   RETRY_TIME_SLOTS      retries move to the next of these windows so the
+ *                         customer is tried at a different time of day
+ *                         (skipped when the request has preferredWindows)
+ *   RETRY_FINAL_SMS       send MISSED_CALL_SMS after the last failed attempt
+ *
+ * Every attempt is recorded in the original call's `attempts` list. Numbers
+ * that went on the do-not-call list (lib/suppression.js) are not retried.
+ */
+
+const { getCall, recordAttempt } = require('./calls');
+const { getScheduledCall, scheduleCall } = require('./scheduled-calls');
+const { DEFAULT_TIMEZONE, windowIndexAt } = require('./calling-hours');
+const { deliverSms } = require('./sms/deliveries');
+const { resolveSmsFields } = require('./sms/fields');
+const { getLanguageCode } = require('./language');
+const { findSuppression } = require('./suppression');
+const { SYSTEM_ACTORS } = require('./audit');
+const { logger } = require('./log');
+
+const UNANSWERED_OUTCOMES = ['no_answer', 'busy', 'voicemail', 'short', 'failed'];
+
+function splitList(value, separator = ',') {
+  return String(value || '')
+    .split(separator)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the retry policy from the environment
+ * @returns {object} { outcomes, maxAttempts, backoffMinutes, timeSlots, finalSms }
+ */
+function getRetryPolicy() {
+  const maxAttempts = Number(process.env.RETRY_MAX_ATTEMPTS);
+  const backoffMinutes = splitList(process.env.RETRY_BACKOFF_MINUTES ?? '60,240')
+    .map(Number)
+    .filter(minutes => Number.isFinite(minutes) && minutes >= 0);
+
+  return {
+    outcomes: splitList(process.env.RETRY_OUTCOMES ?? UNANSWERED_OUTCOMES.join(',')),
+    maxAttempts: Number.isInteger(maxAttempts) && maxAttempts > 0 ? maxAttempts : 3,
+    backoffMinutes: backoffMinutes.length > 0 ? backoffMinutes : [60],
+    timeSlots: splitList(process.env.RETRY_TIME_SLOTS ?? '09:00-13:00;13:00-17:00;17:00-21:00', ';'),
+    finalSms: process.env.RETRY_FINAL_SMS === 'true',
+  };
+}
+
+/**
+ * Works out when and in which window the next attempt should happen
+ * @param {object} schedule - Original schedule { timezone, preferredWindows }
+ * @param {number} retryNumber - 1 for the first retry
+ * @param {object} policy - getRetryPolicy()
+ * @param {Date} now - Time the failed attempt ended
+ */
+function planRetrySchedule(schedule, retryNumber, policy, now = new Date()) {
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  const backoff = policy.backoffMinutes[Math.min(retryNumber, policy.backoffMinutes.length) - 1];
+  const scheduledAt = new Date(now.getTime() + backoff * 60 * 1000).toISOString();
+
+  // The customer's own windows win over time-of-day rotation
+  if (schedule.preferredWindows && schedule.preferredWindows.length > 0) {
+    return { scheduledAt, timezone, preferredWindows: schedule.preferredWindows };
+  }
+
+  if (policy.timeSlots.length === 0) {
+    return { scheduledAt, timezone };
+  }
+
+  const current = windowIndexAt(now, policy.timeSlots, timezone);
+  const next = policy.timeSlots[(current + 1) % policy.timeSlots.length];
+  return { scheduledAt, timezone, preferredWindows: [next] };
+}
+
+async function sendMissedCallSms(callRecord, conversationId) {
+  const fields = resolveSmsFields({
+    contextData: callRecord.request.contextData,
+    dynamicVariables: { customer_first_name: String(callRecord.customer || '').split(' ')[0] },
+  });
+
+  const { result } = await deliverSms({
+    conversationId,
+    smsType: 'MISSED_CALL_SMS',
+    phoneNumber: callRecord.phoneNumber,
+    language: getLanguageCode(callRecord.preferredLanguage),
+    fieldValues: fields.values,
+    details: { reason: 'Final call attempt unanswered' },
+    actor: SYSTEM_ACTORS.retries,
+  });
+  return result;
+}
+
+/**
+ * Records an unanswered attempt and schedules the next one, or gives up
+ * @param {object} callRecord - Call registry record of the attempt that just ended
+ * @param {object} outcome - detectCallOutcome() result
+ * @param {object} options - { conversationId, policy? }
+ * @returns {Promise<object>} { action: 'retry', scheduledCall } |
+ *   { action: 'exhausted', sms } | { action: 'none' } for answered calls
+ */
+async function handleCallOutcome(callRecord, outcome, options = {}) {
+  if (!UNANSWERED_OUTCOMES.includes(outcome.outcome)) {
+    return { action: 'none' };
+  }
+
+  const policy = options.policy || getRetryPolicy();
+  const rootId = callRecord.retryOf || callRecord.id;
+  const attempt = callRecord.attempt || 1;
+
+  await recordAttempt(rootId, {
+    attempt,
+    callId: callRecord.id,
+    status: outcome.outcome,
+    reason: outcome.reason,
+    at: new Date().toISOString(),
+  });
+
+  // A customer who opted out since the call was placed is not dialed again
+  const suppression = await findSuppression(callRecord.phoneNumber, 'call');
+  if (suppression) {
+    logger.info(`Not retrying ${rootId}: ${suppression.phoneNumber} is on the do-not-call list`);
+  } else if (policy.outcomes.includes(outcome.outcome) && attempt < policy.maxAttempts) {
+    // Windows come from the original request, not from an earlier retry's rotated slot
+    const root = callRecord.retryOf ? await getCall(rootId) : callRecord;
+    const original = root && root.scheduledCallId ? await getScheduledCall(root.scheduledCallId) : null;
+    const schedule = planRetrySchedule(original ? original.schedule : {}, attempt, policy);
+
+    // Fixed id so a redelivered webhook cannot schedule the same retry twice
+    const { call, duplicate, errors } = await scheduleCall({ ...callRecord.request, ...schedule }, {
+      id: `sch_retry_${rootId}_${attempt + 1}`,
+      meta: { source: 'retry', retryOf: rootId, attempt: attempt + 1, actor: SYSTEM_ACTORS.retries },
+    });
+
+    if (errors) {
+      logger.error(`Could not schedule retry for ${rootId}:`, errors);
+    } else {
+      if (!duplicate) {
+        logger.info(`Retry ${attempt + 1}/${policy.maxAttempts} for ${rootId} scheduled at ${call.dueAt}`);
+        await recordAttempt(rootId, { attempt: attempt + 1, status: 'scheduled', scheduledCallId: call.id, dueAt: call.dueAt });
+      }
+      return { action: 'retry', attempt, scheduledCall: call };
+    }
+  }
+
+  logger.info(`Giving up on ${rootId} after attempt ${attempt} (${outcome.outcome})`);
+  const sms = policy.finalSms ? await sendMissedCallSms(callRecord, options.conversationId) : null;
+  return { action: 'exhausted', attempt, sms };
+}
+
+module.exports = {
+  UNANSWERED_OUTCOMES,
+  getRetryPolicy,
+  planRetrySchedule,
+  handleCallOutcome,
+};
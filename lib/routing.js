@@ -0,0 +1,274 @@
+/**
+ * Agent Routing
+ *
+ * Chooses the ElevenLabs agent for a call. Each flow (complaint resolution,
+ * rewards, collections, ...) can have its own agent, caller number and
+ * voice / LLM, selected by call reason or dashboard preset and by language.
+ *
+ * Rules (store collection "routing-rules"), edited through /api/admin/routing:
+ *   { id, name, callReason, preset, language, agentId, agentPhoneNumberId,
+ *     overrides: { voiceId?, llm? }, priority, enabled, createdAt, updatedAt }
+ *
+ * callReason (case-insensitive), preset (a lib/call-reasons.js id) and
+ * language ('en' | 'ar' | 'hi') are optional match criteria - a rule
+ * without any is a catch-all. The most specific matching rule wins, then
+ * the highest priority, then the oldest. Without a match the call keeps
+ * ELEVENLABS_AGENT_ID and the caller-number selection of lib/agent-numbers.js.
+ *
+ * Voice and LLM overrides are sent in conversation_config_override, so they
+ * must be allowed in the agent's security settings on ElevenLabs.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { getElevenLabsConfig } = require('./elevenlabs');
+const { SUPPORTED_LANGUAGES, getLanguageCode } = require('./language');
+const { getAgentNumber, getAgentNumbers, selectAgentNumber } = require('./agent-numbers');
+const { getCallReason, listCallReasons } = require('./call-reasons');
+const { logger } = require('./log');
+
+const rules = createStore('routing-rules');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MATCH_FIELDS = ['callReason', 'preset', 'language'];
+const OVERRIDE_FIELDS = ['voiceId', 'llm'];
+
+const LIMITS = {
+  maxNameLength: 100,
+  maxRules: 200,
+};
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function validateRule(input, existing = null) {
+  const errors = [];
+  const rule = { ...existing, ...input };
+
+  if (typeof rule.agentId !== 'string' || !rule.agentId.trim()) {
+    errors.push('agentId is required and must be a string');
+  }
+  for (const field of ['name', 'callReason', 'preset']) {
+    if (!isBlank(rule[field]) && typeof rule[field] !== 'string') {
+      errors.push(`${field} must be a string if provided`);
+    }
+  }
+  if (!isBlank(rule.preset) && !getCallReason(rule.preset)) {
+    errors.push(`preset must be a call reason from the catalogue (${listCallReasons().map(entry => entry.id).join(', ')})`);
+  }
+  if (!isBlank(rule.language) && !SUPPORTED_LANGUAGES.includes(rule.language)) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+  if (!isBlank(rule.agentPhoneNumberId) && !getAgentNumber(rule.agentPhoneNumberId)) {
+    const ids = getAgentNumbers().map(entry => entry.id);
+    errors.push(`agentPhoneNumberId must be one of the configured agent numbers (${ids.join(', ') || 'none configured'})`);
+  }
+  if (!isBlank(rule.overrides)) {
+    if (typeof rule.overrides !== 'object' || Array.isArray(rule.overrides)) {
+      errors.push('overrides must be an object if provided');
+    } else {
+      for (const [key, value] of Object.entries(rule.overrides)) {
+        if (!OVERRIDE_FIELDS.includes(key)) {
+          errors.push(`overrides.${key} is not supported (allowed: ${OVERRIDE_FIELDS.join(', ')})`);
+        } else if (!isBlank(value) && typeof value !== 'string') {
+          errors.push(`overrides.${key} must be a string`);
+        }
+      }
+    }
+  }
+  if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+    errors.push('priority must be an integer if provided');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean if provided');
+  }
+
+  return errors;
+}
+
+function toRule(input, existing) {
+  const now = new Date().toISOString();
+  const merged = { ...existing, ...input };
+  const blankToNull = value => (isBlank(value) ? null : String(value).trim());
+
+  return {
+    id: existing ? existing.id : `route_${crypto.randomUUID()}`,
+    name: String(merged.name || '').slice(0, LIMITS.maxNameLength) || null,
+    callReason: blankToNull(merged.callReason),
+    preset: blankToNull(merged.preset),
+    language: blankToNull(merged.language),
+    agentId: merged.agentId.trim(),
+    agentPhoneNumberId: blankToNull(merged.agentPhoneNumberId),
+    overrides: Object.fromEntries(
+      Object.entries(merged.overrides || {}).filter(([, value]) => !isBlank(value))
+    ),
+    priority: merged.priority || 0,
+    enabled: merged.enabled !== false,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Lists routing rules in evaluation order
+ */
+async function listRoutes() {
+  return (await rules.list()).sort(compareRules);
+}
+
+async function getRoute(id) {
+  return rules.get(id);
+}
+
+/**
+ * Adds a routing rule
+ * @returns {Promise<object>} { errors } or { route }
+ */
+async function createRoute(input) {
+  const errors = validateRule(input || {});
+  if (errors.length > 0) return { errors };
+
+  if ((await rules.list()).length >= LIMITS.maxRules) {
+    return { errors: [`The routing table is limited to ${LIMITS.maxRules} rules`] };
+  }
+
+  const route = toRule(input);
+  await rules.put(route.id, route);
+  logger.info('Routing rule added:', describeRule(route));
+  return { route };
+}
+
+/**
+ * Changes a routing rule (fields not sent are kept)
+ * @returns {Promise<object|null>} { errors } or { route }; null if the rule doesn't exist
+ */
+async function updateRoute(id, patch) {
+  const existing = await rules.get(id);
+  if (!existing) return null;
+
+  // id and timestamps are managed here
+  const changes = { ...patch };
+  delete changes.id;
+  delete changes.createdAt;
+  delete changes.updatedAt;
+
+  const errors = validateRule(changes, existing);
+  if (errors.length > 0) return { errors };
+
+  const route = toRule(changes, existing);
+  await rules.put(id, route);
+  logger.info('Routing rule updated:', describeRule(route));
+  return { route };
+}
+
+/**
+ * Deletes a routing rule
+ * @returns {Promise<boolean>} false if it did not exist
+ */
+async function removeRoute(id) {
+  if (!(await rules.get(id))) return false;
+  await rules.remove(id);
+  logger.info(`Routing rule removed: ${id}`);
+  return true;
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+function specificity(rule) {
+  return MATCH_FIELDS.filter(field => rule[field]).length;
+}
+
+function compareRules(a, b) {
+  return specificity(b) - specificity(a)
+    || b.priority - a.priority
+    || a.createdAt.localeCompare(b.createdAt);
+}
+
+function describeRule(rule) {
+  const criteria = MATCH_FIELDS.filter(field => rule[field]).map(field => `${field}=${rule[field]}`);
+  return `${rule.name || rule.id} (${criteria.join(', ') || 'catch-all'}) -> ${rule.agentId}`;
+}
+
+/**
+ * Whether a rule applies to a call request
+ */
+function ruleMatches(rule, input) {
+  const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+  return rule.enabled
+    && (!rule.callReason || sameText(rule.callReason, input.callReason))
+    && (!rule.preset || sameText(rule.preset, input.preset))
+    && (!rule.language || rule.language === getLanguageCode(input.preferredLanguage));
+}
+
+/**
+ * Picks the routing rule for a request from a list of rules
+ * @returns {object|null} The winning rule
+ */
+function matchRoute(input, routes) {
+  return [...routes].sort(compareRules).find(rule => ruleMatches(rule, input)) || null;
+}
+
+/**
+ * Works out agent, caller number and overrides for a request
+ * @param {object} input - Validated outbound call request
+ * @param {object[]} routes - Rules to use (default: the stored table)
+ * @returns {Promise<object>} { rule, caller, agentId, overrides }
+ */
+async function routeCall(input, routes) {
+  const rule = matchRoute(input, routes || await rules.list());
+
+  // An explicit agentPhoneNumberId on the request beats the rule's number;
+  // a rule pointing at a number that was since removed falls back to auto
+  const ruleNumber = rule && rule.agentPhoneNumberId && getAgentNumber(rule.agentPhoneNumberId)
+    ? rule.agentPhoneNumberId
+    : undefined;
+  const caller = selectAgentNumber({ ...input, agentPhoneNumberId: input.agentPhoneNumberId || ruleNumber });
+
+  return {
+    rule,
+    caller,
+    agentId: (rule && rule.agentId) || (caller && caller.agentId) || getElevenLabsConfig().agentId,
+    overrides: rule ? rule.overrides : {},
+  };
+}
+
+/**
+ * Adds a rule's voice / LLM overrides to conversation_config_override
+ * @param {object} configOverride - Base override ({ agent: { first_message, language } })
+ * @param {object} overrides - { voiceId?, llm? }
+ */
+function applyOverrides(configOverride, overrides = {}) {
+  const result = { ...configOverride, agent: { ...configOverride.agent } };
+
+  if (overrides.llm) {
+    result.agent.prompt = { ...result.agent.prompt, llm: overrides.llm };
+  }
+  if (overrides.voiceId) {
+    result.tts = { ...result.tts, voice_id: overrides.voiceId };
+  }
+
+  return result;
+}
+
+module.exports = {
+  listRoutes,
+  getRoute,
+  createRoute,
+  updateRoute,
+  removeRoute,
+  ruleMatches,
+  matchRoute,
+  routeCall,
+  applyOverrides,
+};
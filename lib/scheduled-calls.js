@@ -0,0 +1,312 @@
+/**
+ * Scheduled Outbound Calls
+ *
+ * Holds outbound call requests until they are due. A call is due at the
+ * first instant at or after its `scheduledAt` that the calling-hours rules
+ * allow (quiet hours, blackouts, the customer's preferred windows - see
+ * lib/calling-hours.js).
+ *
+ * Like campaigns, scheduled calls are dialed in ticks: the Express server
+ * ticks on a timer; on Vercel the cron entry in vercel.json and listings
+ * of /api/scheduled-calls by supervisors tick the scheduler. A call is
+ * claimed in the "scheduled-call-dials" collection (store create(), HSETNX
+ * on kv) before it is dialed, so overlapping ticks dial it only once.
+ *
+ * Statuses: pending -> dialing -> initiated | failed
+ *           pending -> cancelled
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { initiateOutboundCall } = require('./outbound');
+const { recordAttempt } = require('./calls');
+const { checkContactCaps } = require('./contact-caps');
+const { DEFAULT_TIMEZONE, isCallAllowed, nextAllowedTime, validateSchedule } = require('./calling-hours');
+const { logger } = require('./log');
+
+const scheduledCalls = createStore('scheduled-calls');
+const dials = createStore('scheduled-call-dials');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const LIMITS = {
+  // Furthest a call can be scheduled ahead
+  maxDaysAhead: 90,
+  // Most calls dialed in one tick
+  maxPerTick: Number(process.env.SCHEDULER_MAX_PER_TICK) || 5,
+  // A call stuck in "dialing" this long was lost (e.g. the function timed out)
+  dialTimeoutMs: 2 * 60 * 1000,
+};
+
+// Request fields that describe when to call rather than the call itself
+const SCHEDULE_FIELDS = ['scheduledAt', 'timezone', 'preferredWindows'];
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * Splits an outbound call request into the call itself and its schedule
+ * @returns {object} { request, schedule: { scheduledAt, timezone, preferredWindows } }
+ */
+function splitSchedule(body) {
+  const request = { ...body };
+  SCHEDULE_FIELDS.forEach(field => delete request[field]);
+
+  return {
+    request,
+    schedule: {
+      scheduledAt: body.scheduledAt || null,
+      timezone: body.timezone || DEFAULT_TIMEZONE,
+      preferredWindows: body.preferredWindows || [],
+    },
+  };
+}
+
+/**
+ * Works out when a call may be dialed
+ * @param {object} schedule - { scheduledAt, timezone, preferredWindows }
+ * @param {Date} now - Current time
+ * @returns {object} { errors } or { dueAt: Date, reason?: string } - reason explains a hold
+ */
+function planSchedule(schedule, now = new Date()) {
+  const errors = validateSchedule(schedule);
+  if (errors.length > 0) return { errors };
+
+  const requested = schedule.scheduledAt ? new Date(schedule.scheduledAt) : now;
+  if (requested - now > LIMITS.maxDaysAhead * 24 * 60 * 60 * 1000) {
+    return { errors: [`scheduledAt cannot be more than ${LIMITS.maxDaysAhead} days ahead`] };
+  }
+
+  const from = requested > now ? requested : now;
+  const dueAt = nextAllowedTime(from, schedule);
+  if (!dueAt) {
+    return { errors: ['No allowed calling time within 14 days of scheduledAt (check preferredWindows)'] };
+  }
+
+  const { reason } = isCallAllowed(from, schedule);
+  return { dueAt, reason: reason || null };
+}
+
+/**
+ * Saves a call to be dialed later
+ * @param {object} body - Validated outbound call request including schedule fields
+ * @param {object} options
+ * @param {string} options.id - Fixed id; scheduling the same id twice is a no-op
+ * @param {object} options.meta - Call registry fields passed on when dialing,
+ *   e.g. { source: 'retry', retryOf, attempt }
+ * @returns {Promise<object>} { errors } or { call, duplicate? }
+ */
+async function scheduleCall(body, options = {}) {
+  const { request, schedule } = splitSchedule(body);
+  const plan = planSchedule(schedule);
+  if (plan.errors) return { errors: plan.errors };
+
+  const now = new Date().toISOString();
+  const call = {
+    id: options.id || `sch_${crypto.randomUUID()}`,
+    status: 'pending',
+    request,
+    schedule,
+    meta: options.meta || {},
+    dueAt: plan.dueAt.toISOString(),
+    holdReason: plan.reason,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  if (!(await scheduledCalls.create(call.id, call))) {
+    return { call: await scheduledCalls.get(call.id), duplicate: true };
+  }
+
+  logger.info('Call scheduled:', {
+    id: call.id,
+    to: request.phoneNumber,
+    dueAt: call.dueAt,
+    holdReason: call.holdReason,
+  });
+
+  return { call };
+}
+
+/**
+ * Changes when a pending call is dialed
+ * @param {string} id - Scheduled call id
+ * @param {object} changes - Any of { scheduledAt, timezone, preferredWindows }
+ * @returns {Promise<object|null>} { errors } or { call }, null if not found
+ */
+async function rescheduleCall(id, changes) {
+  const existing = await scheduledCalls.get(id);
+  if (!existing) return null;
+  if (existing.status !== 'pending') {
+    return { errors: [`Only pending calls can be rescheduled (call is ${existing.status})`] };
+  }
+
+  const schedule = { ...existing.schedule };
+  SCHEDULE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) schedule[field] = changes[field];
+  });
+
+  const plan = planSchedule(schedule);
+  if (plan.errors) return { errors: plan.errors };
+
+  const call = await scheduledCalls.update(id, current => {
+    current.schedule = schedule;
+    current.dueAt = plan.dueAt.toISOString();
+    current.holdReason = plan.reason;
+    current.updatedAt = new Date().toISOString();
+  });
+
+  return { call };
+}
+
+/**
+ * Cancels a pending call
+ * @returns {Promise<object|null>} { errors } or { call }, null if not found
+ */
+async function cancelScheduledCall(id) {
+  const existing = await scheduledCalls.get(id);
+  if (!existing) return null;
+  if (existing.status !== 'pending') {
+    return { errors: [`Only pending calls can be cancelled (call is ${existing.status})`] };
+  }
+
+  const call = await scheduledCalls.update(id, current => {
+    current.status = 'cancelled';
+    current.cancelledAt = new Date().toISOString();
+    current.updatedAt = current.cancelledAt;
+  });
+
+  logger.info(`Scheduled call ${id} cancelled`);
+  return { call };
+}
+
+// ============================================================================
+// DIALING
+// ============================================================================
+
+async function dialScheduledCall(call) {
+  try {
+    const result = await initiateOutboundCall(call.request, {
+      source: 'scheduled',
+      ...call.meta,
+      scheduledCallId: call.id,
+    });
+    return {
+      status: 'initiated',
+      conversationId: result.conversation_id,
+      callSid: result.callSid,
+    };
+  } catch (error) {
+    logger.error(`Scheduled call ${call.id} failed:`, error.message);
+    // A retry that never got dialed still counts against the original request
+    if (call.meta && call.meta.retryOf) {
+      await recordAttempt(call.meta.retryOf, {
+        attempt: call.meta.attempt,
+        status: 'failed',
+        reason: error.message,
+        code: error.code || null,
+        at: new Date().toISOString(),
+      }).catch(recordError => logger.error('Failed to record retry attempt:', recordError.message));
+    }
+    return {
+      status: 'failed',
+      error: error.message,
+      code: error.code || null,
+    };
+  }
+}
+
+/**
+ * Runs one scheduler tick: dials pending calls that are due and still
+ * allowed right now. Calls that fell into a blackout since they were
+ * planned (e.g. the rules changed), or whose customer has reached a contact
+ * cap (lib/contact-caps.js), are moved to the next allowed time.
+ */
+async function advanceScheduledCalls() {
+  const nowMs = Date.now();
+  const all = await scheduledCalls.list();
+
+  for (const call of all.filter(c => c.status === 'dialing' && nowMs - Date.parse(c.dialedAt) > LIMITS.dialTimeoutMs)) {
+    await scheduledCalls.update(call.id, current => {
+      current.status = 'failed';
+      current.error = 'Dial attempt timed out';
+      current.updatedAt = new Date().toISOString();
+    });
+  }
+
+  const due = all
+    .filter(call => call.status === 'pending' && Date.parse(call.dueAt) <= nowMs)
+    .sort((a, b) => a.dueAt.localeCompare(b.dueAt))
+    .slice(0, LIMITS.maxPerTick);
+
+  for (const call of due) {
+    const check = isCallAllowed(new Date(nowMs), call.schedule);
+    const caps = call.meta && call.meta.overrideCaps
+      ? { allowed: true }
+      : await checkContactCaps(call.request.phoneNumber, 'call', new Date(nowMs));
+
+    if (!check.allowed || !caps.allowed) {
+      // Contacted too often: wait until the caps allow it, then for calling hours
+      const from = caps.allowed ? new Date(nowMs) : new Date(caps.nextAllowedAt);
+      const dueAt = nextAllowedTime(from, call.schedule);
+      await scheduledCalls.update(call.id, current => {
+        current.dueAt = dueAt ? dueAt.toISOString() : current.dueAt;
+        current.holdReason = check.allowed ? caps.reason : check.reason;
+        current.updatedAt = new Date().toISOString();
+      });
+      continue;
+    }
+
+    // Only one tick wins the claim and dials
+    const claimed = await dials.create(call.id, { id: call.id, claimedAt: new Date().toISOString() });
+    if (!claimed) continue;
+
+    let reserved = false;
+    await scheduledCalls.update(call.id, current => {
+      reserved = current.status === 'pending';
+      if (!reserved) return;
+      current.status = 'dialing';
+      current.dialedAt = new Date().toISOString();
+      current.updatedAt = current.dialedAt;
+    });
+    if (!reserved) continue;
+
+    const fields = await dialScheduledCall(call);
+    await scheduledCalls.update(call.id, current => {
+      Object.assign(current, fields, { updatedAt: new Date().toISOString() });
+    });
+  }
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+async function getScheduledCall(id) {
+  return scheduledCalls.get(id);
+}
+
+/**
+ * Lists scheduled calls, soonest first
+ * @param {object} filters - { status? }
+ */
+async function listScheduledCalls(filters = {}) {
+  const all = await scheduledCalls.list();
+  return all
+    .filter(call => !filters.status || call.status === filters.status)
+    .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+}
+
+module.exports = {
+  splitSchedule,
+  planSchedule,
+  scheduleCall,
+  rescheduleCall,
+  cancelScheduledCall,
+  advanceScheduledCalls,
+  getScheduledCall,
+  listScheduledCalls,
+};
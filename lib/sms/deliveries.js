@@ -0,0 +1,261 @@
+/**
+ * SMS Delivery Ledger
+ *
+ * Makes post-call SMS idempotent. ElevenLabs retries call-ended webhooks
+ * that fail or time out, and a signed payload can be replayed within the
+ * tolerance window - neither may text the customer twice.
+ *
+ * Every SMS is claimed under `<conversationId>:<smsType>` before the SMS
+ * provider is contacted and the outcome is stored on the claim. A repeated delivery gets
+ * the stored outcome back instead of a new message. Only an explicit forced
+ * resend (admin endpoint) or a delivery retry (lib/sms/status.js) sends
+ * again.
+ *
+ * Records live in the "sms-deliveries" store collection. On Vercel use
+ * STORE_DRIVER=kv so every function instance sees the same ledger. Every
+ * outcome, duplicates included, also goes to the audit trail (lib/audit.js).
+ * Each message that went out is then followed through the provider's
+ * status reports (./messages.js), on its own and on the call record.
+ *
+ * Record:
+ *   { id, conversationId, smsType, status: 'sending' | 'sent' | 'failed',
+ *     phoneNumber, language, fieldValues, result, attempts: [...],
+ *     createdAt, updatedAt }
+ */
+
+const { createStore } = require('../store');
+const { sendSMS } = require('./send');
+const { trackMessage, summarizeMessage } = require('./messages');
+const { recordCallMessage } = require('../calls');
+const { SYSTEM_ACTORS, recordAudit } = require('../audit');
+const { logger } = require('../log');
+
+const deliveries = createStore('sms-deliveries');
+
+function deliveryId(conversationId, smsType) {
+  return `${conversationId}:${smsType}`;
+}
+
+/**
+ * Builds the per-message outcome reported by the webhook and stored on the claim
+ */
+function describeResult(smsType, smsResult, details) {
+  if (smsResult.success) {
+    return {
+      sms_type: smsType,
+      sms_sent: true,
+      sms_language: smsResult.template.language,
+      sms_personalized: smsResult.template.personalized,
+      sms_segments: smsResult.template.segments,
+      sms_provider: smsResult.provider,
+      message_id: smsResult.messageId,
+      ...details,
+    };
+  }
+
+  return {
+    sms_type: smsType,
+    sms_sent: false,
+    sms_error: smsResult.error,
+    ...(smsResult.code && { sms_error_code: smsResult.code }),
+    ...(smsResult.nextAllowedAt && { next_allowed_at: smsResult.nextAllowedAt }),
+    ...details,
+  };
+}
+
+function auditResult(actor, conversationId, result, extra) {
+  return recordAudit('sms.result', {
+    actor,
+    callId: conversationId,
+    data: {
+      smsType: result.sms_type,
+      sent: result.sms_sent,
+      messageId: result.message_id || null,
+      error: result.sms_error || null,
+      code: result.sms_error_code || null,
+      language: result.sms_language || null,
+      segments: result.sms_segments || null,
+      provider: result.sms_provider || null,
+      reason: result.reason || null,
+      ...extra,
+    },
+  });
+}
+
+// Starts following a sent message's delivery status
+async function followMessage(conversationId, smsType, phoneNumber, smsResult, retryOf) {
+  try {
+    const message = await trackMessage({
+      messageId: smsResult.messageId,
+      conversationId,
+      smsType,
+      provider: smsResult.provider,
+      to: phoneNumber,
+      from: smsResult.from,
+      status: smsResult.status,
+      retryOf,
+    });
+    if (conversationId) await recordCallMessage(conversationId, summarizeMessage(message));
+  } catch (error) {
+    logger.error(`Failed to track ${smsType} message ${smsResult.messageId}:`, error.message);
+  }
+}
+
+/**
+ * Sends one SMS at most once per conversation and SMS type
+ * @param {object} params
+ * @param {string|null} params.conversationId - Without one the SMS is sent unguarded
+ * @param {string} params.smsType - Template key
+ * @param {string} params.phoneNumber - Customer number
+ * @param {string} params.language - 'en' | 'ar' | 'hi'
+ * @param {object} params.fieldValues - Whitelisted template values
+ * @param {object} params.details - Extra fields for the outcome (reason, confidence)
+ * @param {boolean} params.force - Send even if already claimed (admin resend)
+ * @param {string} params.retryOf - Message id of an undelivered message this one
+ *   replaces (delivery retry) - sent even if already claimed
+ * @param {object} params.sender - { provider?, from? } - another provider or sender number
+ * @param {object} params.actor - Who is sending, for the audit trail (default: the webhook)
+ * @returns {Promise<object>} { duplicate, result, smsResult? } - smsResult only when a send was attempted
+ */
+async function deliverSms({
+  conversationId, smsType, phoneNumber, language, fieldValues, details = {}, force = false,
+  retryOf = null, sender = {}, actor = SYSTEM_ACTORS.webhook,
+}) {
+  if (!conversationId) {
+    logger.info(`No conversation id - sending ${smsType} without duplicate protection`);
+    const smsResult = await sendSMS(phoneNumber, smsType, language, fieldValues);
+    const result = describeResult(smsType, smsResult, details);
+    await auditResult(actor, null, result, { phoneNumber, forced: false, duplicate: false });
+    if (smsResult.success) await followMessage(null, smsType, phoneNumber, smsResult, null);
+    return { duplicate: false, result, smsResult };
+  }
+
+  const id = deliveryId(conversationId, smsType);
+  const now = new Date().toISOString();
+
+  if (force || retryOf) {
+    await deliveries.update(id, record => {
+      record.status = 'sending';
+      record.updatedAt = now;
+    });
+  } else {
+    const claimed = await deliveries.create(id, {
+      id,
+      conversationId,
+      smsType,
+      status: 'sending',
+      phoneNumber,
+      language,
+      fieldValues,
+      result: null,
+      attempts: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    if (!claimed) {
+      // Already sent, failed, or still in flight from another delivery.
+      // A claim stuck in "sending" (crash mid-send) needs a forced resend.
+      const existing = await deliveries.get(id);
+      logger.info(`Duplicate ${smsType} for ${conversationId} (${existing?.status}) - not sending again`);
+      const result = {
+        ...(existing?.result || { sms_type: smsType, sms_sent: false, sms_error: 'Delivery in progress' }),
+        duplicate: true,
+        delivery_status: existing?.status || 'sending',
+      };
+      await auditResult(actor, conversationId, result, { phoneNumber, forced: false, duplicate: true });
+      return { duplicate: true, result };
+    }
+  }
+
+  // An admin forcing a resend has decided the customer should get it, and
+  // the message a retry replaces never arrived
+  const smsResult = await sendSMS(phoneNumber, smsType, language, fieldValues, {
+    overrideCaps: force || Boolean(retryOf),
+    ...sender,
+  });
+  const result = describeResult(smsType, smsResult, details);
+
+  await deliveries.update(id, record => {
+    record.status = smsResult.success ? 'sent' : 'failed';
+    record.result = result;
+    record.updatedAt = new Date().toISOString();
+    record.attempts.push({
+      at: record.updatedAt,
+      forced: force,
+      retryOf,
+      sent: smsResult.success,
+      provider: smsResult.provider || null,
+      messageId: smsResult.messageId || null,
+      error: smsResult.error || null,
+      code: smsResult.code || null,
+    });
+  });
+  await auditResult(actor, conversationId, result, { phoneNumber, forced: force, retryOf, duplicate: false });
+  if (smsResult.success) await followMessage(conversationId, smsType, phoneNumber, smsResult, retryOf);
+
+  return { duplicate: false, result, smsResult };
+}
+
+/**
+ * Sends a recorded SMS again, ignoring the idempotency claim
+ * @param {object} actor - Admin forcing the resend (lib/audit.js describeActor)
+ * @returns {Promise<object|null>} deliverSms() outcome, or null if nothing was recorded
+ */
+async function resendDelivery(conversationId, smsType, actor) {
+  const record = await deliveries.get(deliveryId(conversationId, smsType));
+  if (!record) return null;
+
+  return deliverSms({
+    conversationId,
+    smsType,
+    phoneNumber: record.phoneNumber,
+    language: record.language,
+    fieldValues: record.fieldValues,
+    details: { reason: 'Forced resend' },
+    force: true,
+    actor,
+  });
+}
+
+/**
+ * Sends an undelivered SMS again through another provider or sender
+ * @param {string} conversationId
+ * @param {string} smsType
+ * @param {string} retryOf - Message id of the undelivered message
+ * @param {object} sender - { provider?, from? }
+ * @returns {Promise<object|null>} deliverSms() outcome, or null if nothing was recorded
+ */
+async function retryDelivery(conversationId, smsType, retryOf, sender) {
+  const record = await deliveries.get(deliveryId(conversationId, smsType));
+  if (!record) return null;
+
+  return deliverSms({
+    conversationId,
+    smsType,
+    phoneNumber: record.phoneNumber,
+    language: record.language,
+    fieldValues: record.fieldValues,
+    details: { reason: `Retry of undelivered message ${retryOf}` },
+    retryOf,
+    sender,
+    actor: SYSTEM_ACTORS.smsStatus,
+  });
+}
+
+/**
+ * Lists the recorded SMS for a conversation
+ */
+async function listDeliveries(conversationId) {
+  const records = await deliveries.list();
+  return records
+    .filter(record => record.conversationId === conversationId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+module.exports = {
+  deliverSms,
+  resendDelivery,
+  retryDelivery,
+  listDeliveries,
+};
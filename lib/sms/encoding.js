@@ -0,0 +1,43 @@
+/**
+ * SMS Encoding and Segment Limits
+ *
+ * A message that only uses the GSM 03.38 alphabet is sent as GSM-7
+ * (160 chars, or 153 per segment when concatenated). Anything else -
+ * Arabic, Devanagari, "•" - forces UCS-2 (70 chars, 67 per segment).
+ */
+
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// Extension characters cost two septets (escape + char)
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 },
+};
+
+/**
+ * Works out the encoding, length in encoding units and segment count
+ * @param {string} text - Message body
+ * @returns {object} { encoding: 'GSM-7'|'UCS-2', length, segments }
+ */
+function getSmsInfo(text) {
+  const chars = Array.from(text);
+  const isGsm7 = chars.every(char => GSM7_BASIC.includes(char) || GSM7_EXTENDED.includes(char));
+
+  const encoding = isGsm7 ? 'GSM-7' : 'UCS-2';
+  const length = isGsm7
+    ? chars.reduce((total, char) => total + (GSM7_EXTENDED.includes(char) ? 2 : 1), 0)
+    // UCS-2 counts UTF-16 code units (characters outside the BMP take two)
+    : text.length;
+
+  const limit = LIMITS[encoding];
+  const segments = length <= limit.single ? 1 : Math.ceil(length / limit.multipart);
+
+  return { encoding, length, segments };
+}
+
+module.exports = {
+  getSmsInfo,
+};
@@ -0,0 +1,110 @@
+/**
+ * SMS Template Fields
+ *
+ * The whitelist of values that may ever be merged into an SMS, where each
+ * one is looked up, and how it is validated. Anything not listed here can
+ * never reach a customer's phone, whatever the call context contains.
+ *
+ * Sources, highest priority first:
+ *   1. ElevenLabs data-collection results (captured during the call)
+ *   2. contextData from the original outbound request (call registry)
+ *   3. Dynamic variables sent with the call (customer_first_name, context_*)
+ */
+
+const FIELD_DEFINITIONS = {
+  customerFirstName: {
+    aliases: ['customerFirstName', 'firstName'],
+    format: 'name',
+  },
+  caseReference: {
+    aliases: ['caseReference', 'complaintReference', 'caseId', 'complaintId'],
+    format: 'reference',
+  },
+  complaintStatus: {
+    aliases: ['complaintStatus', 'caseStatus'],
+    format: 'text',
+  },
+  resolutionDate: {
+    aliases: ['resolutionDate'],
+    format: 'date',
+  },
+  transactionReference: {
+    aliases: ['transactionReference', 'swiftReference', 'referenceNumber'],
+    format: 'reference',
+  },
+  pointsBalance: {
+    aliases: ['pointsBalance', 'rewardsBalance'],
+    format: 'number',
+  },
+  expiryDate: {
+    aliases: ['expiryDate', 'pointsExpiryDate'],
+    format: 'date',
+  },
+};
+
+const VALIDATORS = {
+  name: value => /^[\p{L}][\p{L}' .-]{0,29}$/u.test(value),
+  reference: value => /^[A-Za-z0-9][A-Za-z0-9\-/]{2,34}$/.test(value),
+  text: value => value.length <= 40 && !/[\r\n<>]/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  number: value => /^\d{1,3}(,?\d{3})*(\.\d+)?$/.test(value),
+};
+
+/**
+ * snake_case / kebab-case -> camelCase ("case_reference" -> "caseReference")
+ */
+function toCamelCase(key) {
+  return String(key).replace(/[_-]+([a-z0-9])/gi, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Flattens the three sources into { camelCaseKey: value }, lowest priority first
+ */
+function collectCandidates({ dataCollection, contextData, dynamicVariables }) {
+  const candidates = {};
+
+  Object.entries(dynamicVariables || {}).forEach(([key, value]) => {
+    candidates[toCamelCase(key.replace(/^context_/, ''))] = value;
+  });
+
+  Object.entries(contextData || {}).forEach(([key, value]) => {
+    candidates[toCamelCase(key)] = value;
+  });
+
+  Object.entries(dataCollection || {}).forEach(([key, item]) => {
+    const value = item && typeof item === 'object' ? item.value : item;
+    if (value != null && value !== '') candidates[toCamelCase(key)] = value;
+  });
+
+  return candidates;
+}
+
+/**
+ * Resolves the whitelisted template fields for a call
+ * @param {object} sources - { dataCollection, contextData, dynamicVariables }
+ * @returns {object} { values: { field: string }, rejected: { field: reason } }
+ */
+function resolveSmsFields(sources) {
+  const candidates = collectCandidates(sources);
+  const values = {};
+  const rejected = {};
+
+  for (const [field, definition] of Object.entries(FIELD_DEFINITIONS)) {
+    const alias = definition.aliases.find(name => candidates[name] != null && candidates[name] !== '');
+    if (!alias) continue;
+
+    const value = String(candidates[alias]).trim();
+    if (VALIDATORS[definition.format](value)) {
+      values[field] = value;
+    } else {
+      rejected[field] = `invalid ${definition.format} from "${alias}"`;
+    }
+  }
+
+  return { values, rejected };
+}
+
+module.exports = {
+  FIELD_DEFINITIONS,
+  resolveSmsFields,
+};
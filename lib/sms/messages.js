@@ -0,0 +1,179 @@
+/**
+ * SMS Message Status
+ *
+ * Follows each message handed to a provider, by its message id (Twilio
+ * SID), through Twilio's status callbacks (api/webhook/sms-status.js):
+ *
+ *   accepted | scheduled -> queued -> sending -> sent -> delivered (-> read)
+ *                                                     -> undelivered | failed
+ *
+ * Callbacks can arrive out of order and more than once; a status never
+ * moves a message backwards, but every callback is kept in `history`.
+ *
+ * Records live in the "sms-messages" store collection:
+ *   { id (message id), conversationId, smsType, provider, to, from, status,
+ *     errorCode, errorMessage, retryOf, retry, history: [...],
+ *     createdAt, updatedAt }
+ * where retryOf is the failed message a retry replaces, and retry is
+ * { status: 'pending' | 'sent' | 'failed', messageId, error, at } on the
+ * failed message (lib/sms/status.js).
+ */
+
+const { createStore } = require('../store');
+
+const messages = createStore('sms-messages');
+
+const STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4,
+  canceled: 4,
+  read: 5,
+};
+
+const FAILED_STATUSES = ['undelivered', 'failed'];
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed', 'canceled', 'read'];
+
+function isFinalStatus(status) {
+  return FINAL_STATUSES.includes(status);
+}
+
+function isFailedStatus(status) {
+  return FAILED_STATUSES.includes(status);
+}
+
+/**
+ * Starts following a message the provider accepted
+ * @param {object} params - { messageId, conversationId, smsType, provider, to, from, status, retryOf? }
+ * @returns {Promise<object>} The stored record
+ */
+async function trackMessage(params) {
+  const now = new Date().toISOString();
+  const status = STATUS_RANK[params.status] !== undefined ? params.status : 'queued';
+  const record = {
+    id: params.messageId,
+    conversationId: params.conversationId || null,
+    smsType: params.smsType,
+    provider: params.provider || null,
+    to: params.to,
+    from: params.from || null,
+    status,
+    errorCode: null,
+    errorMessage: null,
+    retryOf: params.retryOf || null,
+    retry: null,
+    history: [{ status, at: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+  await messages.put(record.id, record);
+  return record;
+}
+
+/**
+ * Applies a status report
+ * @param {string} messageId
+ * @param {object} report - { status, errorCode?, errorMessage? }
+ * @returns {Promise<object|null>} { record, changed, previousStatus } - changed
+ *   is false for stale or repeated reports; null for messages we didn't send
+ */
+async function applyMessageStatus(messageId, report) {
+  let changed = false;
+  let previousStatus = null;
+  const record = await messages.update(messageId, (message) => {
+    const now = new Date().toISOString();
+    const errorCode = report.errorCode ? String(report.errorCode) : null;
+    message.history.push({ status: report.status, at: now, ...(errorCode && { errorCode }) });
+
+    previousStatus = message.status;
+    changed = (STATUS_RANK[report.status] ?? -1) > STATUS_RANK[message.status];
+    if (changed) {
+      message.status = report.status;
+      message.errorCode = errorCode;
+      message.errorMessage = report.errorMessage || null;
+    }
+    message.updatedAt = now;
+    return message;
+  });
+  return record ? { record, changed, previousStatus } : null;
+}
+
+/**
+ * Claims a failed message for its one retry - only the first caller gets
+ * it, and a retry is never retried itself
+ * @returns {Promise<boolean>}
+ */
+async function claimRetry(messageId) {
+  let claimed = false;
+  await messages.update(messageId, (message) => {
+    claimed = !message.retryOf && !message.retry;
+    if (!claimed) return message;
+    message.retry = { status: 'pending', messageId: null, error: null, at: new Date().toISOString() };
+    return message;
+  });
+  return claimed;
+}
+
+/**
+ * Records how the retry of a failed message went
+ * @param {string} messageId - The failed message
+ * @param {object} retry - { messageId?, error? } - the retry's message id, or why it wasn't sent
+ * @returns {Promise<object|null>} Updated record
+ */
+async function recordRetry(messageId, retry) {
+  return messages.update(messageId, (message) => {
+    const now = new Date().toISOString();
+    message.retry = {
+      status: retry.messageId ? 'sent' : 'failed',
+      messageId: retry.messageId || null,
+      error: retry.error || null,
+      at: now,
+    };
+    message.updatedAt = now;
+    return message;
+  });
+}
+
+/**
+ * Lists the messages sent for a conversation, oldest first
+ */
+async function listMessages(conversationId) {
+  const records = await messages.list();
+  return records
+    .filter(record => record.conversationId === conversationId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * The part of a message stored on its call record (lib/calls.js)
+ */
+function summarizeMessage(record) {
+  return {
+    messageId: record.id,
+    smsType: record.smsType,
+    provider: record.provider,
+    from: record.from,
+    status: record.status,
+    errorCode: record.errorCode,
+    errorMessage: record.errorMessage,
+    retryOf: record.retryOf,
+    retriedBy: record.retry ? record.retry.messageId : null,
+    updatedAt: record.updatedAt,
+  };
+}
+
+module.exports = {
+  trackMessage,
+  applyMessageStatus,
+  claimRetry,
+  recordRetry,
+  listMessages,
+  summarizeMessage,
+  isFinalStatus,
+  isFailedStatus,
+};
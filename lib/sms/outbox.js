@@ -0,0 +1,66 @@
+/**
+ * SMS Outbox
+ *
+ * Messages the outbox provider (./providers/outbox.js) recorded instead of
+ * sending. They live in the "sms-outbox" store collection - a JSON file
+ * under DATA_DIR, or process memory with STORE_DRIVER=memory - and are
+ * read back with GET /api/admin/sms-outbox.
+ *
+ * Record:
+ *   { id, to, from, body, smsType, language, createdAt }
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../store');
+
+const outbox = createStore('sms-outbox');
+
+const LIMITS = {
+  maxListed: 500,
+};
+
+/**
+ * Records a message
+ * @returns {Promise<object>} The stored record - ids start with "OB" so they
+ *   are never mistaken for Twilio SIDs
+ */
+async function recordOutboxMessage({ to, from, body, smsType, language }) {
+  const id = `OB${crypto.randomBytes(16).toString('hex')}`;
+  return outbox.put(id, {
+    id,
+    to,
+    from: from || null,
+    body,
+    smsType: smsType || null,
+    language: language || null,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Recorded messages, newest first
+ * @param {object} filters - { to?: string (E.164) }
+ */
+async function listOutbox(filters = {}) {
+  const records = await outbox.list();
+  return records
+    .filter(record => !filters.to || record.to === filters.to)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, LIMITS.maxListed);
+}
+
+/**
+ * Empties the outbox
+ * @returns {Promise<number>} Messages removed
+ */
+async function clearOutbox() {
+  const records = await outbox.list();
+  await Promise.all(records.map(record => outbox.remove(record.id)));
+  return records.length;
+}
+
+module.exports = {
+  recordOutboxMessage,
+  listOutbox,
+  clearOutbox,
+};
@@ -0,0 +1,151 @@
+/**
+ * Multi-SMS Policy
+ *
+ * A call can ask for several things at once ("send me the T&Cs and the
+ * transfer reference"), so the classifier reports every match. This module
+ * decides which of them are actually sent:
+ *
+ *   0. allow-list    - only the SMS types the call reason may produce
+ *                      (lib/call-reasons.js), when the call has one
+ *   1. de-duplicate  - one message per SMS type (evidence is merged)
+ *   2. order         - SMS_POLICY_ORDER: "priority" (SMS_PRIORITY list) or
+ *                      "confidence" (highest first, priority breaks ties)
+ *   3. suppress      - SMS_SUPPRESSION_RULES, e.g. no outbound confirmation
+ *                      when a specific SMS goes out
+ *   4. cap           - at most SMS_MAX_PER_CALL messages
+ *
+ * Everything that is not sent is reported in `dropped` with the reason
+ * and the evidence that matched it.
+ */
+
+const { TRIGGER_CATEGORIES } = require('../classifier/keywords');
+
+// Trigger categories in classifier priority order, then the confirmation
+const DEFAULT_PRIORITY = [
+  ...TRIGGER_CATEGORIES.map(category => category.smsType),
+  'OUTBOUND_CONFIRMATION_SMS',
+];
+
+// "<type>:<types that suppress it>" - `*` means any other selected type
+const DEFAULT_SUPPRESSION_RULES = 'OUTBOUND_CONFIRMATION_SMS:*';
+
+const DEFAULT_MAX_PER_CALL = 3;
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses suppression rules, e.g.
+ *   "OUTBOUND_CONFIRMATION_SMS:*;CALL_SUMMARY_SMS:COMPLAINT_SMS,REDEMPTION_SMS"
+ * @returns {object[]} [{ smsType, suppressedBy: string[] | '*' }]
+ */
+function parseSuppressionRules(value) {
+  return String(value || '')
+    .split(';')
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .map(rule => {
+      const [smsType, by = '*'] = rule.split(':').map(part => part.trim());
+      return { smsType, suppressedBy: by === '*' ? '*' : splitList(by) };
+    });
+}
+
+/**
+ * Reads the policy from the environment
+ * @returns {object} { order, priority, maxPerCall, suppressionRules }
+ */
+function getSmsPolicy() {
+  const maxPerCall = Number(process.env.SMS_MAX_PER_CALL);
+  const priority = splitList(process.env.SMS_PRIORITY);
+
+  return {
+    order: process.env.SMS_POLICY_ORDER === 'confidence' ? 'confidence' : 'priority',
+    priority: priority.length > 0 ? priority : DEFAULT_PRIORITY,
+    maxPerCall: Number.isInteger(maxPerCall) && maxPerCall > 0 ? maxPerCall : DEFAULT_MAX_PER_CALL,
+    suppressionRules: parseSuppressionRules(process.env.SMS_SUPPRESSION_RULES ?? DEFAULT_SUPPRESSION_RULES),
+  };
+}
+
+function dedupe(matches) {
+  const byType = new Map();
+  for (const candidate of matches) {
+    const existing = byType.get(candidate.smsType);
+    if (!existing) {
+      byType.set(candidate.smsType, { ...candidate, evidence: [...candidate.evidence] });
+      continue;
+    }
+    existing.reason = `${existing.reason}; ${candidate.reason}`;
+    existing.confidence = Math.max(existing.confidence, candidate.confidence);
+    existing.evidence.push(...candidate.evidence);
+  }
+  return [...byType.values()];
+}
+
+function sortMessages(messages, policy) {
+  // Types missing from the priority list go last, in the order they matched
+  const rank = smsType => {
+    const index = policy.priority.indexOf(smsType);
+    return index === -1 ? policy.priority.length : index;
+  };
+
+  return [...messages].sort((a, b) => {
+    if (policy.order === 'confidence' && a.confidence !== b.confidence) {
+      return b.confidence - a.confidence;
+    }
+    return rank(a.smsType) - rank(b.smsType);
+  });
+}
+
+function findSuppressor(message, selected, rules) {
+  for (const rule of rules.filter(r => r.smsType === message.smsType)) {
+    const suppressor = selected.find(other => other.smsType !== message.smsType &&
+      (rule.suppressedBy === '*' || rule.suppressedBy.includes(other.smsType)));
+    if (suppressor) return suppressor.smsType;
+  }
+  return null;
+}
+
+/**
+ * Picks the messages to send from a classifier's matches
+ * @param {object[]} matches - [{ smsType, reason, confidence, evidence }]
+ * @param {object} policy - Defaults to getSmsPolicy()
+ * @param {string[]|null} allowedTypes - SMS types the call reason may produce (null: any)
+ * @returns {object} { messages: [...matches], dropped: [{ smsType, reason, evidence }] }
+ */
+function applySmsPolicy(matches, policy = getSmsPolicy(), allowedTypes = null) {
+  const dropped = [];
+
+  const allowed = dedupe(matches).filter(message => {
+    if (allowedTypes && !allowedTypes.includes(message.smsType)) {
+      dropped.push({ smsType: message.smsType, reason: 'Not allowed for this call reason', evidence: message.evidence });
+      return false;
+    }
+    return true;
+  });
+  const ordered = sortMessages(allowed, policy);
+
+  const unsuppressed = ordered.filter(message => {
+    const suppressor = findSuppressor(message, ordered, policy.suppressionRules);
+    if (suppressor) {
+      dropped.push({ smsType: message.smsType, reason: `Suppressed by ${suppressor}`, evidence: message.evidence });
+      return false;
+    }
+    return true;
+  });
+
+  const messages = unsuppressed.slice(0, policy.maxPerCall);
+  unsuppressed.slice(policy.maxPerCall).forEach(message => {
+    dropped.push({ smsType: message.smsType, reason: `Over SMS_MAX_PER_CALL (${policy.maxPerCall})`, evidence: message.evidence });
+  });
+
+  return { messages, dropped };
+}
+
+module.exports = {
+  getSmsPolicy,
+  applySmsPolicy,
+};
@@ -0,0 +1,64 @@
+/**
+ * SMS Providers
+ *
+ * Where rendered SMS actually go. Providers are interchangeable and
+ * selected with SMS_PROVIDER:
+ *
+ *   twilio   - Twilio Programmable Messaging SMS (default)
+ *   whatsapp - WhatsApp Business through Twilio Messaging
+ *   outbox   - records messages in the "sms-outbox" store collection instead
+ *              of sending them (file or memory, per STORE_DRIVER), so the
+ *              whole call-ended flow runs locally without Twilio
+ *
+ * A provider is
+ *   { name, channel, getMissingConfig(), describeConfig(), getSenders(), send(message) }
+ * where send({ to, body, smsType, language, from? }) resolves to
+ * { messageId, from, status } or throws - from overrides the provider's
+ * sender, status is the message's first state (lib/sms/messages.js).
+ * Validation, suppression, contact caps and templates stay in ./send.js
+ * and apply to every provider.
+ */
+
+const PROVIDERS = {};
+
+/**
+ * Registers an SMS provider
+ * @param {object} provider - { name, channel, getMissingConfig, describeConfig, getSenders, send }
+ */
+function registerSmsProvider(provider) {
+  PROVIDERS[provider.name] = provider;
+}
+
+registerSmsProvider(require('./twilio'));
+registerSmsProvider(require('./whatsapp'));
+registerSmsProvider(require('./outbox'));
+
+function getSmsProviderName() {
+  return process.env.SMS_PROVIDER || 'twilio';
+}
+
+/**
+ * Returns the configured provider
+ * @param {string} name - Overrides SMS_PROVIDER
+ */
+function getSmsProvider(name = getSmsProviderName()) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Numbers any provider sends from - never a customer's number
+ */
+function getSmsSenders() {
+  return Object.values(PROVIDERS).flatMap(provider => provider.getSenders()).filter(Boolean);
+}
+
+module.exports = {
+  getSmsProvider,
+  getSmsProviderName,
+  getSmsSenders,
+  registerSmsProvider,
+};
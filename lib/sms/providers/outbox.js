@@ -0,0 +1,37 @@
+/**
+ * Outbox Provider
+ *
+ * Records messages instead of sending them (../outbox.js), for local runs
+ * and tests without Twilio credentials. Nothing leaves the machine, and
+ * there are no status callbacks - a recorded message counts as delivered.
+ */
+
+const { recordOutboxMessage } = require('../outbox');
+const { logger } = require('../../log');
+
+function getOutboxSender() {
+  return process.env.SMS_OUTBOX_FROM || process.env.TWILIO_FROM_NUMBER || null;
+}
+
+module.exports = {
+  name: 'outbox',
+  channel: 'sms',
+
+  getMissingConfig() {
+    return [];
+  },
+
+  describeConfig() {
+    return { SMS_OUTBOX_FROM: getOutboxSender() || 'NOT SET (optional)' };
+  },
+
+  getSenders() {
+    return [process.env.SMS_OUTBOX_FROM];
+  },
+
+  async send({ to, body, smsType, language, from = getOutboxSender() }) {
+    const record = await recordOutboxMessage({ to, from, body, smsType, language });
+    logger.info(`Outbox: ${smsType || 'message'} to ${to} recorded as ${record.id}`);
+    return { messageId: record.id, from, status: 'delivered' };
+  },
+};
@@ -0,0 +1,56 @@
+/**
+ * Twilio Client
+ *
+ * Account credentials shared by the Twilio SMS and WhatsApp providers
+ * (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN), and where Twilio reports
+ * delivery status (api/webhook/sms-status.js).
+ */
+
+const twilio = require('twilio');
+
+const CREDENTIALS = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN'];
+
+function createClient() {
+  return twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+}
+
+/**
+ * Status callback URL for new messages - TWILIO_STATUS_CALLBACK_URL, else
+ * derived from TWILIO_WEBHOOK_BASE_URL
+ * @returns {string|null} null sends without delivery reports
+ */
+function getStatusCallbackUrl() {
+  if (process.env.TWILIO_STATUS_CALLBACK_URL) return process.env.TWILIO_STATUS_CALLBACK_URL;
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL;
+  return baseUrl ? `${baseUrl.replace(/\/$/, '')}/api/webhook/sms-status` : null;
+}
+
+/**
+ * Missing credentials plus the provider's own settings
+ * @param {string[]} keys - Provider-specific environment variables
+ */
+function getMissingTwilioConfig(keys) {
+  return [...CREDENTIALS, ...keys].filter(key => !process.env[key]);
+}
+
+/**
+ * Which settings are present - secrets are never echoed, sender numbers are
+ * @param {string[]} senderKeys - Environment variables holding sender numbers
+ */
+function describeTwilioConfig(senderKeys) {
+  const status = {};
+  CREDENTIALS.forEach(key => {
+    status[key] = process.env[key] ? 'Set (hidden)' : 'NOT SET';
+  });
+  senderKeys.forEach(key => {
+    status[key] = process.env[key] || 'NOT SET';
+  });
+  return status;
+}
+
+module.exports = {
+  createClient,
+  getStatusCallbackUrl,
+  getMissingTwilioConfig,
+  describeTwilioConfig,
+};
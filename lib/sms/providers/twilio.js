@@ -0,0 +1,37 @@
+/**
+ * Twilio SMS Provider
+ *
+ * Plain SMS through Twilio Programmable Messaging from TWILIO_FROM_NUMBER.
+ */
+
+const {
+  createClient, getStatusCallbackUrl, getMissingTwilioConfig, describeTwilioConfig,
+} = require('./twilio-client');
+
+module.exports = {
+  name: 'twilio',
+  channel: 'sms',
+
+  getMissingConfig() {
+    return getMissingTwilioConfig(['TWILIO_FROM_NUMBER']);
+  },
+
+  describeConfig() {
+    return describeTwilioConfig(['TWILIO_FROM_NUMBER']);
+  },
+
+  getSenders() {
+    return [process.env.TWILIO_FROM_NUMBER];
+  },
+
+  async send({ to, body, from = process.env.TWILIO_FROM_NUMBER }) {
+    const statusCallback = getStatusCallbackUrl();
+    const message = await createClient().messages.create({
+      body,
+      from,
+      to,
+      ...(statusCallback && { statusCallback }),
+    });
+    return { messageId: message.sid, from, status: message.status };
+  },
+};
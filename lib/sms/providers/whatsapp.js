@@ -0,0 +1,51 @@
+/**
+ * WhatsApp Provider
+ *
+ * WhatsApp Business messages through Twilio Messaging, from the
+ * WhatsApp-enabled sender TWILIO_WHATSAPP_FROM (E.164, no "whatsapp:" prefix).
+ *
+ * WhatsApp only allows free text inside the 24-hour window after the
+ * customer last wrote to us. To start a conversation, set
+ * TWILIO_WHATSAPP_CONTENT_SID to an approved Content template with a single
+ * variable {{1}}; the rendered SMS text is passed as that variable.
+ */
+
+const {
+  createClient, getStatusCallbackUrl, getMissingTwilioConfig, describeTwilioConfig,
+} = require('./twilio-client');
+
+const PREFIX = 'whatsapp:';
+
+module.exports = {
+  name: 'whatsapp',
+  channel: 'whatsapp',
+
+  getMissingConfig() {
+    return getMissingTwilioConfig(['TWILIO_WHATSAPP_FROM']);
+  },
+
+  describeConfig() {
+    return {
+      ...describeTwilioConfig(['TWILIO_WHATSAPP_FROM']),
+      TWILIO_WHATSAPP_CONTENT_SID: process.env.TWILIO_WHATSAPP_CONTENT_SID ? 'Set' : 'NOT SET (free text only)',
+    };
+  },
+
+  getSenders() {
+    return [process.env.TWILIO_WHATSAPP_FROM];
+  },
+
+  async send({ to, body, from = process.env.TWILIO_WHATSAPP_FROM }) {
+    const contentSid = process.env.TWILIO_WHATSAPP_CONTENT_SID;
+    const statusCallback = getStatusCallbackUrl();
+    const message = await createClient().messages.create({
+      from: `${PREFIX}${from}`,
+      to: `${PREFIX}${to}`,
+      ...(contentSid
+        ? { contentSid, contentVariables: JSON.stringify({ 1: body }) }
+        : { body }),
+      ...(statusCallback && { statusCallback }),
+    });
+    return { messageId: message.sid, from, status: message.status };
+  },
+};
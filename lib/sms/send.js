@@ -0,0 +1,129 @@
+/**
+ * SMS Sending
+ *
+ * Renders a template and sends it through the configured provider
+ * (./providers - Twilio SMS, WhatsApp or the local outbox). Used by the
+ * call-ended webhook and the admin resend endpoint.
+ */
+
+const { renderSmsTemplate } = require('./templates');
+const { getSmsProvider } = require('./providers');
+const { BLOCK_CODES, findSuppression } = require('../suppression');
+const { validatePhoneNumber } = require('../phone');
+const { CAP_CODE, reserveContact, releaseContact } = require('../contact-caps');
+const { logger } = require('../log');
+
+/**
+ * Sends an SMS through the SMS_PROVIDER
+ * @param {string} toNumber - Customer phone number
+ * @param {string} smsType - Type of SMS template to use
+ * @param {string} language - Template language ('en' | 'ar' | 'hi')
+ * @param {object} fieldValues - Whitelisted values for template placeholders
+ * @param {object} options - { overrideCaps?, provider?, from? } - skip the contact caps (admin resend,
+ *   delivery retry); send through another provider or sender (delivery retry)
+ * @returns {Promise<object>} { success: boolean, provider?: string, messageId?: string, from?: string,
+ *   status?: string, template?: object, error?: string, code?: string, nextAllowedAt?: string } - code is INVALID_PHONE_NUMBER for numbers that
+ *   can't receive SMS (landlines, other countries), DO_NOT_TEXT when the number is on the
+ *   suppression list, CONTACT_CAP_EXCEEDED when the customer was texted too often
+ */
+async function sendSMS(toNumber, smsType, language, fieldValues, options = {}) {
+  const { errors, phone } = validatePhoneNumber(toNumber, 'sms');
+  if (errors.length > 0) {
+    logger.info(`SMS ${smsType} to ${toNumber} not sent: ${errors.join('; ')}`);
+    return {
+      success: false,
+      code: 'INVALID_PHONE_NUMBER',
+      error: errors.join('; '),
+    };
+  }
+  const to = phone.e164;
+
+  // An opted-out customer is never texted, whatever else is wrong
+  const suppression = await findSuppression(to, 'sms');
+  if (suppression) {
+    logger.info(`SMS ${smsType} to ${to} blocked: on suppression list (${suppression.reason})`);
+    return {
+      success: false,
+      code: BLOCK_CODES.sms,
+      error: `Number is on the do-not-text list (${suppression.reason})`,
+    };
+  }
+
+  let provider;
+  try {
+    provider = getSmsProvider(options.provider);
+  } catch (error) {
+    logger.error(error.message);
+    return { success: false, error: error.message };
+  }
+
+  const missing = provider.getMissingConfig();
+  if (missing.length > 0) {
+    const error = `Missing ${provider.name} SMS configuration: ${missing.join(', ')}`;
+    logger.error(error);
+    return { success: false, provider: provider.name, error };
+  }
+
+  // Render the SMS template in the customer's language
+  const template = renderSmsTemplate(smsType, language, fieldValues);
+  if (!template) {
+    logger.error(`Unknown SMS type: ${smsType}`);
+    return {
+      success: false,
+      error: `Unknown SMS type: ${smsType}`,
+    };
+  }
+
+  if (template.fallbackReason) {
+    logger.info(`Using generic ${smsType} text: ${template.fallbackReason}`);
+  }
+
+  const reservation = await reserveContact(to, 'sms', { override: options.overrideCaps });
+  if (!reservation.allowed) {
+    return {
+      success: false,
+      code: CAP_CODE,
+      error: reservation.reason,
+      nextAllowedAt: reservation.nextAllowedAt,
+    };
+  }
+
+  try {
+    const { messageId, from, status } = await provider.send({
+      to,
+      body: template.body,
+      smsType,
+      language: template.language,
+      ...(options.from && { from: options.from }),
+    });
+
+    logger.info(`SMS sent successfully via ${provider.name} (${template.language}). ID: ${messageId}`);
+    return {
+      success: true,
+      provider: provider.name,
+      messageId,
+      from: from || null,
+      status: status || null,
+      template: {
+        language: template.language,
+        personalized: template.personalized,
+        fallbackReason: template.fallbackReason,
+        encoding: template.encoding,
+        segments: template.segments,
+      },
+    };
+  } catch (error) {
+    logger.error(`${provider.name} SMS error:`, error.message);
+    await releaseContact(to, 'sms', reservation.at)
+      .catch(releaseError => logger.error('Failed to release contact slot:', releaseError.message));
+    return {
+      success: false,
+      provider: provider.name,
+      error: error.message,
+    };
+  }
+}
+
+module.exports = {
+  sendSMS,
+};
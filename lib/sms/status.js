@@ -0,0 +1,150 @@
+/**
+ * SMS Delivery Status
+ *
+ * Applies Twilio status callbacks (api/webhook/sms-status.js) to the message
+ * (./messages.js) and its call record, records final states in the audit
+ * trail, and can retry transient failures through an alternate sender:
+ *
+ *   SMS_RETRY_PROVIDER     provider for the retry (e.g. whatsapp), default SMS_PROVIDER
+ *   SMS_RETRY_FROM         sender number for the retry, default the provider's own
+ *   SMS_RETRY_ERROR_CODES  Twilio error codes worth retrying
+ *                          (default 30001,30003,30008,30009)
+ *
+ * Retries are off unless SMS_RETRY_PROVIDER or SMS_RETRY_FROM is set -
+ * the same sender would most likely fail the same way. Each message is
+ * retried at most once, retries are never retried, and the do-not-text
+ * list still applies (contact caps don't - the first message never arrived).
+ */
+
+const { applyMessageStatus, claimRetry, recordRetry, summarizeMessage, isFinalStatus, isFailedStatus } = require('./messages');
+const { retryDelivery } = require('./deliveries');
+const { appendCallEvent, recordCallMessage } = require('../calls');
+const { SYSTEM_ACTORS, recordAudit } = require('../audit');
+const { logger } = require('../log');
+
+// Queue overflow, unreachable handset, unknown error, missing segment
+const DEFAULT_RETRY_ERROR_CODES = ['30001', '30003', '30008', '30009'];
+
+function getDeliveryRetryConfig() {
+  const provider = process.env.SMS_RETRY_PROVIDER || null;
+  const from = process.env.SMS_RETRY_FROM || null;
+  const errorCodes = process.env.SMS_RETRY_ERROR_CODES
+    ? process.env.SMS_RETRY_ERROR_CODES.split(',').map(code => code.trim()).filter(Boolean)
+    : DEFAULT_RETRY_ERROR_CODES;
+  return { enabled: Boolean(provider || from), provider, from, errorCodes };
+}
+
+async function updateCall(record) {
+  if (!record.conversationId) return;
+  try {
+    await recordCallMessage(record.conversationId, summarizeMessage(record));
+  } catch (error) {
+    logger.error(`Failed to store message ${record.id} on its call:`, error.message);
+  }
+}
+
+async function trackEvent(conversationId, type, details) {
+  if (!conversationId) return;
+  try {
+    await appendCallEvent(conversationId, type, details);
+  } catch (error) {
+    logger.error(`Failed to record ${type} event:`, error.message);
+  }
+}
+
+/**
+ * Sends a failed message once more through the alternate sender
+ * @returns {Promise<object|null>} { messageId?, error? } or null when not retried
+ */
+async function retryFailedMessage(record) {
+  const config = getDeliveryRetryConfig();
+  if (!config.enabled || !record.conversationId || !config.errorCodes.includes(record.errorCode)) return null;
+  if (!(await claimRetry(record.id))) return null;
+
+  const sender = {
+    ...(config.provider && { provider: config.provider }),
+    ...(config.from && { from: config.from }),
+  };
+  logger.info(`Retrying ${record.smsType} (${record.id}, error ${record.errorCode}) via ${config.provider || 'the same provider'}${config.from ? ` from ${config.from}` : ''}`);
+
+  let retry;
+  try {
+    const outcome = await retryDelivery(record.conversationId, record.smsType, record.id, sender);
+    if (!outcome) {
+      retry = { error: 'No delivery record for this message' };
+    } else if (outcome.smsResult.success) {
+      retry = { messageId: outcome.smsResult.messageId };
+      await trackEvent(record.conversationId, 'sms_sent', {
+        smsType: record.smsType,
+        messageId: outcome.smsResult.messageId,
+        provider: outcome.smsResult.provider,
+        retryOf: record.id,
+      });
+    } else {
+      retry = { error: outcome.smsResult.error };
+      await trackEvent(record.conversationId, outcome.smsResult.code ? 'sms_blocked' : 'sms_failed', {
+        smsType: record.smsType,
+        ...(outcome.smsResult.code
+          ? { reason: outcome.smsResult.error, code: outcome.smsResult.code }
+          : { error: outcome.smsResult.error }),
+        retryOf: record.id,
+      });
+    }
+  } catch (error) {
+    logger.error(`Retry of ${record.id} failed:`, error.message);
+    retry = { error: error.message };
+  }
+
+  const updated = await recordRetry(record.id, retry);
+  if (updated) await updateCall(updated);
+  return retry;
+}
+
+/**
+ * Applies one Twilio status callback
+ * @param {object} report - { messageId, status, errorCode?, errorMessage? }
+ * @returns {Promise<object>} { known, changed?, status?, retry? } - known is
+ *   false for messages we didn't send (or sent before tracking began)
+ */
+async function handleStatusCallback(report) {
+  const outcome = await applyMessageStatus(report.messageId, report);
+  if (!outcome) return { known: false };
+
+  const { record, changed, previousStatus } = outcome;
+  if (!changed) return { known: true, changed: false, status: record.status };
+
+  logger.info(`SMS ${record.smsType} ${record.id}: ${record.status}${record.errorCode ? ` (error ${record.errorCode})` : ''}`);
+  await updateCall(record);
+
+  // One event and audit entry per message, when it settles (not for "read")
+  if (isFinalStatus(record.status) && !isFinalStatus(previousStatus)) {
+    const failed = isFailedStatus(record.status);
+    await trackEvent(record.conversationId, failed ? 'sms_undelivered' : 'sms_delivered', {
+      smsType: record.smsType,
+      messageId: record.id,
+      status: record.status,
+      ...(failed && { code: record.errorCode, error: record.errorMessage }),
+    });
+    await recordAudit('sms.status', {
+      actor: SYSTEM_ACTORS.smsStatus,
+      callId: record.conversationId,
+      data: {
+        smsType: record.smsType,
+        messageId: record.id,
+        provider: record.provider,
+        status: record.status,
+        errorCode: record.errorCode,
+        errorMessage: record.errorMessage,
+        retryOf: record.retryOf,
+      },
+    });
+  }
+
+  const retry = isFailedStatus(record.status) ? await retryFailedMessage(record) : null;
+  return { known: true, changed: true, status: record.status, retry };
+}
+
+module.exports = {
+  handleStatusCallback,
+  getDeliveryRetryConfig,
+};
@@ -0,0 +1,301 @@
+/**
+ * SMS Templates (HARDCODED - Bank-safe, no AI generation)
+ *
+ * Every template has an English, Arabic and Hindi variant. The variant is
+ * chosen from the call's preferred language; English is the fallback.
+ *
+ * Templates come in two forms:
+ *   personalized - text with {{field}} placeholders, filled from call context
+ *   generic      - fixed text, used when a placeholder can't be filled or the
+ *                  rendered message would be too long
+ * `fields` is the whitelist of placeholders a template may use (see
+ * lib/sms/fields.js for where values come from and how they are validated).
+ */
+
+const { getSmsInfo } = require('./encoding');
+
+// Longest message we are willing to send, in concatenated segments
+const MAX_SEGMENTS = Number(process.env.SMS_MAX_SEGMENTS) || 8;
+
+const SMS_TEMPLATES = {
+  // Rewards confirmation
+  REWARDS_SMS: {
+    fields: ['customerFirstName', 'pointsBalance', 'expiryDate'],
+    personalized: {
+      en: "Mashreq Bank: Dear {{customerFirstName}}, your rewards balance is {{pointsBalance}} points. Points expiring on {{expiryDate}} can be redeemed via the Mashreq App. Thank you for banking with us.",
+      ar: "بنك المشرق: مرحباً {{customerFirstName}}، رصيد مكافآتك {{pointsBalance}} نقطة. يمكنك استبدال النقاط التي تنتهي صلاحيتها في {{expiryDate}} عبر تطبيق المشرق. شكراً لتعاملك معنا.",
+      hi: "मशरेक बैंक: प्रिय {{customerFirstName}}, आपका रिवॉर्ड्स बैलेंस {{pointsBalance}} पॉइंट्स है। {{expiryDate}} को समाप्त होने वाले पॉइंट्स मशरेक ऐप से रिडीम किए जा सकते हैं। हमारे साथ बैंकिंग करने के लिए धन्यवाद।",
+    },
+    generic: {
+      en: "Mashreq Bank: This confirms your rewards inquiry. Your current balance and transaction details were shared during the call. For questions, call us anytime. Thank you for banking with us.",
+      ar: "بنك المشرق: نؤكد استفسارك عن المكافآت. تمت مشاركة رصيدك الحالي وتفاصيل معاملاتك خلال المكالمة. لأي استفسار، اتصل بنا في أي وقت. شكراً لتعاملك معنا.",
+      hi: "मशरेक बैंक: यह आपकी रिवॉर्ड्स पूछताछ की पुष्टि है। आपका वर्तमान बैलेंस और लेनदेन विवरण कॉल के दौरान साझा किए गए थे। किसी भी प्रश्न के लिए हमें कभी भी कॉल करें। हमारे साथ बैंकिंग करने के लिए धन्यवाद।",
+    },
+  },
+
+  // Transaction/Transfer confirmation with reference
+  TRANSACTION_SMS: {
+    fields: ['customerFirstName', 'transactionReference'],
+    personalized: {
+      en: "Mashreq Bank: Dear {{customerFirstName}}, your funds transfer inquiry has been addressed. Reference: {{transactionReference}}. If the beneficiary has not received funds within the stated timeline, please contact us.",
+      ar: "بنك المشرق: مرحباً {{customerFirstName}}، تمت معالجة استفسارك عن التحويل. المرجع: {{transactionReference}}. إذا لم يستلم المستفيد الأموال خلال المدة المحددة، يرجى التواصل معنا.",
+      hi: "मशरेक बैंक: प्रिय {{customerFirstName}}, आपकी फंड ट्रांसफर पूछताछ का समाधान कर दिया गया है। रेफरेंस: {{transactionReference}}। यदि लाभार्थी को बताई गई समय-सीमा में राशि नहीं मिली है, तो कृपया हमसे संपर्क करें।",
+    },
+    generic: {
+      en: `Mashreq Bank: Transaction Confirmation
+Your funds transfer inquiry has been addressed. 
+Status and reference details were shared during your call.
+If the beneficiary has not received funds within the stated timeline, please contact us.
+Thank you for banking with Mashreq.`,
+      ar: `بنك المشرق: تأكيد المعاملة
+تمت معالجة استفسارك عن التحويل.
+تمت مشاركة الحالة وتفاصيل المرجع خلال مكالمتك.
+إذا لم يستلم المستفيد الأموال خلال المدة المحددة، يرجى التواصل معنا.
+شكراً لتعاملك مع المشرق.`,
+      hi: `मशरेक बैंक: लेनदेन पुष्टि
+आपकी फंड ट्रांसफर पूछताछ का समाधान कर दिया गया है।
+स्थिति और रेफरेंस विवरण आपकी कॉल के दौरान साझा किए गए थे।
+यदि लाभार्थी को बताई गई समय-सीमा में राशि नहीं मिली है, तो कृपया हमसे संपर्क करें।
+मशरेक के साथ बैंकिंग करने के लिए धन्यवाद।`,
+    },
+  },
+
+  // Complaint status confirmation
+  COMPLAINT_SMS: {
+    fields: ['customerFirstName', 'caseReference', 'complaintStatus', 'resolutionDate'],
+    personalized: {
+      en: "Mashreq Bank: Dear {{customerFirstName}}, complaint {{caseReference}} - status: {{complaintStatus}}. Your case is being handled as per our service commitment. For further assistance, please call us.",
+      ar: "بنك المشرق: مرحباً {{customerFirstName}}، الشكوى رقم {{caseReference}} - الحالة: {{complaintStatus}}. تتم معالجة حالتك وفق التزامنا بالخدمة. لمزيد من المساعدة، يرجى الاتصال بنا.",
+      hi: "मशरेक बैंक: प्रिय {{customerFirstName}}, शिकायत {{caseReference}} - स्थिति: {{complaintStatus}}। आपके मामले पर हमारी सेवा प्रतिबद्धता के अनुसार कार्रवाई की जा रही है। अधिक सहायता के लिए कृपया हमें कॉल करें।",
+    },
+    generic: {
+      en: "Mashreq Bank: This confirms the complaint status update shared during your call. Your case is being handled as per our service commitment. For further assistance, please call us. Thank you.",
+      ar: "بنك المشرق: نؤكد تحديث حالة الشكوى الذي تمت مشاركته خلال مكالمتك. تتم معالجة حالتك وفق التزامنا بالخدمة. لمزيد من المساعدة، يرجى الاتصال بنا. شكراً لك.",
+      hi: "मशरेक बैंक: यह आपकी कॉल के दौरान साझा किए गए शिकायत स्थिति अपडेट की पुष्टि है। आपके मामले पर हमारी सेवा प्रतिबद्धता के अनुसार कार्रवाई की जा रही है। अधिक सहायता के लिए कृपया हमें कॉल करें। धन्यवाद।",
+    },
+  },
+
+  // Outbound call confirmation
+  OUTBOUND_CONFIRMATION_SMS: {
+    fields: ['customerFirstName'],
+    personalized: {
+      en: "Mashreq Bank: Dear {{customerFirstName}}, this confirms the update shared during our call today. If you have any questions, please contact us. Thank you for being a valued customer.",
+      ar: "بنك المشرق: مرحباً {{customerFirstName}}، نؤكد التحديث الذي تمت مشاركته خلال مكالمتنا اليوم. إذا كان لديك أي استفسار، يرجى التواصل معنا. شكراً لكونك عميلاً مميزاً.",
+      hi: "मशरेक बैंक: प्रिय {{customerFirstName}}, यह आज हमारी कॉल के दौरान साझा किए गए अपडेट की पुष्टि है। यदि आपके कोई प्रश्न हैं, तो कृपया हमसे संपर्क करें। एक मूल्यवान ग्राहक होने के लिए धन्यवाद।",
+    },
+    generic: {
+      en: "Mashreq Bank: This confirms the update shared during our call today. If you have any questions, please contact us. Thank you for being a valued customer.",
+      ar: "بنك المشرق: نؤكد التحديث الذي تمت مشاركته خلال مكالمتنا اليوم. إذا كان لديك أي استفسار، يرجى التواصل معنا. شكراً لكونك عميلاً مميزاً.",
+      hi: "मशरेक बैंक: यह आज हमारी कॉल के दौरान साझा किए गए अपडेट की पुष्टि है। यदि आपके कोई प्रश्न हैं, तो कृपया हमसे संपर्क करें। एक मूल्यवान ग्राहक होने के लिए धन्यवाद।",
+    },
+  },
+
+  // Rewards T&C
+  REWARDS_TNC_SMS: {
+    fields: [],
+    personalized: null,
+    generic: {
+      en: `Mashreq Bank Rewards T&C Summary:
+• Earn points on qualifying transactions (posted within 48hrs)
+• Redeem for vouchers, cashback, or partner offers (min 500 points)
+• Points expire after 24 months from earning
+• Instant redemption via App/Web for select partners
+• No points on fees, cash withdrawals, or flagged transactions
+• Account must be active & KYC compliant
+Full T&C: mashreqbank.com/rewards-tnc`,
+      ar: `ملخص شروط وأحكام مكافآت بنك المشرق:
+• اكسب نقاطاً على المعاملات المؤهلة (تُضاف خلال 48 ساعة)
+• استبدلها بقسائم أو استرداد نقدي أو عروض الشركاء (بحد أدنى 500 نقطة)
+• تنتهي صلاحية النقاط بعد 24 شهراً من تاريخ اكتسابها
+• استبدال فوري عبر التطبيق أو الموقع لدى شركاء مختارين
+• لا نقاط على الرسوم أو السحوبات النقدية أو المعاملات المشبوهة
+• يجب أن يكون الحساب نشطاً ومستوفياً لمتطلبات "اعرف عميلك"
+الشروط الكاملة: mashreqbank.com/rewards-tnc`,
+      hi: `मशरेक बैंक रिवॉर्ड्स नियम व शर्तें सारांश:
+• योग्य लेनदेन पर पॉइंट्स कमाएं (48 घंटे में जमा)
+• वाउचर, कैशबैक या पार्टनर ऑफ़र के लिए रिडीम करें (न्यूनतम 500 पॉइंट्स)
+• पॉइंट्स अर्जित करने के 24 महीने बाद समाप्त हो जाते हैं
+• चुनिंदा पार्टनर्स के लिए ऐप/वेब से तुरंत रिडेम्पशन
+• शुल्क, नकद निकासी या संदिग्ध लेनदेन पर कोई पॉइंट्स नहीं
+• खाता सक्रिय और KYC अनुपालक होना चाहिए
+पूर्ण नियम व शर्तें: mashreqbank.com/rewards-tnc`,
+    },
+  },
+
+  // SWIFT/Transaction Reference
+  TRANSACTION_REFERENCE_SMS: {
+    fields: ['transactionReference'],
+    personalized: {
+      en: `Mashreq Bank: Transaction Reference
+SWIFT/reference: {{transactionReference}}
+Please retain this SMS for your records.
+For status updates or assistance, contact Mashreq Bank.
+Thank you.`,
+      ar: `بنك المشرق: مرجع المعاملة
+مرجع السويفت/المعاملة: {{transactionReference}}
+يرجى الاحتفاظ بهذه الرسالة لسجلاتك.
+لمعرفة آخر المستجدات أو للمساعدة، تواصل مع بنك المشرق.
+شكراً لك.`,
+      hi: `मशरेक बैंक: लेनदेन रेफरेंस
+स्विफ्ट/रेफरेंस: {{transactionReference}}
+कृपया इस एसएमएस को अपने रिकॉर्ड के लिए सुरक्षित रखें।
+स्थिति अपडेट या सहायता के लिए मशरेक बैंक से संपर्क करें।
+धन्यवाद।`,
+    },
+    generic: {
+      en: `Mashreq Bank: Transaction Reference
+Your transaction details and SWIFT reference were shared during your call.
+Please retain this SMS for your records.
+For status updates or assistance, contact Mashreq Bank.
+Thank you.`,
+      ar: `بنك المشرق: مرجع المعاملة
+تمت مشاركة تفاصيل معاملتك ومرجع السويفت خلال مكالمتك.
+يرجى الاحتفاظ بهذه الرسالة لسجلاتك.
+لمعرفة آخر المستجدات أو للمساعدة، تواصل مع بنك المشرق.
+شكراً لك.`,
+      hi: `मशरेक बैंक: लेनदेन रेफरेंस
+आपके लेनदेन का विवरण और स्विफ्ट रेफरेंस आपकी कॉल के दौरान साझा किए गए थे।
+कृपया इस एसएमएस को अपने रिकॉर्ड के लिए सुरक्षित रखें।
+स्थिति अपडेट या सहायता के लिए मशरेक बैंक से संपर्क करें।
+धन्यवाद।`,
+    },
+  },
+
+  // Redemption confirmation
+  REDEMPTION_SMS: {
+    fields: ['pointsBalance'],
+    personalized: {
+      en: `Mashreq Bank Rewards: Redemption Confirmation
+Available balance: {{pointsBalance}} points.
+Redemption Rules:
+• Min 500 points required
+• Increments of 100 points
+• Instant redemption is final
+Thank you for using Mashreq Rewards.`,
+      ar: `مكافآت بنك المشرق: تأكيد الاستبدال
+الرصيد المتاح: {{pointsBalance}} نقطة.
+قواعد الاستبدال:
+• الحد الأدنى 500 نقطة
+• بمضاعفات 100 نقطة
+• الاستبدال الفوري نهائي
+شكراً لاستخدامك مكافآت المشرق.`,
+      hi: `मशरेक बैंक रिवॉर्ड्स: रिडेम्पशन पुष्टि
+उपलब्ध बैलेंस: {{pointsBalance}} पॉइंट्स।
+रिडेम्पशन नियम:
+• न्यूनतम 500 पॉइंट्स आवश्यक
+• 100 पॉइंट्स के गुणकों में
+• तुरंत रिडेम्पशन अंतिम है
+मशरेक रिवॉर्ड्स का उपयोग करने के लिए धन्यवाद।`,
+    },
+    generic: {
+      en: `Mashreq Bank Rewards: Redemption Confirmation
+Your redemption request details were shared during the call.
+Redemption Rules:
+• Min 500 points required
+• Increments of 100 points
+• Instant redemption is final
+Thank you for using Mashreq Rewards.`,
+      ar: `مكافآت بنك المشرق: تأكيد الاستبدال
+تمت مشاركة تفاصيل طلب الاستبدال خلال المكالمة.
+قواعد الاستبدال:
+• الحد الأدنى 500 نقطة
+• بمضاعفات 100 نقطة
+• الاستبدال الفوري نهائي
+شكراً لاستخدامك مكافآت المشرق.`,
+      hi: `मशरेक बैंक रिवॉर्ड्स: रिडेम्पशन पुष्टि
+आपके रिडेम्पशन अनुरोध का विवरण कॉल के दौरान साझा किया गया था।
+रिडेम्पशन नियम:
+• न्यूनतम 500 पॉइंट्स आवश्यक
+• 100 पॉइंट्स के गुणकों में
+• तुरंत रिडेम्पशन अंतिम है
+मशरेक रिवॉर्ड्स का उपयोग करने के लिए धन्यवाद।`,
+    },
+  },
+
+  // General call summary
+  CALL_SUMMARY_SMS: {
+    fields: ['customerFirstName'],
+    personalized: {
+      en: "Mashreq Bank: Dear {{customerFirstName}}, thank you for your call. A summary of your inquiry has been noted. For any further assistance, please contact us.",
+      ar: "بنك المشرق: مرحباً {{customerFirstName}}، شكراً لاتصالك. تم تسجيل ملخص استفسارك. لأي مساعدة إضافية، يرجى التواصل معنا.",
+      hi: "मशरेक बैंक: प्रिय {{customerFirstName}}, आपकी कॉल के लिए धन्यवाद। आपकी पूछताछ का सारांश नोट कर लिया गया है। किसी भी अतिरिक्त सहायता के लिए कृपया हमसे संपर्क करें।",
+    },
+    generic: {
+      en: "Mashreq Bank: Thank you for your call. A summary of your inquiry has been noted. For any further assistance, please contact us. We value your banking relationship.",
+      ar: "بنك المشرق: شكراً لاتصالك. تم تسجيل ملخص استفسارك. لأي مساعدة إضافية، يرجى التواصل معنا. نحن نقدّر علاقتك المصرفية معنا.",
+      hi: "मशरेक बैंक: आपकी कॉल के लिए धन्यवाद। आपकी पूछताछ का सारांश नोट कर लिया गया है। किसी भी अतिरिक्त सहायता के लिए कृपया हमसे संपर्क करें। हम आपके बैंकिंग संबंध को महत्व देते हैं।",
+    },
+  },
+
+  // Sent after the last unanswered retry (see lib/retries.js)
+  MISSED_CALL_SMS: {
+    fields: ['customerFirstName'],
+    personalized: {
+      en: "Mashreq Bank: Dear {{customerFirstName}}, we tried to reach you by phone but couldn't get through. Please call us at your convenience. Thank you for banking with us.",
+      ar: "بنك المشرق: مرحباً {{customerFirstName}}، حاولنا الاتصال بك هاتفياً ولم نتمكن من الوصول إليك. يرجى الاتصال بنا في الوقت المناسب لك. شكراً لتعاملك معنا.",
+      hi: "मशरेक बैंक: प्रिय {{customerFirstName}}, हमने आपसे फ़ोन पर संपर्क करने की कोशिश की लेकिन बात नहीं हो सकी। कृपया अपनी सुविधानुसार हमें कॉल करें। हमारे साथ बैंकिंग करने के लिए धन्यवाद।",
+    },
+    generic: {
+      en: "Mashreq Bank: We tried to reach you by phone but couldn't get through. Please call us at your convenience. Thank you for banking with us.",
+      ar: "بنك المشرق: حاولنا الاتصال بك هاتفياً ولم نتمكن من الوصول إليك. يرجى الاتصال بنا في الوقت المناسب لك. شكراً لتعاملك معنا.",
+      hi: "मशरेक बैंक: हमने आपसे फ़ोन पर संपर्क करने की कोशिश की लेकिन बात नहीं हो सकी। कृपया अपनी सुविधानुसार हमें कॉल करें। हमारे साथ बैंकिंग करने के लिए धन्यवाद।",
+    },
+  },
+};
+
+/**
+ * Fills {{placeholders}} from whitelisted field values
+ * @returns {object} { body } or { missing: string[] } if any placeholder can't be filled
+ */
+function fillPlaceholders(text, allowedFields, values) {
+  const missing = [];
+
+  const body = text.replace(/\{\{(\w+)\}\}/g, (match, field) => {
+    if (!allowedFields.includes(field) || values[field] == null) {
+      missing.push(field);
+      return match;
+    }
+    return values[field];
+  });
+
+  return missing.length > 0 ? { missing } : { body };
+}
+
+/**
+ * Renders an SMS type in the requested language, personalized when every
+ * placeholder can be filled and the result fits within SMS_MAX_SEGMENTS
+ * @param {string} smsType - Template key (e.g. REWARDS_TNC_SMS)
+ * @param {string} language - 'en' | 'ar' | 'hi'
+ * @param {object} values - Resolved field values ({ customerFirstName, ... })
+ * @returns {object|null} { language, body, personalized, fallbackReason?, encoding, length, segments },
+ *                        or null for unknown types
+ */
+function renderSmsTemplate(smsType, language = 'en', values = {}) {
+  const template = SMS_TEMPLATES[smsType];
+  if (!template) return null;
+
+  const lang = template.generic[language] ? language : 'en';
+  let fallbackReason = null;
+
+  if (template.personalized) {
+    const filled = fillPlaceholders(template.personalized[lang], template.fields, values);
+
+    if (filled.missing) {
+      fallbackReason = `Missing fields: ${filled.missing.join(', ')}`;
+    } else {
+      const info = getSmsInfo(filled.body);
+      if (info.segments <= MAX_SEGMENTS) {
+        return { language: lang, body: filled.body, personalized: true, ...info };
+      }
+      fallbackReason = `Personalized text needs ${info.segments} segments (max ${MAX_SEGMENTS})`;
+    }
+  }
+
+  const body = template.generic[lang];
+  return { language: lang, body, personalized: false, fallbackReason, ...getSmsInfo(body) };
+}
+
+module.exports = {
+  SMS_TEMPLATES,
+  renderSmsTemplate,
+};
@@ -0,0 +1,324 @@
+/**
+ * Record Store
+ *
+ * Minimal key/value persistence for state that has to outlive a single
+ * request (campaigns, call records, ...). Each collection is a map of
+ * id -> JSON record.
+ *
+ * Drivers:
+ *   file   - one JSON file per collection under DATA_DIR (default)
+ *   memory - process-local, lost on restart (useful for tests)
+ *   kv     - Vercel KV / Upstash Redis over its REST API, shared by every
+ *            serverless instance (KV_REST_API_URL, KV_REST_API_TOKEN)
+ *
+ * On Vercel the file driver writes to /tmp, which is per instance and
+ * short-lived - use `kv` when state must be seen by every invocation.
+ * Campaigns, scheduled calls, contact caps and the audit trail otherwise
+ * reset or split between instances, so every instance logs a warning
+ * (and /api/health reports it) until STORE_DRIVER=kv is set.
+ *
+ * update() is atomic per record: calls for the same id run one after
+ * another within a process, and the kv driver compare-and-sets so
+ * instances can't overwrite each other (the mutation is re-run on a
+ * conflict, so it must only depend on the record it is given).
+ *
+ * Additional drivers (a database, ...) can be plugged in with
+ * registerStoreDriver() as long as they implement the same async interface.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./log');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Vercel functions can only write to /tmp
+const DEFAULT_DATA_DIR = process.env.VERCEL
+  ? '/tmp/mashreq-data'
+  : path.join(__dirname, '..', 'data');
+
+function getDataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+function getStoreDriverName() {
+  return process.env.STORE_DRIVER || 'file';
+}
+
+/**
+ * Why the configured store loses or splits state, or null when it doesn't
+ */
+function getStoreWarning() {
+  const driverName = getStoreDriverName();
+  if (!process.env.VERCEL || !['file', 'memory'].includes(driverName)) return null;
+  return `STORE_DRIVER=${driverName} on Vercel keeps state per function instance and loses it on every cold start - ` +
+    'campaigns, scheduled calls, contact caps and the audit trail will reset or split. Set STORE_DRIVER=kv.';
+}
+
+let storeWarningLogged = false;
+
+const LIMITS = {
+  // kv update() attempts before giving up on a contended record
+  maxUpdateAttempts: 10,
+};
+
+// ============================================================================
+// DRIVERS
+// ============================================================================
+
+/**
+ * File driver - reads and rewrites the whole collection file on every call.
+ * Fine for PoC volumes; swap the driver for anything bigger.
+ */
+function fileDriver(collection) {
+  const filePath = () => path.join(getDataDir(), `${collection}.json`);
+
+  const load = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  };
+
+  const save = (records) => {
+    fs.mkdirSync(getDataDir(), { recursive: true });
+    // Write to a temp file first so a crash never leaves half a collection
+    const tmpPath = `${filePath()}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpPath, filePath());
+  };
+
+  return {
+    async get(id) {
+      return load()[id] || null;
+    },
+    async put(id, record) {
+      const records = load();
+      records[id] = record;
+      save(records);
+      return record;
+    },
+    // Load, check and save run synchronously, so this is atomic per process
+    async create(id, record) {
+      const records = load();
+      if (id in records) return false;
+      records[id] = record;
+      save(records);
+      return true;
+    },
+    async list() {
+      return Object.values(load());
+    },
+    async remove(id) {
+      const records = load();
+      const existed = id in records;
+      delete records[id];
+      save(records);
+      return existed;
+    },
+  };
+}
+
+const memoryCollections = {};
+
+function memoryDriver(collection) {
+  const records = memoryCollections[collection] || (memoryCollections[collection] = {});
+  const clone = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+  return {
+    async get(id) {
+      return clone(records[id]);
+    },
+    async put(id, record) {
+      records[id] = clone(record);
+      return record;
+    },
+    async create(id, record) {
+      if (id in records) return false;
+      records[id] = clone(record);
+      return true;
+    },
+    async list() {
+      return Object.values(records).map(clone);
+    },
+    async remove(id) {
+      const existed = id in records;
+      delete records[id];
+      return existed;
+    },
+  };
+}
+
+/**
+ * KV driver - one Redis hash per collection, accessed through the Upstash
+ * REST API that Vercel KV exposes. No client library needed.
+ */
+function kvDriver(collection) {
+  const key = `${process.env.KV_PREFIX || 'mashreq'}:${collection}`;
+
+  // Writes the field only if it still holds the value we read
+  const COMPARE_AND_SET = [
+    "if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then",
+    "  redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])",
+    '  return 1',
+    'end',
+    'return 0',
+  ].join('\n');
+
+  const command = async (...args) => {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) {
+      throw new Error('STORE_DRIVER=kv requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(args),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`KV ${args[0]} failed: ${data.error || response.status}`);
+    }
+    return data.result;
+  };
+
+  return {
+    async get(id) {
+      const value = await command('HGET', key, id);
+      return value ? JSON.parse(value) : null;
+    },
+    async put(id, record) {
+      await command('HSET', key, id, JSON.stringify(record));
+      return record;
+    },
+    async create(id, record) {
+      return (await command('HSETNX', key, id, JSON.stringify(record))) === 1;
+    },
+    async update(id, mutate) {
+      for (let attempt = 0; attempt < LIMITS.maxUpdateAttempts; attempt++) {
+        const current = await command('HGET', key, id);
+        if (!current) return null;
+        const record = JSON.parse(current);
+        const updated = mutate(record) || record;
+        if ((await command('EVAL', COMPARE_AND_SET, 1, key, id, current, JSON.stringify(updated))) === 1) {
+          return updated;
+        }
+      }
+      throw new Error(`KV update of ${collection}/${id} failed: record kept changing`);
+    },
+    async list() {
+      // HGETALL returns a flat [field, value, field, value, ...] array
+      const flat = (await command('HGETALL', key)) || [];
+      return flat.filter((_, index) => index % 2 === 1).map(value => JSON.parse(value));
+    },
+    async remove(id) {
+      return (await command('HDEL', key, id)) === 1;
+    },
+  };
+}
+
+const DRIVERS = {
+  file: fileDriver,
+  memory: memoryDriver,
+  kv: kvDriver,
+};
+
+/**
+ * Registers a custom store driver
+ * @param {string} name - Driver name, selected with STORE_DRIVER=<name>
+ * @param {function} factory - (collection) => { get, put, list, remove, create?, update? }
+ *   where update(id, mutate) must be atomic across processes if the driver
+ *   is shared by several (see kvDriver)
+ */
+function registerStoreDriver(name, factory) {
+  DRIVERS[name] = factory;
+}
+
+// ============================================================================
+// STORE FACTORY
+// ============================================================================
+
+// Pending update() per "<collection>:<id>" - each waits for the one before
+const updateQueues = new Map();
+
+function serialize(key, task) {
+  const run = (updateQueues.get(key) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  updateQueues.set(key, settled);
+  settled.then(() => {
+    if (updateQueues.get(key) === settled) updateQueues.delete(key);
+  });
+  return run;
+}
+
+/**
+ * Creates a store for a named collection
+ * @param {string} collection - Collection name (e.g. "campaigns")
+ * @returns {object} { get, put, create, update, list, remove }
+ */
+function createStore(collection) {
+  const driverName = getStoreDriverName();
+  const factory = DRIVERS[driverName];
+  if (!factory) {
+    throw new Error(`Unknown STORE_DRIVER: ${driverName}`);
+  }
+
+  const warning = getStoreWarning();
+  if (warning && !storeWarningLogged) {
+    logger.warn(warning);
+    storeWarningLogged = true;
+  }
+
+  const driver = factory(collection);
+
+  return {
+    ...driver,
+
+    /**
+     * Saves a record only if the id is not taken yet
+     * @returns {Promise<boolean>} true if the record was created
+     */
+    async create(id, record) {
+      if (driver.create) return driver.create(id, record);
+      // Drivers without an atomic insert get a best-effort check
+      if (await driver.get(id)) return false;
+      await driver.put(id, record);
+      return true;
+    },
+
+    /**
+     * Loads a record, applies a mutation and saves the result, atomically
+     * (see the header)
+     * @param {string} id - Record id
+     * @param {function} mutate - (record) => record | void - synchronous,
+     *   and may run more than once
+     * @returns {Promise<object|null>} The saved record, or null if not found
+     */
+    async update(id, mutate) {
+      return serialize(`${collection}:${id}`, async () => {
+        if (driver.update) return driver.update(id, mutate);
+        const record = await driver.get(id);
+        if (!record) return null;
+        const updated = mutate(record) || record;
+        await driver.put(id, updated);
+        return updated;
+      });
+    },
+  };
+}
+
+module.exports = {
+  createStore,
+  getStoreDriverName,
+  getStoreWarning,
+  registerStoreDriver,
+};
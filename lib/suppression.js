@@ -0,0 +1,251 @@
+/**
+ * Do-Not-Contact (Suppression) List
+ *
+ * Numbers that must not be called and/or texted. Every outbound call
+ * (lib/outbound.js) and every SMS (lib/sms/send.js) is checked against the
+ * list just before ElevenLabs or Twilio is contacted, so campaigns,
+ * scheduled calls and retries are covered as well as direct requests.
+ *
+ * Entries are keyed by phone number:
+ *   { phoneNumber, channel: 'all' | 'call' | 'sms', reason, source,
+ *     expiresAt: ISO | null, createdAt, updatedAt }
+ *
+ * Sources: api, csv, sms_stop (customer replied STOP to one of our texts).
+ * Expired entries stay listed but no longer block anything.
+ */
+
+const { createStore } = require('./store');
+const { parseCsv } = require('./csv');
+const { parsePhoneNumber, phoneKey } = require('./phone');
+const { logger } = require('./log');
+
+const suppressions = createStore('suppression');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CHANNELS = ['all', 'call', 'sms'];
+
+// Codes returned to callers when a contact is blocked
+const BLOCK_CODES = {
+  call: 'DO_NOT_CALL',
+  sms: 'DO_NOT_TEXT',
+};
+
+// Opt-out / opt-in replies (Twilio's standard keywords plus Arabic)
+const STOP_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'توقف', 'الغاء', 'إلغاء'];
+const START_KEYWORDS = ['start', 'unstop', 'yes'];
+
+const LIMITS = {
+  maxImportRows: 10000,
+  maxReasonLength: 200,
+};
+
+/**
+ * Thrown when a call is attempted to a suppressed number
+ */
+class SuppressedContactError extends Error {
+  constructor(channel, entry) {
+    super(`${entry.phoneNumber} is on the do-not-${channel === 'sms' ? 'text' : 'call'} list (${entry.reason})`);
+    this.name = 'SuppressedContactError';
+    this.code = BLOCK_CODES[channel];
+    this.status = 403;
+    this.entry = entry;
+  }
+}
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+function isActive(entry, now = Date.now()) {
+  return !entry.expiresAt || Date.parse(entry.expiresAt) > now;
+}
+
+function validateEntry(input) {
+  const errors = [];
+
+  // Any supported country - the destination allow-list doesn't apply to opt-outs
+  if (!input.phoneNumber) {
+    errors.push('phoneNumber is required');
+  } else {
+    const phone = parsePhoneNumber(input.phoneNumber);
+    if (!phone.valid) errors.push(`phoneNumber: ${phone.error}`);
+  }
+  if (input.channel !== undefined && !CHANNELS.includes(input.channel)) {
+    errors.push(`channel must be one of: ${CHANNELS.join(', ')}`);
+  }
+  if (input.reason !== undefined && typeof input.reason !== 'string') {
+    errors.push('reason must be a string');
+  }
+  if (input.expiresAt !== undefined && input.expiresAt !== null && input.expiresAt !== '' &&
+      Number.isNaN(Date.parse(input.expiresAt))) {
+    errors.push('expiresAt must be an ISO 8601 date-time');
+  }
+
+  return errors;
+}
+
+/**
+ * Adds a number to the list, or updates its entry
+ * @param {object} input - { phoneNumber, channel?, reason?, expiresAt? }
+ * @param {string} source - 'api' | 'csv' | 'sms_stop'
+ * @returns {Promise<object>} { errors } or { entry }
+ */
+async function addSuppression(input, source = 'api') {
+  const errors = validateEntry(input || {});
+  if (errors.length > 0) return { errors };
+
+  const phoneNumber = phoneKey(input.phoneNumber);
+  const now = new Date().toISOString();
+  const existing = await suppressions.get(phoneNumber);
+
+  const entry = {
+    phoneNumber,
+    channel: input.channel || 'all',
+    reason: String(input.reason || 'Customer request').slice(0, LIMITS.maxReasonLength),
+    source,
+    expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  await suppressions.put(phoneNumber, entry);
+  logger.info('Suppression added:', { phoneNumber, channel: entry.channel, reason: entry.reason, source });
+  return { entry };
+}
+
+/**
+ * Imports entries from CSV (columns: phoneNumber, reason, channel, expiresAt)
+ * @returns {Promise<object>} { errors } if the file is unusable, otherwise
+ *   { added, failed: [{ row, phoneNumber, details }] }
+ */
+async function importSuppressionCsv(csv) {
+  const rows = parseCsv(csv);
+  if (rows.length === 0) {
+    return { errors: ['CSV contains no rows'] };
+  }
+  if (rows.length > LIMITS.maxImportRows) {
+    return { errors: [`CSV exceeds the maximum of ${LIMITS.maxImportRows} rows`] };
+  }
+
+  let added = 0;
+  const failed = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { errors } = await addSuppression({
+      phoneNumber: row.phoneNumber || row.phone,
+      reason: row.reason || undefined,
+      channel: row.channel || undefined,
+      expiresAt: row.expiresAt || undefined,
+    }, 'csv');
+
+    if (errors) {
+      failed.push({ row: index + 1, phoneNumber: row.phoneNumber || row.phone || null, details: errors });
+    } else {
+      added++;
+    }
+  }
+
+  return { added, failed };
+}
+
+/**
+ * Takes a number off the list
+ * @returns {Promise<boolean>} false if it was not listed
+ */
+async function removeSuppression(phoneNumber) {
+  const key = phoneKey(phoneNumber);
+  if (!(await suppressions.get(key))) return false;
+
+  await suppressions.remove(key);
+  logger.info(`Suppression removed: ${key}`);
+  return true;
+}
+
+/**
+ * Lists entries, newest first
+ * @param {object} filters - { includeExpired? }
+ */
+async function listSuppressions(filters = {}) {
+  const all = await suppressions.list();
+  return all
+    .filter(entry => filters.includeExpired || isActive(entry))
+    .map(entry => ({ ...entry, active: isActive(entry) }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Active entry blocking a channel for a number
+ * @param {string} phoneNumber - Number about to be contacted
+ * @param {string} channel - 'call' | 'sms'
+ * @returns {Promise<object|null>} The entry, or null if contact is allowed
+ */
+async function findSuppression(phoneNumber, channel) {
+  const entry = await suppressions.get(phoneKey(phoneNumber));
+  if (!entry || !isActive(entry)) return null;
+  return entry.channel === 'all' || entry.channel === channel ? entry : null;
+}
+
+/**
+ * Throws if a number may not be contacted on a channel
+ * @throws {SuppressedContactError}
+ */
+async function assertNotSuppressed(phoneNumber, channel) {
+  const entry = await findSuppression(phoneNumber, channel);
+  if (entry) {
+    logger.info(`Blocked ${channel} to ${entry.phoneNumber}: on suppression list (${entry.reason})`);
+    throw new SuppressedContactError(channel, entry);
+  }
+}
+
+// ============================================================================
+// INBOUND SMS KEYWORDS
+// ============================================================================
+
+/**
+ * Applies STOP / START replies from an inbound SMS
+ * @param {object} message - { from, body }
+ * @returns {Promise<object>} { action: 'opted_out' | 'opted_in' | 'ignored', entry? }
+ */
+async function handleInboundKeyword({ from, body }) {
+  const keyword = String(body || '').trim().toLowerCase().replace(/[.!]+$/, '');
+
+  if (STOP_KEYWORDS.includes(keyword)) {
+    const { entry, errors } = await addSuppression({
+      phoneNumber: from,
+      channel: 'all',
+      reason: `Replied "${String(body).trim()}" by SMS`,
+    }, 'sms_stop');
+    return errors ? { action: 'ignored', errors } : { action: 'opted_out', entry };
+  }
+
+  // START only lifts an opt-out the customer made themselves by SMS -
+  // entries added by staff stay in place
+  if (START_KEYWORDS.includes(keyword)) {
+    const existing = await suppressions.get(phoneKey(from));
+    if (existing && existing.source === 'sms_stop') {
+      await removeSuppression(from);
+      return { action: 'opted_in' };
+    }
+  }
+
+  return { action: 'ignored' };
+}
+
+module.exports = {
+  BLOCK_CODES,
+  SuppressedContactError,
+  addSuppression,
+  importSuppressionCsv,
+  removeSuppression,
+  listSuppressions,
+  findSuppression,
+  assertNotSuppressed,
+  handleInboundKeyword,
+};
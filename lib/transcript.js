@@ -0,0 +1,209 @@
+/**
+ * Transcript Normalization
+ *
+ * ElevenLabs (and the test payloads we've seen) deliver transcripts in a few
+ * shapes: an array of { role, message, time_in_call_secs } turns, a plain
+ * string, or nested under data/analysis/call. This module turns all of them
+ * into a list of speaker-tagged turns plus the flat text used for keyword
+ * matching.
+ *
+ * highlightTurns() maps classifier evidence back onto the stored turns so
+ * the dashboard can mark the phrases that triggered or blocked an SMS.
+ */
+
+const { normalizeText } = require('./language');
+
+const ROLE_ALIASES = {
+  user: 'customer',
+  customer: 'customer',
+  caller: 'customer',
+  agent: 'agent',
+  assistant: 'agent',
+  ai: 'agent',
+  bot: 'agent',
+};
+
+function normalizeRole(role) {
+  return ROLE_ALIASES[String(role || '').toLowerCase()] || 'unknown';
+}
+
+/**
+ * Extracts plain text from a single transcript item
+ */
+function itemText(item) {
+  if (typeof item === 'string') return item;
+  if (!item || typeof item !== 'object') return '';
+  if (item.text) return item.text;
+  if (item.content) return item.content;
+  if (item.message) return item.message;
+  if (item.transcript) return item.transcript;
+  return JSON.stringify(item);
+}
+
+/**
+ * Splits "Agent: ... \n User: ..." style text into turns
+ */
+function turnsFromText(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const labelled = lines.map(line => line.match(/^\s*(agent|assistant|ai|user|customer|caller)\s*:\s*(.*)$/i));
+
+  if (lines.length > 1 && labelled.every(Boolean)) {
+    return labelled.map(([, role, message], index) => ({
+      index,
+      role: normalizeRole(role),
+      text: message,
+      timeInCallSecs: null,
+    }));
+  }
+
+  return [{ index: 0, role: 'unknown', text, timeInCallSecs: null }];
+}
+
+/**
+ * Converts one transcript source into turns
+ * @returns {object[]|null} Turns, or null if the source holds no transcript
+ */
+function toTurns(data) {
+  if (!data) return null;
+
+  if (typeof data === 'string') {
+    return data.trim() ? turnsFromText(data) : null;
+  }
+
+  if (Array.isArray(data)) {
+    const turns = data
+      .map((item, index) => ({
+        index,
+        role: normalizeRole(item && item.role),
+        text: itemText(item),
+        timeInCallSecs: item && item.time_in_call_secs != null ? item.time_in_call_secs : null,
+      }))
+      .filter(turn => turn.text);
+    return turns.length > 0 ? turns : null;
+  }
+
+  if (typeof data === 'object') {
+    // Try common nested structures
+    if (data.messages) return toTurns(data.messages);
+    const text = data.text || data.content || data.full_transcript;
+    return toTurns(text || JSON.stringify(data));
+  }
+
+  return toTurns(String(data));
+}
+
+/**
+ * Finds and normalizes the transcript in a webhook payload
+ * @param {object} body - Webhook payload
+ * @returns {object} { turns: [{ index, role, text, timeInCallSecs }], text }
+ */
+function extractTranscript(body) {
+  const sources = [
+    body.transcript,
+    body.transcription,
+    body.conversation,
+    body.messages,
+    body.data?.transcript,
+    body.analysis?.transcript,
+    body.call?.transcript,
+  ];
+
+  for (const source of sources) {
+    const turns = toTurns(source);
+    if (turns) {
+      return { turns, text: turns.map(turn => turn.text).join(' ') };
+    }
+  }
+
+  return { turns: [], text: '' };
+}
+
+// ============================================================================
+// HIGHLIGHTS
+// ============================================================================
+
+/**
+ * Finds a normalized phrase (as the classifier reports keywords) in the
+ * original text. Matching happens on normalized text - lowercase, no
+ * Arabic diacritics, collapsed whitespace - so offsets are mapped back.
+ * @param {string} text - Original turn text
+ * @param {string} phrase - Keyword, normalized with normalizeText()
+ * @returns {object[]} [{ start, end }] offsets into text, end exclusive
+ */
+function findPhrase(text, phrase) {
+  const needle = normalizeText(phrase).trim();
+  if (!needle) return [];
+
+  // normalized[i] came from text[origin[i]]
+  let normalized = '';
+  const origin = [];
+  for (let i = 0; i < text.length; i++) {
+    const part = /\s/.test(text[i]) ? ' ' : normalizeText(text[i]);
+    if (part === ' ' && normalized.endsWith(' ')) continue;
+    normalized += part;
+    for (let j = 0; j < part.length; j++) origin.push(i);
+  }
+
+  const spans = [];
+  let from = normalized.indexOf(needle);
+  while (from !== -1) {
+    let end = origin[from + needle.length - 1] + 1;
+    // Keep diacritics on the last letter inside the span
+    while (end < text.length && !/\s/.test(text[end]) && normalizeText(text[end]) === '') end++;
+    spans.push({ start: origin[from], end });
+    from = normalized.indexOf(needle, from + needle.length);
+  }
+  return spans;
+}
+
+/**
+ * Adds highlights to transcript turns from a classification
+ * @param {object[]} turns - Stored turns [{ index, role, text, timeInCallSecs }]
+ * @param {object|null} classification - The call's `classified` event
+ * @returns {object[]} Turns with highlights: [{ start, end, phrase, kind, smsType, reason }]
+ *   kind is 'trigger' (SMS sent), 'dropped' (matched but not sent by policy)
+ *   or 'block' (stopped every SMS)
+ */
+function highlightTurns(turns, classification) {
+  const marks = [];
+  const seen = new Set();
+  const add = (evidence, kind, smsType, reason) => {
+    for (const item of evidence || []) {
+      if (item.source !== 'transcript' || !item.keyword) continue;
+      seen.add(`${item.turn}|${item.keyword}`);
+      marks.push({ turn: item.turn, keyword: item.keyword, kind, smsType, reason });
+    }
+  };
+
+  if (classification) {
+    (classification.messages || []).forEach(m => add(m.evidence, 'trigger', m.smsType, m.reason));
+    (classification.dropped || []).forEach(m => add(m.evidence, 'dropped', m.smsType, m.reason));
+    // Whatever else the decision cites when nothing was sent is a block phrase
+    if (!classification.shouldSend) {
+      const blocking = (classification.evidence || []).filter(item => !seen.has(`${item.turn}|${item.keyword}`));
+      add(blocking, 'block', null, classification.reason);
+    }
+  }
+
+  return turns.map(turn => ({
+    ...turn,
+    highlights: marks
+      .filter(mark => mark.turn === turn.index)
+      .flatMap(mark => findPhrase(turn.text, mark.keyword).map(span => ({
+        ...span,
+        phrase: turn.text.slice(span.start, span.end),
+        kind: mark.kind,
+        smsType: mark.smsType,
+        reason: mark.reason,
+      })))
+      .sort((a, b) => a.start - b.start),
+  }));
+}
+
+module.exports = {
+  normalizeRole,
+  extractTranscript,
+  turnsFromText,
+  findPhrase,
+  highlightTurns,
+};
@@ -0,0 +1,250 @@
+/**
+ * Webhook Signature Verification
+ *
+ * ElevenLabs signs post-call webhooks with an HMAC of the raw body:
+ *
+ *   ElevenLabs-Signature: t=<unix seconds>,v0=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * We recompute the HMAC with the shared secret, compare in constant time and
+ * reject timestamps outside the tolerance window to stop replays.
+ *
+ * Twilio webhooks (inbound SMS) carry X-Twilio-Signature, checked with the
+ * Twilio auth token against the public URL Twilio posted to.
+ *
+ * Rejections are logged and counted per endpoint and reason.
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { createStore } = require('./store');
+const { logger } = require('./log');
+
+const rejections = createStore('webhook-rejections');
+
+const SIGNATURE_HEADER = 'elevenlabs-signature';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+function getConfig() {
+  return {
+    secret: process.env.ELEVENLABS_WEBHOOK_SECRET,
+    toleranceSec: Number(process.env.ELEVENLABS_WEBHOOK_TOLERANCE_SEC) || 30 * 60,
+    // Local development escape hatch - never enable in production
+    allowUnsigned: process.env.ELEVENLABS_WEBHOOK_ALLOW_UNSIGNED === 'true',
+  };
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Parses "t=123,v0=abc,v0=def" into { timestamp, signatures }
+ */
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+
+  String(header || '').split(',').forEach(part => {
+    const [key, ...rest] = part.trim().split('=');
+    const value = rest.join('=');
+    if (key === 't') parsed.timestamp = Number(value);
+    if (key === 'v0' && value) parsed.signatures.push(value);
+  });
+
+  return parsed;
+}
+
+function safeEqualHex(expected, actual) {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(actual, 'hex');
+  return a.length === b.length && a.length > 0 && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verifies a signature header against the raw request body
+ * @param {object} params - { header, rawBody, secret, toleranceSec, now? }
+ * @returns {object} { valid: boolean, reason?: string }
+ */
+function verifySignature({ header, rawBody, secret, toleranceSec, now = Date.now() }) {
+  if (!header) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return { valid: false, reason: 'malformed_signature' };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > toleranceSec) {
+    return { valid: false, reason: 'timestamp_out_of_tolerance' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  if (!signatures.some(signature => safeEqualHex(expected, signature))) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Returns the exact bytes that were signed, or null when they're gone.
+ * Express captures them in req.rawBody (see src/index.js); on Vercel the
+ * ElevenLabs handlers turn body parsing off (their `config` export) and we
+ * read the stream here. A body that was already parsed can't be verified -
+ * re-serializing it seldom reproduces the signed bytes.
+ */
+async function getRawBody(req) {
+  if (req.rawBody !== undefined) return req.rawBody.toString('utf8');
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+
+  // req._body is body-parser's "already consumed" flag
+  if (typeof req.on === 'function' && !req.readableEnded && !req._body) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    req.rawBody = Buffer.concat(chunks);
+    return req.rawBody.toString('utf8');
+  }
+
+  return null;
+}
+
+/**
+ * Parses an ElevenLabs webhook's JSON payload - call after verification,
+ * as handlers with body parsing off only get the raw bytes
+ * @param {object} req - Incoming request
+ * @returns {Promise<object>} Payload ({} when the body is empty)
+ * @throws {SyntaxError} When the body isn't valid JSON
+ */
+async function readJsonBody(req) {
+  const raw = await getRawBody(req);
+  if (raw === null) return req.body || {};
+  return raw.trim() ? JSON.parse(raw) : {};
+}
+
+/**
+ * Counts a rejected request per endpoint and reason
+ */
+async function recordRejection(endpoint, reason) {
+  const now = new Date().toISOString();
+  const existing = await rejections.get(endpoint) || { id: endpoint, total: 0, byReason: {} };
+
+  existing.total++;
+  existing.byReason[reason] = (existing.byReason[reason] || 0) + 1;
+  existing.lastRejectedAt = now;
+  existing.lastReason = reason;
+
+  await rejections.put(endpoint, existing);
+}
+
+/**
+ * Verifies an incoming ElevenLabs webhook request.
+ * Logs and counts every rejection.
+ * @param {object} req - Incoming request
+ * @param {string} endpoint - Name used for logging and counters
+ * @returns {Promise<object>} { valid: boolean, reason?: string }
+ */
+async function verifyElevenLabsRequest(req, endpoint) {
+  const config = getConfig();
+  let result;
+
+  if (!config.secret) {
+    result = config.allowUnsigned
+      ? { valid: true, unsigned: true }
+      : { valid: false, reason: 'secret_not_configured' };
+  } else {
+    const rawBody = await getRawBody(req);
+    result = rawBody === null
+      ? { valid: false, reason: 'raw_body_unavailable' }
+      : verifySignature({
+        header: req.headers[SIGNATURE_HEADER],
+        rawBody,
+        secret: config.secret,
+        toleranceSec: config.toleranceSec,
+      });
+  }
+
+  if (result.unsigned) {
+    logger.warn(`[${endpoint}] ELEVENLABS_WEBHOOK_SECRET not set - accepting unsigned webhook (ELEVENLABS_WEBHOOK_ALLOW_UNSIGNED=true)`);
+  }
+
+  if (!result.valid) {
+    logger.warn(`[${endpoint}] Rejected webhook: ${result.reason}`, {
+      ip: req.headers['x-forwarded-for'] || req.socket?.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+
+    try {
+      await recordRejection(endpoint, result.reason);
+    } catch (error) {
+      logger.error('Failed to count webhook rejection:', error.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Verifies an incoming Twilio webhook request (form-encoded).
+ * TWILIO_WEBHOOK_BASE_URL overrides the host used to rebuild the signed URL
+ * when a proxy rewrites it. Logs and counts every rejection.
+ * @param {object} req - Incoming request
+ * @param {string} endpoint - Name used for logging and counters
+ * @returns {Promise<object>} { valid: boolean, reason?: string }
+ */
+async function verifyTwilioRequest(req, endpoint) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers['x-twilio-signature'];
+  let result;
+
+  if (!authToken) {
+    result = { valid: false, reason: 'secret_not_configured' };
+  } else if (!signature) {
+    result = { valid: false, reason: 'missing_signature' };
+  } else {
+    const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL ||
+      `${req.headers['x-forwarded-proto'] || 'https'}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+    const url = `${baseUrl.replace(/\/$/, '')}${req.originalUrl || req.url}`;
+    result = twilio.validateRequest(authToken, signature, url, req.body || {})
+      ? { valid: true }
+      : { valid: false, reason: 'signature_mismatch' };
+  }
+
+  if (!result.valid) {
+    logger.warn(`[${endpoint}] Rejected webhook: ${result.reason}`, {
+      ip: req.headers['x-forwarded-for'] || req.socket?.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+
+    try {
+      await recordRejection(endpoint, result.reason);
+    } catch (error) {
+      logger.error('Failed to count webhook rejection:', error.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rejection counters for all endpoints (exposed by /api/health)
+ */
+async function getRejectionStats() {
+  return rejections.list();
+}
+
+module.exports = {
+  parseSignatureHeader,
+  verifySignature,
+  verifyElevenLabsRequest,
+  verifyTwilioRequest,
+  readJsonBody,
+  getRejectionStats,
+};
@@ -1,240 +1,119 @@
 /**
  * Mashreq Outbound Call Controller
- * 
+ *
  * A simple PoC application that initiates outbound AI voice calls
  * using ElevenLabs Conversational AI with injected customer context.
+ *
+ * The Express server mounts the same handlers as the Vercel deployment
+ * (see vercel.json) and serves the dashboard, so local development
+ * behaves identically to production.
  */
 
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
+const { getMissingElevenLabsConfig } = require('../lib/elevenlabs');
+const { isAuthDisabled, getSessionSecret, getApiKeys } = require('../lib/auth');
+const { advanceActiveCampaigns } = require('../lib/campaigns');
+const { advanceScheduledCalls } = require('../lib/scheduled-calls');
+const { getSmsProviderName } = require('../lib/sms/providers');
+const { logger, isDebugEnabled } = require('../lib/log');
 
 const app = express();
-app.use(express.json());
+// Campaign uploads carry the whole CSV in the body.
+// The raw bytes are kept for webhook signature verification.
+app.use(express.json({
+  limit: '2mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+// Twilio webhooks are form-encoded
+app.use(express.urlencoded({ extended: false }));
 
 // Configuration
 const CONFIG = {
-  elevenLabsApiKey: process.env.ELEVENLABS_API_KEY,
-  elevenLabsAgentId: process.env.ELEVENLABS_AGENT_ID,
-  elevenLabsPhoneNumberId: process.env.ELEVENLABS_PHONE_NUMBER_ID,
   port: process.env.PORT || 3000,
+  campaignTickMs: Number(process.env.CAMPAIGN_TICK_MS) || 5000,
 };
 
 // Validate required environment variables
 function validateConfig() {
-  const required = ['elevenLabsApiKey', 'elevenLabsAgentId', 'elevenLabsPhoneNumberId'];
-  const missing = required.filter(key => !CONFIG[key]);
-  
+  const missing = getMissingElevenLabsConfig();
+
   if (missing.length > 0) {
-    console.error('Missing required environment variables:');
-    missing.forEach(key => console.error(`  - ${key}`));
-    console.error('\nPlease copy .env.example to .env and fill in the values.');
+    logger.error('Missing required environment variables:');
+    missing.forEach(key => logger.error(`  - ${key}`));
+    logger.error('\nPlease copy .env.example to .env and fill in the values.');
     process.exit(1);
   }
-}
-
-/**
- * Constructs the outbound context object for the AI agent
- * This context tells the agent about the call purpose and rules
- */
-function buildOutboundContext(input) {
-  return {
-    callType: 'OUTBOUND',
-    customer: {
-      fullName: input.fullName,
-      preferredLanguage: input.preferredLanguage,
-    },
-    reason: input.callReason,
-    contextData: input.contextData || {},
-    rules: {
-      noAuthentication: true,
-      noDataCollection: true,
-      noComplaintCreation: true,
-    },
-  };
-}
 
-/**
- * Builds the first message for the agent based on the call reason and language
- */
-function buildFirstMessage(input) {
-  const { fullName, preferredLanguage, callReason } = input;
-  const firstName = fullName.split(' ')[0];
-  
-  // Customize greeting based on language preference
-  if (preferredLanguage.toLowerCase().includes('arabic')) {
-    return `مرحباً ${firstName}، أنا مساعد ماشرق الذكي. أتصل بك اليوم بخصوص ${callReason}.`;
+  if (isAuthDisabled()) {
+    logger.warn('AUTH_DISABLED=true - every request is treated as admin. Local development only.');
+  } else if (!getSessionSecret() && getApiKeys().length === 0) {
+    logger.warn('Neither AUTH_SESSION_SECRET nor API keys are set - nobody can sign in or call the API.');
   }
-  
-  return `Hello ${firstName}, this is Mashreq AI Assistant. I'm calling you today regarding ${callReason}.`;
-}
 
-/**
- * Initiates an outbound call via ElevenLabs Twilio integration
- */
-async function initiateOutboundCall(input) {
-  const outboundContext = buildOutboundContext(input);
-  const firstMessage = buildFirstMessage(input);
-  
-  // Build the conversation initiation data with dynamic variables
-  const conversationInitiationClientData = {
-    dynamic_variables: {
-      // Customer information
-      customer_name: input.fullName,
-      customer_first_name: input.fullName.split(' ')[0],
-      preferred_language: input.preferredLanguage,
-      
-      // Call context
-      call_type: 'OUTBOUND',
-      call_reason: input.callReason,
-      
-      // Stringify the full context for the agent
-      outbound_context: JSON.stringify(outboundContext),
-      
-      // Individual context data fields (flatten for easier template access)
-      ...Object.entries(input.contextData || {}).reduce((acc, [key, value]) => {
-        acc[`context_${key}`] = typeof value === 'object' ? JSON.stringify(value) : String(value);
-        return acc;
-      }, {}),
-    },
-    conversation_config_override: {
-      agent: {
-        first_message: firstMessage,
-        language: input.preferredLanguage.toLowerCase().includes('arabic') ? 'ar' : 'en',
-      },
-    },
-  };
-
-  const requestBody = {
-    agent_id: CONFIG.elevenLabsAgentId,
-    agent_phone_number_id: CONFIG.elevenLabsPhoneNumberId,
-    to_number: input.phoneNumber,
-    conversation_initiation_client_data: conversationInitiationClientData,
-  };
-
-  console.log('Initiating outbound call:', {
-    to: input.phoneNumber,
-    customer: input.fullName,
-    reason: input.callReason,
-  });
-
-  const response = await fetch('https://api.elevenlabs.io/v1/convai/twilio/outbound-call', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'xi-api-key': CONFIG.elevenLabsApiKey,
-    },
-    body: JSON.stringify(requestBody),
-  });
-
-  const data = await response.json();
-
-  if (!response.ok) {
-    throw new Error(data.detail?.message || data.message || 'Failed to initiate outbound call');
+  if (getSmsProviderName() === 'outbox') {
+    logger.warn('SMS_PROVIDER=outbox - SMS are recorded in the outbox, not sent (GET /api/admin/sms-outbox).');
   }
 
-  return data;
-}
-
-/**
- * Validates the incoming request payload
- */
-function validateRequest(body) {
-  const errors = [];
-  
-  if (!body.phoneNumber || typeof body.phoneNumber !== 'string') {
-    errors.push('phoneNumber is required and must be a string');
-  } else if (!body.phoneNumber.startsWith('+')) {
-    errors.push('phoneNumber must be in E.164 format (e.g., +9718600883826)');
-  }
-  
-  if (!body.fullName || typeof body.fullName !== 'string') {
-    errors.push('fullName is required and must be a string');
-  }
-  
-  if (!body.preferredLanguage || typeof body.preferredLanguage !== 'string') {
-    errors.push('preferredLanguage is required and must be a string');
+  if (isDebugEnabled()) {
+    logger.warn('LOG_LEVEL=debug - raw webhook payloads and transcripts are logged (masked). Turn it off when done.');
   }
-  
-  if (!body.callReason || typeof body.callReason !== 'string') {
-    errors.push('callReason is required and must be a string');
-  }
-  
-  if (body.contextData && typeof body.contextData !== 'object') {
-    errors.push('contextData must be an object if provided');
-  }
-  
-  return errors;
 }
 
 // ============================================================================
 // API Routes
 // ============================================================================
 
-/**
- * Health check endpoint
- */
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Mirrors the routes in vercel.json. Path parameters are exposed on
+// req.query, which is where Vercel's route rewrites put them.
+const ROUTES = [
+  ['/api/health', require('../api/health')],
+  ['/api/auth/oidc/:action', require('../api/auth-oidc')],
+  ['/api/auth/:action', require('../api/auth')],
+  ['/api/outbound-call', require('../api/outbound-call')],
+  ['/api/agent-numbers', require('../api/agent-numbers')],
+  ['/api/call-reasons', require('../api/call-reasons')],
+  ['/api/first-message/preview', require('../api/first-message-preview')],
+  ['/api/campaigns/:id', require('../api/campaigns')],
+  ['/api/campaigns', require('../api/campaigns')],
+  ['/api/scheduled-calls/:id', require('../api/scheduled-calls')],
+  ['/api/scheduled-calls', require('../api/scheduled-calls')],
+  ['/api/calls/:id/status', require('../api/call-status')],
+  ['/api/calls/:id', require('../api/calls')],
+  ['/api/calls', require('../api/calls')],
+  ['/api/webhook/call-ended', require('../api/webhook/call-ended')],
+  ['/api/webhook/sms-inbound', require('../api/webhook/sms-inbound')],
+  ['/api/webhook/sms-status', require('../api/webhook/sms-status')],
+  ['/api/admin/suppression', require('../api/admin/suppression')],
+  ['/api/admin/routing/dry-run', require('../api/admin/routing-dry-run')],
+  ['/api/admin/routing/:id', require('../api/admin/routing')],
+  ['/api/admin/routing', require('../api/admin/routing')],
+  ['/api/admin/sms-deliveries', require('../api/admin/sms-deliveries')],
+  ['/api/admin/sms-outbox', require('../api/admin/sms-outbox')],
+  ['/api/admin/users/:id', require('../api/admin/users')],
+  ['/api/admin/users', require('../api/admin/users')],
+  ['/api/admin/audit/:action', require('../api/admin/audit')],
+  ['/api/admin/audit', require('../api/admin/audit')],
+  ['/api/test-sms', require('../api/test-sms')],
+  ['/api/webhook-debug', require('../api/webhook-debug')],
+
+  // Legacy paths from the original Express-only server
+  ['/health', require('../api/health')],
+  ['/outbound-call', require('../api/outbound-call')],
+];
+
+ROUTES.forEach(([route, handler]) => {
+  app.all(route, (req, res, next) => {
+    Object.assign(req.query, req.params);
+    Promise.resolve(handler(req, res)).catch(next);
+  });
 });
 
-/**
- * POST /outbound-call
- * 
- * Initiates an outbound AI voice call with customer context
- * 
- * Request Body:
- * {
- *   "phoneNumber": "+9718600883826",
- *   "fullName": "Yousef Sheikh",
- *   "preferredLanguage": "UAE Arabic",
- *   "callReason": "Complaint Resolution Update",
- *   "contextData": {
- *     "complaintStatus": "Resolved",
- *     "resolutionDate": "2026-01-15",
- *     "resolutionSummary": "Transaction dispute resolved in customer's favor"
- *   }
- * }
- */
-app.post('/outbound-call', async (req, res) => {
-  try {
-    // Validate request
-    const validationErrors = validateRequest(req.body);
-    if (validationErrors.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: validationErrors,
-      });
-    }
-
-    // Initiate the call
-    const result = await initiateOutboundCall(req.body);
-
-    // Build the outbound context for the response
-    const outboundContext = buildOutboundContext(req.body);
-
-    res.json({
-      success: true,
-      message: 'Outbound call initiated successfully',
-      data: {
-        conversationId: result.conversation_id,
-        callSid: result.callSid,
-        phoneNumber: req.body.phoneNumber,
-        customer: req.body.fullName,
-        callReason: req.body.callReason,
-        outboundContext: outboundContext,
-      },
-    });
-  } catch (error) {
-    console.error('Error initiating outbound call:', error.message);
-    
-    res.status(500).json({
-      success: false,
-      error: 'Failed to initiate outbound call',
-      message: error.message,
-    });
-  }
-});
+// Dashboard
+app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // ============================================================================
 // Server Startup
@@ -242,16 +121,44 @@ app.post('/outbound-call', async (req, res) => {
 
 validateConfig();
 
+// Keep running campaigns and due scheduled calls dialing without waiting for polls
+setInterval(() => {
+  advanceActiveCampaigns().catch(error => logger.error('Campaign tick failed:', error.message));
+  advanceScheduledCalls().catch(error => logger.error('Scheduler tick failed:', error.message));
+}, CONFIG.campaignTickMs).unref();
+
 app.listen(CONFIG.port, () => {
-  console.log(`
+  logger.info(`
 ╔════════════════════════════════════════════════════════════════╗
 ║         Mashreq Outbound Call Controller                       ║
 ╠════════════════════════════════════════════════════════════════╣
 ║  Server running on http://localhost:${CONFIG.port}                     ║
 ║                                                                ║
 ║  Endpoints:                                                    ║
-║    GET  /health        - Health check                          ║
-║    POST /outbound-call - Initiate outbound call                ║
+║    GET  /                       - Dashboard                    ║
+║    GET  /api/health             - Health check                 ║
+║    POST /api/auth/login         - Dashboard sign-in            ║
+║    POST /api/outbound-call      - Initiate outbound call       ║
+║    GET  /api/agent-numbers      - Numbers we call from         ║
+║    GET  /api/call-reasons       - Call reason catalogue        ║
+║    POST /api/first-message/preview - Preview the greeting      ║
+║    POST /api/campaigns          - Start a batch campaign       ║
+║    GET  /api/campaigns/:id      - Campaign progress            ║
+║    GET  /api/scheduled-calls    - Pending scheduled calls      ║
+║    GET  /api/calls              - Call registry                ║
+║    GET  /api/calls/:id/status - Live call status (SSE)         ║
+║    POST /api/webhook/call-ended - Post-call webhook            ║
+║    POST /api/webhook/sms-inbound - Inbound SMS (STOP)          ║
+║    POST /api/webhook/sms-status - SMS delivery status          ║
+║    *    /api/admin/suppression - Do-not-contact list           ║
+║    POST /api/admin/sms-deliveries - Resend an SMS              ║
+║    *    /api/admin/sms-outbox  - Recorded (unsent) SMS         ║
+║    *    /api/admin/routing     - Agent routing table           ║
+║    POST /api/admin/routing/dry-run - Where a call routes       ║
+║    *    /api/admin/users       - Dashboard users               ║
+║    GET  /api/admin/audit       - Export the audit trail        ║
+║    GET  /api/test-sms           - Send a test SMS              ║
+║    *    /api/webhook-debug      - Inspect webhook payloads     ║
 ╚════════════════════════════════════════════════════════════════╝
   `);
 });
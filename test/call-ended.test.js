@@ -0,0 +1,143 @@
+/**
+ * Call-ended webhook end to end: signed payload -> classification -> SMS
+ * in the outbox provider, duplicate suppression on replay, and retries for
+ * unanswered calls. Everything runs in memory - no ElevenLabs or Twilio.
+ */
+
+process.env.STORE_DRIVER = 'memory';
+process.env.SMS_PROVIDER = 'outbox';
+process.env.ELEVENLABS_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.CLASSIFIER_STRATEGY = 'keyword';
+// Retries may be planned for any time of day
+process.env.CALL_QUIET_HOURS = '';
+process.env.CALL_BLACKOUTS = '';
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const handler = require('../api/webhook/call-ended');
+const { recordInitiatedCall, getCall } = require('../lib/calls');
+const { listOutbox, clearOutbox } = require('../lib/sms/outbox');
+const { getScheduledCall } = require('../lib/scheduled-calls');
+
+function sign(raw) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const hmac = crypto.createHmac('sha256', process.env.ELEVENLABS_WEBHOOK_SECRET).update(`${timestamp}.${raw}`).digest('hex');
+  return `t=${timestamp},v0=${hmac}`;
+}
+
+/**
+ * Posts a payload the way Vercel hands it over with body parsing off: a raw
+ * stream, signed like ElevenLabs signs it
+ */
+function postWebhook(payload, signature) {
+  const raw = JSON.stringify(payload, null, 2);
+  const req = Readable.from([Buffer.from(raw)]);
+  req.method = 'POST';
+  req.query = {};
+  req.headers = { 'content-type': 'application/json', 'elevenlabs-signature': signature || sign(raw) };
+
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      setHeader() {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+      end() {
+        resolve({ status: this.statusCode, body: null });
+      },
+    };
+    handler(req, res);
+  });
+}
+
+async function placeCall(conversationId, phoneNumber) {
+  return recordInitiatedCall({
+    request: { phoneNumber, fullName: 'Test Customer', preferredLanguage: 'English', callReason: 'Complaint follow-up' },
+    outboundContext: {},
+    result: { conversation_id: conversationId },
+  });
+}
+
+function answeredCall(conversationId) {
+  return {
+    type: 'post_call_transcription',
+    data: {
+      conversation_id: conversationId,
+      status: 'done',
+      metadata: { call_duration_secs: 95 },
+      transcript: [
+        { role: 'agent', message: 'I have logged a complaint for you about the card charge.' },
+        { role: 'user', message: 'Thank you, that helps.' },
+      ],
+    },
+  };
+}
+
+describe('POST /api/webhook/call-ended', () => {
+  beforeEach(() => clearOutbox());
+
+  it('rejects a payload that is not signed with the webhook secret', async () => {
+    const { status, body } = await postWebhook(answeredCall('conv_forged'), 't=1,v0=00');
+    assert.equal(status, 401);
+    assert.equal(body.received, false);
+    assert.deepEqual(await listOutbox(), []);
+  });
+
+  it('sends the classified SMS through the outbox', async () => {
+    await placeCall('conv_answered', '+971501234501');
+
+    const { status, body } = await postWebhook(answeredCall('conv_answered'));
+
+    assert.equal(status, 200);
+    assert.equal(body.sms_sent, true);
+    const outbox = await listOutbox();
+    assert.deepEqual(outbox.map(message => [message.to, message.smsType]), [['+971501234501', 'COMPLAINT_SMS']]);
+    assert.match(outbox[0].body, /complaint/i);
+
+    const call = await getCall('conv_answered');
+    assert.ok(call.events.some(event => event.type === 'sms_sent'));
+    assert.equal(call.conversation.turns.length, 2);
+  });
+
+  it('does not send again when the webhook is replayed', async () => {
+    await placeCall('conv_replayed', '+971501234502');
+    await postWebhook(answeredCall('conv_replayed'));
+
+    const { status, body } = await postWebhook(answeredCall('conv_replayed'));
+
+    assert.equal(status, 200);
+    assert.ok(body.messages.length > 0);
+    assert.ok(body.messages.every(message => message.duplicate === true));
+    assert.equal((await listOutbox()).length, 1);
+  });
+
+  it('schedules a retry for an unanswered call instead of texting', async () => {
+    await placeCall('conv_unanswered', '+971501234503');
+
+    const { status, body } = await postWebhook({
+      type: 'call_initiation_failure',
+      data: { conversation_id: 'conv_unanswered', failure_reason: 'no-answer' },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.call_outcome, 'no_answer');
+    assert.equal(body.retry.attempt, 2);
+    assert.deepEqual(await listOutbox(), []);
+
+    const retry = await getScheduledCall(body.retry.scheduled_call_id);
+    assert.equal(retry.status, 'pending');
+    assert.equal(retry.request.phoneNumber, '+971501234503');
+    assert.equal(retry.meta.retryOf, 'conv_unanswered');
+    assert.ok(Date.parse(retry.dueAt) > Date.now());
+  });
+});
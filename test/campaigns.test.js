@@ -0,0 +1,70 @@
+/**
+ * Campaign dialing: overlapping ticks must never call a row twice
+ */
+
+process.env.STORE_DRIVER = 'memory';
+// Dial at any time of day
+process.env.CALL_QUIET_HOURS = '';
+process.env.CALL_BLACKOUTS = '';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stubbed before lib/campaigns.js picks it up
+const outbound = require('../lib/outbound');
+const { recordInitiatedCall, appendCallEvent } = require('../lib/calls');
+
+let dialed = [];
+let callCount = 0;
+outbound.initiateOutboundCall = async (request) => {
+  dialed.push(request.phoneNumber);
+  callCount++;
+  const result = { conversation_id: `conv_${callCount}`, callSid: `CA${callCount}` };
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await recordInitiatedCall({ request, outboundContext: {}, result });
+  return result;
+};
+
+const { createCampaign, advanceCampaign } = require('../lib/campaigns');
+
+function row(phoneNumber) {
+  return { phoneNumber, fullName: 'Test Customer', preferredLanguage: 'en', callReason: 'Test' };
+}
+
+describe('advanceCampaign()', () => {
+  beforeEach(() => { dialed = []; });
+
+  it('dials each row once when ticks overlap', async () => {
+    const { campaign } = await createCampaign({
+      rows: [row('+971501234561'), row('+971501234562')],
+      concurrency: 10,
+      callsPerMinute: 60,
+    });
+
+    await Promise.all([advanceCampaign(campaign.id), advanceCampaign(campaign.id), advanceCampaign(campaign.id)]);
+
+    assert.deepEqual(dialed.sort(), ['+971501234561', '+971501234562']);
+    const advanced = await advanceCampaign(campaign.id);
+    assert.equal(advanced.summary.initiated, 2);
+  });
+
+  it('counts calls in progress against concurrency until they end', async () => {
+    const { campaign } = await createCampaign({
+      rows: [row('+971501234563'), row('+971501234564')],
+      concurrency: 1,
+      callsPerMinute: 60,
+    });
+
+    const first = await advanceCampaign(campaign.id);
+    assert.deepEqual(dialed, ['+971501234563']);
+
+    // Still talking to the first customer
+    await advanceCampaign(campaign.id);
+    assert.equal(dialed.length, 1);
+
+    await appendCallEvent(first.rows[0].conversationId, 'ended', {});
+    const next = await advanceCampaign(campaign.id);
+    assert.deepEqual(dialed, ['+971501234563', '+971501234564']);
+    assert.ok(next.rows[0].endedAt);
+  });
+});
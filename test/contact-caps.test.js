@@ -0,0 +1,36 @@
+/**
+ * Contact caps: concurrent reservations must not exceed a cap
+ */
+
+process.env.STORE_DRIVER = 'memory';
+process.env.CAP_CALLS_PER_DAY = '2';
+process.env.CAP_CALLS_PER_WEEK = '5';
+process.env.CAP_SMS_PER_DAY = '3';
+process.env.CAP_MIN_CALL_GAP_MINUTES = '0';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { reserveContact, releaseContact } = require('../lib/contact-caps');
+
+function reserveConcurrently(phoneNumber, channel, count) {
+  return Promise.all(Array.from({ length: count }, () => reserveContact(phoneNumber, channel)));
+}
+
+describe('reserveContact()', () => {
+  it('grants no more concurrent SMS than the daily cap', async () => {
+    const results = await reserveConcurrently('+971501234566', 'sms', 10);
+    assert.equal(results.filter(result => result.allowed).length, 3);
+  });
+
+  it('grants no more concurrent calls than the daily cap', async () => {
+    const results = await reserveConcurrently('+971501234567', 'call', 5);
+    assert.equal(results.filter(result => result.allowed).length, 2);
+  });
+
+  it('frees the slot again on release', async () => {
+    const [first] = await reserveConcurrently('+971501234568', 'call', 2);
+    await releaseContact('+971501234568', 'call', first.at);
+    assert.equal((await reserveContact('+971501234568', 'call')).allowed, true);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Scheduler: overlapping ticks must never dial a scheduled call twice
+ */
+
+process.env.STORE_DRIVER = 'memory';
+// Dial at any time of day
+process.env.CALL_QUIET_HOURS = '';
+process.env.CALL_BLACKOUTS = '';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stubbed before lib/scheduled-calls.js picks it up
+const outbound = require('../lib/outbound');
+const dialed = [];
+outbound.initiateOutboundCall = async (request) => {
+  dialed.push(request.phoneNumber);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  return { conversation_id: `conv_${dialed.length}`, callSid: `CA${dialed.length}` };
+};
+
+const { scheduleCall, advanceScheduledCalls, getScheduledCall } = require('../lib/scheduled-calls');
+
+describe('advanceScheduledCalls()', () => {
+  it('dials a due call once when ticks overlap', async () => {
+    const { call } = await scheduleCall({
+      phoneNumber: '+971501234565',
+      fullName: 'Test Customer',
+      preferredLanguage: 'en',
+      callReason: 'Test',
+      scheduledAt: new Date(Date.now() - 60 * 1000).toISOString(),
+    });
+
+    await Promise.all([advanceScheduledCalls(), advanceScheduledCalls(), advanceScheduledCalls()]);
+
+    assert.deepEqual(dialed, ['+971501234565']);
+    assert.equal((await getScheduledCall(call.id)).status, 'initiated');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Record store: update() must not lose concurrent writes with any driver
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../lib/store');
+
+// A second copy of the module has its own in-process update queue, like
+// another serverless instance
+function loadSeparateInstance() {
+  const modulePath = require.resolve('../lib/store');
+  const cached = require.cache[modulePath];
+  delete require.cache[modulePath];
+  const instance = require(modulePath);
+  require.cache[modulePath] = cached;
+  return instance;
+}
+
+const CONCURRENT_UPDATES = 10;
+
+function withDriver(name, env = {}) {
+  const saved = {};
+  before(() => {
+    Object.entries({ STORE_DRIVER: name, ...env }).forEach(([key, value]) => {
+      saved[key] = process.env[key];
+      process.env[key] = value;
+    });
+  });
+  after(() => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+}
+
+async function incrementConcurrently(collection) {
+  const store = createStore(collection);
+  await store.put('counter', { id: 'counter', n: 0 });
+  await Promise.all(Array.from({ length: CONCURRENT_UPDATES }, () => store.update('counter', (record) => {
+    record.n++;
+  })));
+  return store.get('counter');
+}
+
+/**
+ * Just enough of the Upstash REST API for the kv driver, answering after a
+ * delay so requests from concurrent updates interleave like they would
+ * between serverless instances
+ */
+function fakeKv() {
+  const hashes = {};
+  const hash = key => hashes[key] || (hashes[key] = {});
+  const commands = {
+    HGET: (key, field) => hash(key)[field] ?? null,
+    HSET: (key, field, value) => { hash(key)[field] = value; return 1; },
+    HSETNX: (key, field, value) => {
+      if (field in hash(key)) return 0;
+      hash(key)[field] = value;
+      return 1;
+    },
+    HGETALL: key => Object.entries(hash(key)).flat(),
+    HDEL: (key, field) => (delete hash(key)[field] ? 1 : 0),
+    // Only the driver's compare-and-set script
+    EVAL: (script, keyCount, key, field, expected, value) => {
+      if (hash(key)[field] !== expected) return 0;
+      hash(key)[field] = value;
+      return 1;
+    },
+  };
+
+  return async (url, options) => {
+    const [name, ...args] = JSON.parse(options.body);
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+    const result = commands[name](...args);
+    return { ok: true, status: 200, json: async () => ({ result }) };
+  };
+}
+
+describe('store update()', () => {
+  describe('memory driver', () => {
+    withDriver('memory');
+
+    it('keeps every concurrent update', async () => {
+      assert.equal((await incrementConcurrently('test-memory')).n, CONCURRENT_UPDATES);
+    });
+
+    it('returns null for a missing record without calling mutate', async () => {
+      const store = createStore('test-memory');
+      let called = false;
+      assert.equal(await store.update('missing', () => { called = true; }), null);
+      assert.equal(called, false);
+    });
+  });
+
+  describe('file driver', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    withDriver('file', { DATA_DIR: dataDir });
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    it('keeps every concurrent update', async () => {
+      assert.equal((await incrementConcurrently('test-file')).n, CONCURRENT_UPDATES);
+    });
+  });
+
+  describe('kv driver', () => {
+    withDriver('kv', { KV_REST_API_URL: 'https://kv.test', KV_REST_API_TOKEN: 'token' });
+    const realFetch = global.fetch;
+    before(() => { global.fetch = fakeKv(); });
+    after(() => { global.fetch = realFetch; });
+
+    it('keeps every concurrent update from separate instances', async () => {
+      const first = createStore('test-kv');
+      const second = loadSeparateInstance().createStore('test-kv');
+      await first.put('counter', { id: 'counter', n: 0 });
+      await Promise.all(Array.from({ length: CONCURRENT_UPDATES }, (_, index) => {
+        const store = index % 2 ? first : second;
+        return store.update('counter', (record) => {
+          record.n++;
+        });
+      }));
+      assert.equal((await first.get('counter')).n, CONCURRENT_UPDATES);
+    });
+  });
+});